@@ -8,8 +8,11 @@
 process.env.LOG_LEVEL = 'silent';
 
 // 简单直接的导入方式 - Windows兼容
-import('./cli.js').catch(error => {
-  console.error('启动失败:', error.message);
-  console.error('请检查Node.js版本是否 >= 18.0.0');
-  process.exit(1);
-});
\ No newline at end of file
+// cli.js 只导出 main，以库方式导入 px2cc 时不会启动安装流程
+import('./cli.js')
+  .then(({ main }) => main())
+  .catch(error => {
+    console.error('启动失败:', error.message);
+    console.error('请检查Node.js版本是否 >= 18.0.0');
+    process.exit(1);
+  });
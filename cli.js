@@ -1,18 +1,29 @@
-#!/usr/bin/env node
-
 /**
- * PromptX CLI - 使用 @promptx/core 动态获取角色信息  
- * 注意：此文件应通过 promptx-cli wrapper 脚本运行以过滤内部日志
+ * PromptX CLI - 使用 @promptx/core 动态获取角色信息
+ * 注意：此文件只导出 main，由 bin.js（或过滤内部日志的 promptx-cli 脚本）启动
  */
 
-import { resource } from '@promptx/core';
-import { ClaudeCodeBuilder } from 'claude-code-builder';
+import { listRoles } from './index.js';
+import { RoleInstaller } from './src/RoleInstaller.js';
 import { PromptXActionProcessor } from './src/PromptXActionProcessor.js';
+import { InstallLock } from './src/InstallLock.js';
+import { Manifest, DEFAULT_MANIFEST_FILE } from './src/Manifest.js';
+import { validateInstallName, parseInstallType, parseToolList, parseToolProfile, parseRolesDir, parseRoleSource, parseMaxTokens, parseRenderOptions, parseDescription, parseModel, parseArgumentHint, checkCommandOnlyOptions, MODEL_ALIASES } from './src/installOptions.js';
+import { t, setLocale, resolveLocale, createTranslator, resolveContentLocale } from './src/i18n.js';
+import { createUnifiedDiff } from './src/textDiff.js';
+import { MCPDiscovery } from './src/MCPDiscovery.js';
+import { MCPToolInspector, mcpToolName } from './src/MCPToolInspector.js';
+import { BUILTIN_TOOLS, TOOL_PROFILES, expandTools } from './src/builtinTools.js';
+import { resolveInstallTarget, listTargets, findShadowing, displayPath, scopeDir } from './src/installScope.js';
+import { consoleLogger, silentLogger } from './src/logger.js';
+import { selectRole } from './src/roleSources.js';
+import { lintRole, DEFAULT_MAX_RESOURCE_TOKENS } from './src/roleLint.js';
+import { RoleWatcher } from './src/RoleWatcher.js';
+import { UsageError, ConfigError, NotFoundError, ConflictError, PartialFailureError, LintError, describeError } from './src/errors.js';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs';
-import { execSync } from 'child_process';
 
 // 注意：原有的parsePromptXRole函数已被PromptXActionProcessor替代
 // 新的处理器实现完整的PromptX Action流程，包括：
@@ -21,86 +32,198 @@ import { execSync } from 'child_process';
 // 3. CognitionLoader - 加载认知网络
 // 4. LayerAssembler - 三层内容组装
 
-// 发现MCP服务器
-async function discoverMCPServers() {
-  const servers = {
-    defaultTools: ['Read', 'Write', 'Edit', 'Bash'],
-    mcpServers: []
-  };
+// 不带值的布尔参数
+const BOOLEAN_FLAGS = new Set(['yes', 'skip-mcp', 'mcp-health', 'refresh-mcp-tools', 'help', 'prune', 'force', 'dry-run', 'json', 'all', 'strict']);
 
-  try {
-    console.log(chalk.gray('   检查MCP服务器状态（可能需要一些时间）...'));
-    // 使用claude mcp list获取所有MCP服务器（增加超时时间到60秒）
-    const mcpOutput = execSync('claude mcp list', { 
-      encoding: 'utf8',
-      timeout: 60000,  // 增加到60秒
-      stdio: 'pipe'    // 确保错误输出被捕获
-    });
-    
-    // 解析输出，提取服务器信息
-    const lines = mcpOutput.split('\n');
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      // 匹配服务器名称（格式：serverName: command - status）
-      const match = trimmedLine.match(/^([^:]+):\s+(.+)\s+-\s+(✓|✗)\s+(.*)$/);
-      if (match && !trimmedLine.includes('Checking MCP server health')) {
-        const [, name, command, status, statusText] = match;
-        servers.mcpServers.push({
-          name: name.trim(),
-          command: command.trim(), 
-          connected: status === '✓',
-          status: statusText.trim()
-        });
+// 可以重复出现的参数，值收集为数组
+const REPEATABLE_FLAGS = new Set(['field']);
+
+// 参数简写
+const FLAG_ALIASES = {
+  y: 'yes',
+  h: 'help'
+};
+
+// 人类可读的输出和传给各模块的 logger
+// --json 时都改为写到 stderr，stdout 只输出最终的JSON文档
+let print = console.log;
+let logger = consoleLogger;
+
+// 解析命令行参数
+// 支持 `--flag value`、`--flag=value` 和布尔参数，第一个位置参数视为子命令
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [key, value] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    key = FLAG_ALIASES[key] || key;
+
+    if (BOOLEAN_FLAGS.has(key)) {
+      if (value !== undefined) {
+        throw new UsageError(t('cli.flagTakesNoValue', { flag: key }));
       }
+      flags[key] = true;
+      continue;
     }
-    
-    console.log(chalk.green(`✅ 发现 ${servers.mcpServers.length} 个MCP服务器`));
-    
-  } catch (error) {
-    if (error.code === 'ETIMEDOUT') {
-      console.error(chalk.yellow('⚠️  MCP服务器检查超时，将继续安装（只使用默认工具）'));
-      console.error(chalk.gray('   如需使用MCP工具，请检查网络连接或使用 --skip-mcp 参数'));
-    } else {
-      console.error(chalk.yellow('⚠️  无法获取MCP服务器列表，将继续安装（只使用默认工具）'));
-      console.error(chalk.gray(`   原因: ${error.message}`));
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(t('cli.flagMissingValue', { flag: key }));
+      }
+      i++;
     }
-    // 不再抛出错误，而是继续执行，不使用MCP服务器
-    console.log(chalk.gray('   将继承所有可用工具（Claude Code默认行为）'));
-    return servers;
+    flags[key] = REPEATABLE_FLAGS.has(key) ? [...(flags[key] || []), value] : value;
+  }
+
+  return {
+    command: positionals[0] || null,
+    positionals: positionals.slice(1),
+    flags
+  };
+}
+
+// 从命令行参数读取渲染选项（未指定的选项使用默认值）
+function parseRenderFlags(flags) {
+  return parseRenderOptions({
+    profile: flags.profile,
+    knowledge: flags.knowledge,
+    maxTokens: flags['max-tokens'],
+    template: flags.template,
+    cognition: flags.cognition,
+    maxConcepts: flags['max-concepts'],
+    lang: flags['content-lang'],
+    description: flags.description,
+    model: flags.model,
+    argumentHint: flags['argument-hint'],
+    customFields: flags.field
+  });
+}
+
+// 从命令行参数读取安装位置（--scope / --target-dir），默认为当前项目
+function parseTargetFlags(flags) {
+  return resolveInstallTarget({ scope: flags.scope, targetDir: flags['target-dir'] });
+}
+
+// 是否在命令行中指定了安装位置
+function hasTargetFlags(flags) {
+  return flags.scope !== undefined || flags['target-dir'] !== undefined;
+}
+
+// 显示帮助信息，以冒号结尾的行作为小节标题加粗
+function showHelp() {
+  const body = t('cli.help')
+    .split('\n')
+    .map(line => (/^\S.*[:：]$/.test(line) ? chalk.bold(line) : line))
+    .join('\n');
+  print(`${chalk.blue.bold('px2cc')} - ${t('cli.tagline')}\n\n${body}\n`);
+}
+
+// 发现MCP服务器：读取Claude Code配置文件，--mcp-health 时额外检查连接状态
+async function discoverMCPServers(flags) {
+  const discovery = new MCPDiscovery({ configFile: flags['mcp-config'], logger });
+  const mcpServers = await discovery.discover();
+
+  if (flags['mcp-health'] && mcpServers.length > 0) {
+    discovery.checkHealth(mcpServers);
+  }
+
+  print(chalk.green(t('mcp.found', { count: mcpServers.length })));
+  return {
+    mcpServers,
+    inspector: new MCPToolInspector({ refresh: Boolean(flags['refresh-mcp-tools']) })
+  };
+}
+
+// 选择工具：先选内置工具配置，再选额外的MCP服务器
+// 返回 undefined 表示不限制工具（Claude Code继承所有可用工具）
+async function selectTools(roleName, availableServers, recommended) {
+  const profileChoice = (value, label) => ({
+    name: `${label}${value === recommended ? chalk.green(` ${t('tools.recommended')}`) : ''}`,
+    value,
+    short: value
+  });
+
+  const { profile } = await inquirer.prompt([{
+    type: 'list',
+    name: 'profile',
+    message: t('tools.selectProfile', { role: roleName }),
+    choices: [
+      profileChoice('inherit', t('tools.inherit')),
+      ...Object.entries(TOOL_PROFILES).map(([name, tools]) =>
+        profileChoice(name, `${t(`tools.profile.${name}`)} ${chalk.gray(`(${tools.join(', ')})`)}`)
+      ),
+      profileChoice('custom', t('tools.custom'))
+    ],
+    default: recommended || 'inherit'
+  }]);
+
+  if (profile === 'inherit') {
+    print(chalk.gray(t('mcp.inheritAll')));
+    return undefined;
+  }
+
+  let builtinTools = expandTools(profile === 'custom' ? null : profile);
+  if (profile === 'custom') {
+    const preset = expandTools(recommended || 'read-only');
+    const { picked } = await inquirer.prompt([{
+      type: 'checkbox',
+      name: 'picked',
+      message: t('tools.pickBuiltin'),
+      choices: BUILTIN_TOOLS.map(tool => ({ name: tool, value: tool, checked: preset.includes(tool) })),
+      pageSize: BUILTIN_TOOLS.length
+    }]);
+    builtinTools = picked;
   }
 
-  return servers;
+  const mcpTools = await selectMCPServers(roleName, availableServers);
+  return [...builtinTools, ...mcpTools];
 }
 
-// 显示MCP服务器选择界面
+// 显示MCP服务器选择界面，返回选中的MCP工具
 async function selectMCPServers(roleName, availableServers) {
-  // 如果没有MCP服务器，直接返回undefined（继承所有工具）
   if (availableServers.mcpServers.length === 0) {
-    console.log(chalk.gray('   没有发现MCP服务器，将继承所有可用工具'));
-    return undefined;
+    print(chalk.gray(t('mcp.noneFound')));
+    return [];
   }
 
   // 只显示MCP服务器选择
   const choices = [];
   
   for (const server of availableServers.mcpServers) {
-    const statusIcon = server.connected ? '✓' : '✗';
-    const statusColor = server.connected ? chalk.green : chalk.red;
+    // 只有做过健康检查的服务器才有连接状态
+    const endpoint = server.type === 'stdio' ? [server.command, ...server.args].join(' ') : server.url;
+    let statusIcon = '•';
+    let details = `${server.scope} · ${server.type}: ${endpoint}`;
+    if (server.connected !== undefined) {
+      statusIcon = server.connected ? chalk.green('✓') : chalk.red('✗');
+      details = `${details} · ${server.status}`;
+    }
     choices.push({
-      name: `${statusColor(statusIcon)} ${server.name} ${chalk.gray(`(${server.status})`)}`,
+      name: `${statusIcon} ${server.name} ${chalk.gray(`(${details})`)}`,
       value: server.name,
       checked: false, // 默认不选中任何MCP服务器
-      disabled: !server.connected ? '(未连接)' : false
+      disabled: server.connected === false ? t('mcp.disconnected') : false
     });
   }
 
-  console.log(chalk.blue('\n🔧 默认工具（自动包含）:'), availableServers.defaultTools.join(', '));
-  
   const answer = await inquirer.prompt([{
     type: 'checkbox',
     name: 'selectedServers',
-    message: `为 ${roleName} 选择额外的MCP服务器（可选）:`,
+    message: t('mcp.selectPrompt', { role: roleName }),
     choices: choices
   }]);
 
@@ -108,65 +231,174 @@ async function selectMCPServers(roleName, availableServers) {
   const selectedMCPServers = answer.selectedServers || [];
   
   if (selectedMCPServers.length === 0) {
-    console.log(chalk.gray('   将继承所有可用工具（Claude Code默认行为）'));
-    return undefined; // Claude Code会继承所有工具
+    return [];
   }
   
-  // 如果选择了特定服务器，只包含默认工具+选中服务器的工具
-  const selectedTools = availableServers.defaultTools.slice();
+  const selectedTools = [];
   for (const serverName of selectedMCPServers) {
-    // 添加该服务器的所有工具（使用通配符或具体工具名）
-    selectedTools.push(`mcp__${serverName}__*`);
+    const server = availableServers.mcpServers.find(candidate => candidate.name === serverName);
+    selectedTools.push(...await selectServerTools(server, availableServers.inspector));
   }
   
-  console.log(chalk.blue(`   已选择 ${selectedMCPServers.length} 个MCP服务器: ${selectedMCPServers.join(', ')}`));
+  print(chalk.blue(t('mcp.selected', { count: selectedMCPServers.length, servers: selectedMCPServers.join(', ') })));
   return selectedTools;
 }
 
-// 获取PromptX角色
-async function getAllRoles() {
+// 选择授予某个MCP服务器的哪些工具：全部（通配符）或逐个勾选
+async function selectServerTools(server, inspector) {
+  const wildcard = [mcpToolName(server.name)];
+  if (server.type !== 'stdio' || !inspector) {
+    return wildcard;
+  }
+
+  const { scope } = await inquirer.prompt([{
+    type: 'list',
+    name: 'scope',
+    message: t('mcp.toolScope', { name: server.name }),
+    choices: [
+      { name: t('mcp.toolScopeAll', { tools: wildcard[0] }), value: 'all' },
+      { name: t('mcp.toolScopePick'), value: 'pick' }
+    ]
+  }]);
+  if (scope === 'all') {
+    return wildcard;
+  }
+
+  print(chalk.gray(t('mcp.toolsLoading', { name: server.name })));
+  let tools;
   try {
-    const manager = resource.getGlobalResourceManager();
-    await manager.initializeWithNewArchitecture();
-    
-    const roleResources = manager.registryData.getResourcesByProtocol('role');
-    const systemRoles = roleResources.filter(r => r.source === 'package');
-    const userRoles = roleResources.filter(r => r.source === 'user');
-
-    return { systemRoles, userRoles, manager };
+    const result = await inspector.listTools(server);
+    tools = result.tools;
+    print(chalk.gray(t(result.cached ? 'mcp.toolsCached' : 'mcp.toolsLoaded', { count: tools.length })));
   } catch (error) {
-    throw new Error(`获取PromptX角色失败: ${error.message}`);
+    logger.warn(t('mcp.toolsFallback', { name: server.name }));
+    logger.detail(t('common.reason', { reason: error.message }));
+    return wildcard;
+  }
+
+  if (tools.length === 0) {
+    logger.warn(t('mcp.toolsEmpty', { name: server.name }));
+    return [];
+  }
+
+  const { picked } = await inquirer.prompt([{
+    type: 'checkbox',
+    name: 'picked',
+    message: t('mcp.toolsPrompt', { name: server.name }),
+    choices: tools.map(tool => ({
+      name: `${tool.name}${tool.readOnly ? chalk.green(` ${t('mcp.readOnly')}`) : ''}${tool.description ? chalk.gray(` - ${tool.description}`) : ''}`,
+      value: tool.name,
+      short: tool.name,
+      checked: false
+    })),
+    pageSize: 15,
+    validate: answer => (answer.length > 0 ? true : t('mcp.toolsRequired'))
+  }]);
+
+  return picked.map(toolName => mcpToolName(server.name, toolName));
+}
+
+// 加载角色时的提示，区分PromptX和本地角色目录
+function loadingMessage(rolesDir) {
+  return rolesDir ? t('roles.loadingLocal', { dir: displayPath(rolesDir) }) : t('roles.loading');
+}
+
+// 获取PromptX角色，指定 rolesDir 时只读取该本地目录中的角色
+async function getAllRoles(rolesDir) {
+  const roles = await listRoles({ rolesDir });
+  return {
+    systemRoles: roles.filter(role => role.source === 'package'),
+    projectRoles: roles.filter(role => role.source === 'project'),
+    userRoles: roles.filter(role => role.source === 'user'),
+    localRoles: roles.filter(role => role.source === 'local')
+  };
+}
+
+// 按ID查找角色，返回 { role, source, rolesDir }
+// 未指定来源时使用PromptX生效的来源（user > project > package）
+function findRole(roleId, { systemRoles, projectRoles, userRoles, localRoles }, source) {
+  const role = selectRole([...localRoles, ...systemRoles, ...projectRoles, ...userRoles], roleId, source);
+  return { role: role.id, source: role.source, ...(role.rolesDir && { rolesDir: role.rolesDir }) };
+}
+
+// 同一角色存在于多个来源时，说明使用的是哪一个
+function printRoleSource(selectedRole, { systemRoles, projectRoles, userRoles }) {
+  const candidates = [...userRoles, ...projectRoles, ...systemRoles].filter(role => role.id === selectedRole.role);
+  const selected = candidates.find(role => role.source === selectedRole.source);
+  if (!selected || candidates.length < 2) {
+    return;
+  }
+
+  const source = t(`roleSource.${selected.source}`);
+  if (selected.overriddenBy) {
+    print(chalk.yellow(t('roles.sourceOverridden', { role: selected.id, source, active: t(`roleSource.${selected.overriddenBy}`) })));
+    return;
+  }
+  const others = candidates.filter(role => role !== selected).map(role => t(`roleSource.${role.source}`));
+  print(chalk.gray(t('roles.sourceUsed', { role: selected.id, source, others: others.join(', ') })));
+}
+
+// --roles-dir 指定的本地角色目录
+function parseRolesDirFlag(flags) {
+  return flags['roles-dir'] !== undefined ? path.resolve(parseRolesDir(flags['roles-dir'])) : undefined;
+}
+
+// --source 指定的PromptX角色来源，本地角色目录中的角色没有来源之分
+function parseSourceFlag(flags) {
+  if (flags.source === undefined) {
+    return undefined;
+  }
+  if (flags['roles-dir'] !== undefined) {
+    throw new UsageError(t('options.sourceWithRolesDir'));
   }
+  return parseRoleSource(flags.source);
+}
+
+// 角色在菜单和 roles 命令中的显示，被覆盖的角色注明生效的来源
+const ROLE_LABELS = {
+  package: { icon: '📦', label: 'menu.systemRole' },
+  project: { icon: '📂', label: 'menu.projectRole' },
+  user: { icon: '👤', label: 'menu.userRole' },
+  local: { icon: '📁', label: 'menu.localRole' }
+};
+
+function roleLabel(role) {
+  const { icon, label } = ROLE_LABELS[role.source];
+  const text = `${icon} ${role.id} ${chalk.gray(t(label))}`;
+  return role.overriddenBy
+    ? `${text} ${chalk.yellow(t('menu.overriddenBy', { source: t(`roleSource.${role.overriddenBy}`) }))}`
+    : text;
 }
 
 // 显示欢迎界面
 function showWelcome() {
   console.clear();
-  console.log(chalk.blue.bold('🚀 PromptX CLI - Claude Code 角色安装器'));
-  console.log(chalk.gray('   快速将PromptX角色集成到Claude Code中\n'));
+  print(chalk.blue.bold(t('welcome.title')));
+  print(chalk.gray(t('welcome.subtitle')));
 }
 
 // 显示角色选择菜单
-async function showRoleMenu(systemRoles, userRoles, availableServers) {
-  const choices = [
-    ...systemRoles.map(role => ({
-      name: `📦 ${role.id} ${chalk.gray('(系统角色)')}`,
-      value: { role: role.id, source: 'package' },
-      short: role.id
-    })),
-    new inquirer.Separator(chalk.gray('─── 用户角色 ───')),
-    ...userRoles.map(role => ({
-      name: `👤 ${role.id} ${chalk.gray('(用户角色)')}`,
-      value: { role: role.id, source: 'user' },
-      short: role.id
-    }))
+// target 为命令行指定的安装位置，为 null 时询问
+async function showRoleMenu({ systemRoles, projectRoles, userRoles, localRoles }, availableServers, target = null) {
+  const toChoice = role => ({
+    name: roleLabel(role),
+    value: { role: role.id, source: role.source, ...(role.rolesDir && { rolesDir: role.rolesDir }) },
+    short: role.id
+  });
+  // --roles-dir 时只有本地目录中的角色
+  // 同名角色的各个来源都列出，选择被覆盖的版本时安装该来源中的角色
+  const choices = localRoles.length > 0 ? localRoles.map(toChoice) : [
+    ...systemRoles.map(toChoice),
+    ...(projectRoles.length > 0 ? [new inquirer.Separator(chalk.gray(t('menu.projectRoles'))), ...projectRoles.map(toChoice)] : []),
+    new inquirer.Separator(chalk.gray(t('menu.userRoles'))),
+    ...userRoles.map(toChoice)
   ];
 
   const roleAnswer = await inquirer.prompt([
     {
       type: 'list',
       name: 'selectedRole',
-      message: '请选择要安装的PromptX角色:',
+      message: t('menu.selectRole'),
       choices: choices,
       pageSize: 15
     }
@@ -177,15 +409,15 @@ async function showRoleMenu(systemRoles, userRoles, availableServers) {
     {
       type: 'list',
       name: 'installType',
-      message: `安装 ${roleAnswer.selectedRole.role} 为:`,
+      message: t('menu.installAs', { role: roleAnswer.selectedRole.role }),
       choices: [
         {
-          name: `🤖 Agent - 通过提及"${roleAnswer.selectedRole.role}-agent subagent"调用`,
+          name: t('menu.agentChoice', { role: roleAnswer.selectedRole.role }),
           value: 'agents',
           short: 'Agent'
         },
         {
-          name: `⚙️  Command - 通过 /${roleAnswer.selectedRole.role} 调用`,
+          name: t('menu.commandChoice', { role: roleAnswer.selectedRole.role }),
           value: 'commands', 
           short: 'Command'
         }
@@ -194,11 +426,13 @@ async function showRoleMenu(systemRoles, userRoles, availableServers) {
     {
       type: 'confirm',
       name: 'customName',
-      message: '是否要自定义安装名字？',
+      message: t('menu.customizeName'),
       default: false
     }
   ]);
 
+  const installTarget = target || await selectInstallTarget();
+
   let customName = '';
   if (typeAnswer.customName) {
     const nameAnswer = await inquirer.prompt([
@@ -206,21 +440,12 @@ async function showRoleMenu(systemRoles, userRoles, availableServers) {
         type: 'input',
         name: 'name',
         message: typeAnswer.installType === 'agents' 
-          ? `请输入自定义Agent名字 (默认: ${roleAnswer.selectedRole.role}-agent):`
-          : `请输入自定义Command名字 (默认: ${roleAnswer.selectedRole.role}):`,
+          ? t('menu.agentName', { name: `${roleAnswer.selectedRole.role}-agent` })
+          : t('menu.commandName', { name: roleAnswer.selectedRole.role }),
         default: typeAnswer.installType === 'agents' 
           ? `${roleAnswer.selectedRole.role}-agent` 
           : roleAnswer.selectedRole.role,
-        validate: (input) => {
-          if (!input.trim()) {
-            return '名字不能为空';
-          }
-          // 检查名字格式
-          if (!/^[a-zA-Z0-9_-]+$/.test(input.trim())) {
-            return '名字只能包含字母、数字、下划线和连字符';
-          }
-          return true;
-        }
+        validate: validateInstallName
       }
     ]);
     customName = nameAnswer.name.trim();
@@ -231,16 +456,20 @@ async function showRoleMenu(systemRoles, userRoles, availableServers) {
       type: 'confirm',
       name: 'confirm',
       message: customName 
-        ? `确认安装 ${roleAnswer.selectedRole.role} 为 ${chalk.yellow(customName)} 到Claude Code?`
-        : '确认安装到Claude Code?',
+        ? t('menu.confirmNamed', { role: roleAnswer.selectedRole.role, name: chalk.yellow(customName) })
+        : t('menu.confirm'),
       default: true
     }
   ]);
 
-  let selectedTools = [];
+  let selectedTools;
+  let installer;
   if (confirmAnswer.confirm) {
-    // 选择MCP服务器和工具
-    selectedTools = await selectMCPServers(roleAnswer.selectedRole.role, availableServers);
+    // 选择内置工具和MCP服务器，预选角色推荐的工具配置
+    // 之后的询问和安装使用同一个安装器，角色只加载一次
+    installer = new RoleInstaller(installTarget.claudeDir, { logger });
+    const recommended = await installer.processorFor(roleAnswer.selectedRole).recommendedToolProfile(roleAnswer.selectedRole.role).catch(() => null);
+    selectedTools = await selectTools(roleAnswer.selectedRole.role, availableServers, recommended);
   }
 
   return {
@@ -248,17 +477,121 @@ async function showRoleMenu(systemRoles, userRoles, availableServers) {
     installType: typeAnswer.installType,
     confirm: confirmAnswer.confirm,
     customName: customName,
-    selectedTools: selectedTools
+    selectedTools: selectedTools,
+    target: installTarget,
+    installer
   };
 }
 
-// 检查当前目录
-function checkDirectory() {
-  const currentDir = process.cwd();
-  const claudeDir = path.join(currentDir, '.claude');
-  
+// 展示从角色定义生成的 Subagent 描述，允许用户修改
+async function editDescription(installer, selectedRole, options) {
+  const derived = await installer.processorFor(selectedRole).describe(selectedRole.role, resolveContentLocale(options.lang));
+  const { description } = await inquirer.prompt([{
+    type: 'input',
+    name: 'description',
+    message: t('menu.description'),
+    default: derived,
+    validate: input => {
+      try {
+        parseDescription(input);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    }
+  }]);
+
+  // 未修改时不记录，角色定义变化后 update 会重新生成描述
+  if (description.trim() !== derived) {
+    options.description = parseDescription(description);
+  }
+}
+
+// 询问command使用的模型和参数提示，命令行已指定的选项不再询问
+async function selectCommandOptions(options) {
+  const defaultHint = createTranslator(resolveContentLocale(options.lang), 'content')('argumentHint.default');
+  const validateWith = parse => input => {
+    try {
+      parse(input);
+      return true;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'model',
+      message: t('menu.selectModel'),
+      choices: [
+        { name: t('menu.modelInherit'), value: '', short: t('menu.modelInheritShort') },
+        ...MODEL_ALIASES.map(alias => ({ name: alias, value: alias })),
+        { name: t('menu.modelCustom'), value: 'custom' }
+      ],
+      when: options.model === undefined
+    },
+    {
+      type: 'input',
+      name: 'customModel',
+      message: t('menu.modelName'),
+      when: answers => answers.model === 'custom',
+      validate: validateWith(parseModel)
+    },
+    {
+      type: 'input',
+      name: 'argumentHint',
+      message: t('menu.argumentHint'),
+      default: defaultHint,
+      when: options.argumentHint === undefined,
+      validate: validateWith(parseArgumentHint)
+    }
+  ]);
+
+  const model = answers.model === 'custom' ? parseModel(answers.customModel) : answers.model;
+  if (model) {
+    options.model = model;
+  }
+  // 使用默认提示时不记录，模板变化后由 render 决定
+  if (answers.argumentHint !== undefined && answers.argumentHint.trim() !== defaultHint) {
+    options.argumentHint = parseArgumentHint(answers.argumentHint);
+  }
+}
+
+// 选择安装位置
+async function selectInstallTarget() {
+  const { scope } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'scope',
+      message: t('menu.selectScope'),
+      choices: [
+        { name: t('menu.scopeProject', { dir: displayPath(scopeDir('project')) }), value: 'project', short: t('scope.project') },
+        { name: t('menu.scopeUser', { dir: displayPath(scopeDir('user')) }), value: 'user', short: t('scope.user') },
+        { name: t('menu.scopeCustom'), value: 'custom', short: t('scope.custom') }
+      ]
+    }
+  ]);
+
+  if (scope !== 'custom') {
+    return resolveInstallTarget({ scope });
+  }
+
+  const { targetDir } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'targetDir',
+      message: t('menu.targetDir'),
+      validate: input => (input.trim() ? true : t('options.emptyTargetDir'))
+    }
+  ]);
+  return resolveInstallTarget({ targetDir });
+}
+
+// 确保安装目录存在
+function checkDirectory(claudeDir) {
   if (!fs.existsSync(claudeDir)) {
-    console.log(chalk.yellow('📁 创建 .claude 目录...'));
+    print(chalk.yellow(t('install.creatingDir', { dir: displayPath(claudeDir) })));
     fs.mkdirSync(claudeDir, { recursive: true });
     fs.mkdirSync(path.join(claudeDir, 'agents'), { recursive: true });
     fs.mkdirSync(path.join(claudeDir, 'commands'), { recursive: true });
@@ -268,155 +601,893 @@ function checkDirectory() {
 }
 
 // 安装角色
-async function installRole(selectedRole, installType, claudeDir, selectedTools, customName = '') {
-  const roleName = selectedRole.role;
-  const results = {};
-  
+// --dry-run 时只预览；目标文件已存在且内容不同时先展示diff再决定是否覆盖
+// 返回 { rendered, status, result }，status 为 created | updated | unchanged，
+// --dry-run 时为 new | changed | unchanged（与已有文件比较）且没有 result；保留原文件时返回 null
+async function installRole(installer, selectedRole, installType, selectedTools, customName = '', options = {}, flags = {}) {
   try {
-    // 使用新的PromptXActionProcessor执行完整的action流程
-    const processor = new PromptXActionProcessor();
-    const mode = installType === 'agents' ? 'subagent' : 'command';
-    const processedContent = await processor.processRole(roleName, mode);
-    
-    // 根据安装模式创建相应文件
-    const finalName = customName || (installType === 'agents' ? `${roleName}-agent` : roleName);
-    
-    if (installType === 'agents') {
-      console.log(chalk.cyan(`🔧 生成 ${finalName} subagent文件...`));
-      const agentConfig = {
-        name: finalName,
-        description: `基于PromptX ${roleName}角色的专业AI助手 - 完整action实现`,
-        content: processedContent,
-        targetDir: claudeDir
-      };
-      
-      // 设置工具配置 - 如果用户没有选择特定工具，则继承所有可用工具
-      if (selectedTools) {
-        agentConfig.tools = selectedTools;
+    let rendered = await installer.render(selectedRole, installType, selectedTools, customName, options);
+    const existing = await installer.readExisting(rendered);
+    warnShadowing(rendered);
+
+    if (flags['dry-run']) {
+      if (!flags.json) {
+        printPreview(rendered, existing);
       }
-      // 如果没有选择特定工具，Claude Code会自动继承所有可用工具
-      
-      const subagentResult = await ClaudeCodeBuilder.createSubagent(agentConfig);
+      const status = existing === null ? 'new' : existing === rendered.fileContent ? 'unchanged' : 'changed';
+      return { rendered, status };
+    }
 
-      if (!subagentResult.success) {
-        throw new Error(`创建Subagent失败: ${subagentResult.error}`);
+    let status = existing === null ? 'created' : existing === rendered.fileContent ? 'unchanged' : 'updated';
+    if (status === 'updated') {
+      const resolved = await resolveConflict(installer, rendered, existing, flags);
+      if (!resolved) {
+        return null;
       }
-      results.agentFile = `${finalName}.md`;
-      results.usage = `Use the ${finalName} subagent to [任务描述]`;
-    }
-
-    if (installType === 'commands') {
-      console.log(chalk.cyan(`📋 生成 ${finalName} command文件...`));
-      
-      const commandConfig = {
-        name: finalName,
-        description: `基于PromptX ${roleName}角色的专业助手 - 完整action实现`,
-        content: processedContent,
-        targetDir: claudeDir
-      };
-      
-      // 设置工具配置 - 如果用户没有选择特定工具，则继承所有可用工具
-      if (selectedTools) {
-        commandConfig.allowedTools = selectedTools;
+      // 换名安装时写入的是新文件
+      if (resolved.filePath !== rendered.filePath) {
+        status = 'created';
       }
-      // 如果没有选择特定工具，Claude Code会自动继承所有可用工具
+      rendered = resolved;
+    }
+
+    return { rendered, status, result: await installer.write(rendered) };
+  } catch (error) {
+    // 保留错误类型，退出码据此区分失败原因
+    error.message = t('install.failed', { reason: error.message });
+    throw error;
+  }
+}
+
+// --json 输出的安装结果，字段与库接口 installRole 的结果相同
+function installSummary({ rendered, status }, scope) {
+  return { ...RoleInstaller.summarize(rendered), scope, status };
+}
+
+// 是否可以交互询问：--json 的输出供脚本读取，视为非交互
+function canPrompt(flags) {
+  return process.stdin.isTTY && !flags.json;
+}
+
+// 显示用的文件路径
+function targetOf(rendered) {
+  return displayPath(rendered.filePath);
+}
+
+// 项目级和用户级存在同名角色时提示遮蔽关系
+function warnShadowing(rendered) {
+  const shadowing = findShadowing(path.dirname(path.dirname(rendered.filePath)), rendered.installType, rendered.fileName);
+  if (shadowing) {
+    const key = shadowing.shadows ? 'install.shadowsUser' : 'install.shadowedByProject';
+    logger.warn(t(key, { file: targetOf(rendered), other: displayPath(shadowing.filePath) }));
+  }
+}
+
+// 输出带颜色的 unified diff
+function printDiff(target, oldContent, newContent) {
+  const lines = createUnifiedDiff(oldContent, newContent, { oldLabel: `a/${target}`, newLabel: `b/${target}` });
+  lines.forEach(line => {
+    if (line.startsWith('---') || line.startsWith('+++')) {
+      print(chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      print(chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      print(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      print(chalk.red(line));
+    } else {
+      print(line);
+    }
+  });
+}
+
+// --dry-run: 输出将要写入的完整内容，以及与已有文件的差异
+function printPreview(rendered, existing) {
+  const target = targetOf(rendered);
+
+  print(chalk.blue.bold(t('install.preview', { file: target })));
+  print(rendered.fileContent);
+
+  if (existing === null) {
+    print(chalk.gray(t('install.previewNew')));
+  } else if (existing === rendered.fileContent) {
+    print(chalk.gray(t('install.previewUnchanged')));
+  } else {
+    print(chalk.blue.bold(t('install.previewDiff', { file: target })));
+    printDiff(target, existing, rendered.fileContent);
+  }
+
+  print(chalk.yellow(t('install.dryRunDone')));
+}
+
+// 目标文件已存在且内容不同：展示diff，询问覆盖、保留或换名安装
+// 返回要写入的渲染结果，保留原文件时返回 null
+async function resolveConflict(installer, rendered, existing, flags) {
+  const target = targetOf(rendered);
+  const pristine = await installer.isPristine(rendered);
 
-      const commandResult = await ClaudeCodeBuilder.createCommand(commandConfig);
+  // 非交互时只覆盖px2cc生成且未被修改的文件，其他情况需要 --force
+  if (flags.yes || !canPrompt(flags)) {
+    if (!pristine && !flags.force) {
+      throw new ConflictError(t('install.conflictNeedsForce', { file: target }));
+    }
+    return rendered;
+  }
+
+  print(chalk.yellow(t(pristine ? 'install.conflictGenerated' : 'install.conflictModified', { file: target })));
+  printDiff(target, existing, rendered.fileContent);
+
+  const { action } = await inquirer.prompt([{
+    type: 'list',
+    name: 'action',
+    message: t('install.conflictPrompt', { file: target }),
+    choices: [
+      { name: t('install.conflictOverwrite'), value: 'overwrite' },
+      { name: t('install.conflictKeep'), value: 'keep' },
+      { name: t('install.conflictRename'), value: 'rename' }
+    ],
+    default: pristine ? 'overwrite' : 'keep'
+  }]);
+
+  if (action === 'overwrite') {
+    return rendered;
+  }
+  if (action === 'keep') {
+    print(chalk.yellow(t('install.kept', { file: target })));
+    return null;
+  }
 
-      if (!commandResult.success) {
-        throw new Error(`创建Command失败: ${commandResult.error}`);
+  const { newName } = await inquirer.prompt([{
+    type: 'input',
+    name: 'newName',
+    message: t('install.renamePrompt'),
+    default: suggestFreeName(installer, rendered),
+    validate: (input) => {
+      const validation = validateInstallName(input);
+      if (validation !== true) {
+        return validation;
       }
-      results.commandFile = `${finalName}.md`;
-      results.usage = `/${finalName}`;
+      const candidate = installer.rename(rendered, input.trim());
+      return fs.existsSync(candidate.filePath) ? t('install.nameTaken', { file: targetOf(candidate) }) : true;
     }
+  }]);
 
-    results.roleName = roleName;
-    results.installType = installType;
-    return results;
-    
-  } catch (error) {
-    throw new Error(`安装角色失败: ${error.message}`);
+  return installer.rename(rendered, newName.trim());
+}
+
+// 在原名字后追加序号，找到一个未被占用的名字
+function suggestFreeName(installer, rendered) {
+  for (let index = 2; ; index++) {
+    const name = `${rendered.finalName}-${index}`;
+    if (!fs.existsSync(installer.rename(rendered, name).filePath)) {
+      return name;
+    }
   }
 }
 
-// 主程序入口
-export async function main() {
-  try {
-    showWelcome();
-    
-    // 检查是否跳过MCP发现（用于快速测试）
-    const skipMCP = process.argv.includes('--skip-mcp');
-    
-    let availableServers;
-    if (skipMCP) {
-      console.log(chalk.yellow('⚠️  跳过MCP发现（测试模式）'));
-      availableServers = {
-        defaultTools: ['Read', 'Write', 'Edit', 'Bash'],
-        mcpServers: []
-      };
-    } else {
-      // 发现MCP服务器
-      console.log(chalk.cyan('🔍 正在发现MCP服务器...\n'));
-      try {
-        availableServers = await discoverMCPServers();
-      } catch (error) {
-        console.error(chalk.yellow('⚠️  MCP服务器发现失败，使用默认配置'));
-        availableServers = {
-          defaultTools: ['Read', 'Write', 'Edit', 'Bash'],
-          mcpServers: []
-        };
+// 输出安装结果
+function printInstallResult(result) {
+  print(chalk.green.bold(t('install.done')));
+  print(t('install.files'));
+  
+  const file = result.agentFile || result.commandFile;
+  if (file) {
+    print(`   - ${chalk.gray(`${displayPath(path.dirname(result.filePath))}/`)}${chalk.white(file)}`);
+  }
+  
+  print(chalk.magenta(t('install.usage')));
+  if (result.usage) {
+    print(chalk.yellow(`   ${result.usage}`));
+  }
+  
+  print(chalk.gray(t('install.restartHint')));
+}
+
+// 非交互式安装: px2cc install <roleId> --as agent|command [--name] [--tools] [--source] [--dry-run] [--force] [--yes]
+async function runInstallCommand(positionals, flags) {
+  const roleId = positionals[0];
+  if (!roleId) {
+    throw new UsageError(t('install.missingRole'));
+  }
+  if (!flags.as) {
+    throw new UsageError(t('install.missingType'));
+  }
+
+  // 先校验全部参数，再加载角色
+  const installType = parseInstallType(flags.as);
+
+  let customName = '';
+  if (flags.name !== undefined) {
+    const validation = validateInstallName(flags.name);
+    if (validation !== true) {
+      throw new UsageError(t('options.invalidName', { name: flags.name, reason: validation }));
+    }
+    customName = flags.name.trim();
+  }
+
+  const tools = flags.tools !== undefined ? parseToolList(flags.tools) : undefined;
+  const toolProfile = flags['tool-profile'] !== undefined ? parseToolProfile(flags['tool-profile']) : undefined;
+  const options = parseRenderFlags(flags);
+  checkCommandOnlyOptions(installType, options);
+  const target = parseTargetFlags(flags);
+  const rolesDir = parseRolesDirFlag(flags);
+  const source = parseSourceFlag(flags);
+
+  print(chalk.cyan(loadingMessage(rolesDir)));
+  const roles = await getAllRoles(rolesDir);
+  const selectedRole = findRole(roleId, roles, source);
+  printRoleSource(selectedRole, roles);
+
+  // 预览不写入文件，无需确认
+  if (!flags.yes && !flags['dry-run']) {
+    if (!canPrompt(flags)) {
+      throw new UsageError(t('install.needsYes'));
+    }
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: customName
+        ? t('menu.confirmNamed', { role: roleId, name: chalk.yellow(customName) })
+        : t('menu.confirmRole', { role: roleId }),
+      default: true
+    }]);
+    if (!confirm) {
+      print(chalk.yellow(t('install.cancelled')));
+      return { install: null };
+    }
+  }
+
+  const claudeDir = flags['dry-run'] ? target.claudeDir : checkDirectory(target.claudeDir);
+
+  print(chalk.blue(t('install.start', { role: roleId, type: installType })));
+
+  // 未指定工具时使用角色推荐的工具配置，角色也未声明时继承所有可用工具
+  // 推荐工具配置和渲染使用同一个安装器，角色只加载一次
+  const installer = new RoleInstaller(claudeDir, { logger });
+  const selectedTools = await installer.resolveTools(selectedRole, { tools, toolProfile });
+  const outcome = await installRole(installer, selectedRole, installType, selectedTools, customName, options, flags);
+  if (outcome && outcome.result && !flags.json) {
+    printInstallResult(outcome.result);
+  }
+  return { install: outcome && { ...installSummary(outcome, target.scope), dryRun: Boolean(flags['dry-run']) } };
+}
+
+// 按清单同步: px2cc sync [--manifest px2cc.json] [--prune] [--force]
+// 与 install、update 相同，只覆盖由px2cc生成且未被修改的文件，其他文件需要 --force，冲突的条目跳过并在最后报告
+async function runSyncCommand(flags) {
+  const manifestPath = path.resolve(flags.manifest || DEFAULT_MANIFEST_FILE);
+  const manifest = await Manifest.load(manifestPath);
+  const target = parseTargetFlags(flags);
+  print(chalk.cyan(t('sync.manifest', { file: path.relative(process.cwd(), manifestPath), count: manifest.entries.length })));
+
+  // --roles-dir 优先于清单中的 rolesDir
+  const rolesDir = parseRolesDirFlag(flags) || manifest.rolesDir;
+
+  print(chalk.cyan(loadingMessage(rolesDir)));
+  const available = await getAllRoles(rolesDir);
+  // 先确认清单中的角色都存在，避免同步到一半才失败
+  const roles = manifest.entries.map(entry => findRole(entry.roleId, available, entry.source));
+
+  const claudeDir = checkDirectory(target.claudeDir);
+  const installer = new RoleInstaller(claudeDir, { logger });
+  const summary = { created: [], updated: [], unchanged: [], conflicts: [], pruned: [] };
+
+  for (const [index, entry] of manifest.entries.entries()) {
+    const tools = await installer.resolveTools(roles[index], { tools: entry.tools, toolProfile: entry.toolProfile });
+    const rendered = await installer.render(roles[index], entry.installType, tools, entry.customName, entry.options);
+    const target = `${entry.installType}/${rendered.fileName}`;
+    const existing = fs.existsSync(rendered.filePath) ? fs.readFileSync(rendered.filePath, 'utf8') : null;
+
+    if (existing === rendered.fileContent) {
+      // 内容一致时不重写，只确保记录在锁文件中
+      await installer.record(rendered);
+      summary.unchanged.push(target);
+      continue;
+    }
+
+    if (existing !== null && !flags.force && !(await installer.isPristine(rendered))) {
+      logger.warn(t('sync.conflict', { file: targetOf(rendered) }));
+      summary.conflicts.push(target);
+      continue;
+    }
+
+    await installer.write(rendered);
+    (existing === null ? summary.created : summary.updated).push(target);
+  }
+
+  if (flags.prune) {
+    // 只删除锁文件中记录、且已不在清单里的文件
+    const wanted = new Set(manifest.entries.map(entry => `${entry.installType}/${entry.fileName}`));
+    const lock = await installer.lock.load();
+
+    for (const entry of lock.list()) {
+      const target = `${entry.installType}/${entry.file}`;
+      if (wanted.has(target)) {
+        continue;
+      }
+      // 安装后被手动修改过的文件与覆盖时相同，需要 --force
+      if (!flags.force && await lock.checkFile(entry) === 'modified') {
+        logger.warn(t('sync.pruneConflict', { file: displayPath(lock.pathOf(entry)) }));
+        summary.conflicts.push(target);
+        continue;
+      }
+      fs.rmSync(lock.pathOf(entry), { force: true });
+      lock.remove(entry.installType, entry.file);
+      summary.pruned.push(target);
+    }
+    await lock.save();
+  }
+
+  const result = { sync: { manifest: manifestPath, scope: target.scope, ...summary } };
+  if (!flags.json) {
+    print(summary.conflicts.length > 0 ? chalk.yellow.bold(t('sync.doneWithConflicts')) : chalk.green.bold(t('sync.done')));
+    const groups = [
+      ['created', chalk.green],
+      ['updated', chalk.yellow],
+      ['unchanged', chalk.gray],
+      ['conflicts', chalk.red],
+      ['pruned', chalk.red]
+    ];
+    for (const [key, color] of groups) {
+      if (summary[key].length > 0) {
+        print(color(`   ${t(`sync.${key}`)} (${summary[key].length}): ${summary[key].join(', ')}`));
+      }
+    }
+
+    if (summary.created.length > 0 || summary.updated.length > 0) {
+      print(chalk.gray(t('install.restartHint')));
+    }
+  }
+
+  if (summary.conflicts.length > 0) {
+    throw new ConflictError(t('sync.conflictsNeedForce', { count: summary.conflicts.length }), result);
+  }
+  return result;
+}
+
+// 读取各安装位置的锁文件，未指定 --scope / --target-dir 时同时读取项目级和用户级
+async function loadLocks(flags) {
+  const targets = hasTargetFlags(flags) ? [parseTargetFlags(flags)] : listTargets();
+  const locks = [];
+  for (const target of targets) {
+    locks.push({ ...target, lock: await new InstallLock(target.claudeDir).load() });
+  }
+  return locks;
+}
+
+// 列出已安装的角色: px2cc list [--scope project|user] [--target-dir <dir>]
+async function runListCommand(flags) {
+  const locks = await loadLocks(flags);
+  const installed = [];
+
+  for (const { scope, claudeDir, lock } of locks) {
+    for (const entry of lock.list()) {
+      installed.push({
+        scope,
+        claudeDir,
+        entry,
+        filePath: lock.pathOf(entry),
+        status: await lock.checkFile(entry),
+        shadowing: findShadowing(claudeDir, entry.installType, entry.file)
+      });
+    }
+  }
+
+  if (!flags.json) {
+    printInstalled(locks, installed);
+  }
+  return {
+    installed: installed.map(({ scope, entry, filePath, status, shadowing }) => ({
+      name: entry.name,
+      installType: entry.installType,
+      roleId: entry.roleId,
+      source: entry.source,
+      scope,
+      filePath,
+      status,
+      installedAt: entry.installedAt,
+      promptxVersion: entry.promptxVersion,
+      ...(shadowing && { [shadowing.shadows ? 'shadows' : 'shadowedBy']: shadowing.filePath })
+    }))
+  };
+}
+
+// 按安装位置分组输出已安装的角色
+function printInstalled(locks, installed) {
+  if (installed.length === 0) {
+    print(chalk.gray(t('lock.empty')));
+    return;
+  }
+
+  const statusLabels = {
+    ok: chalk.green(t('list.ok')),
+    modified: chalk.yellow(t('status.modified')),
+    missing: chalk.red(t('status.missing'))
+  };
+
+  for (const { scope, claudeDir } of locks) {
+    const items = installed.filter(item => item.claudeDir === claudeDir);
+    if (items.length === 0) {
+      continue;
+    }
+
+    print(chalk.blue.bold(t('list.title', { count: items.length, scope: t(`scope.${scope}`), dir: displayPath(claudeDir) })));
+    for (const { entry, filePath, status, shadowing } of items) {
+      const type = entry.installType === 'agents' ? 'Agent' : 'Command';
+      print(`${chalk.bold(entry.name)} ${chalk.gray(`(${type})`)} ${statusLabels[status]}`);
+      print(chalk.gray(t('list.file', { file: displayPath(filePath) })));
+      print(chalk.gray(t('list.role', { role: `${entry.roleId}${entry.source ? ` (${entry.source})` : ''}` })));
+      if (entry.installedAt) {
+        print(chalk.gray(t('list.installed', { time: `${entry.installedAt}${entry.promptxVersion ? ` · @promptx/core ${entry.promptxVersion}` : ''}` })));
+      }
+
+      if (shadowing) {
+        const key = shadowing.shadows ? 'list.shadowsUser' : 'list.shadowedByProject';
+        print(chalk.yellow(t(key, { other: displayPath(shadowing.filePath) })));
       }
     }
-    
-    // 加载角色
-    console.log(chalk.cyan('🔍 正在从PromptX系统加载角色...\n'));
-    const { systemRoles, userRoles, manager } = await getAllRoles();
-    
-    console.log(chalk.green('✅ 加载完成!'));
-    console.log(`📊 发现 ${chalk.bold(systemRoles.length)} 个系统角色，${chalk.bold(userRoles.length)} 个用户角色\n`);
-    
-    // 显示角色选择
-    const { selectedRole, installType, confirm, selectedTools, customName } = await showRoleMenu(systemRoles, userRoles, availableServers);
-    
+    print('');
+  }
+}
+
+// 卸载已安装的角色: px2cc uninstall <name> [--as agent|command] [--scope project|user] [--yes]
+async function runUninstallCommand(positionals, flags) {
+  const name = positionals[0];
+  if (!name) {
+    throw new UsageError(t('uninstall.missingName'));
+  }
+
+  const installType = flags.as ? parseInstallType(flags.as) : undefined;
+  const locks = await loadLocks(flags);
+  const found = locks.filter(({ lock }) => lock.find(name, installType).length > 0);
+
+  if (found.length === 0) {
+    throw new NotFoundError(t('lock.notFound', { name }));
+  }
+  if (found.length > 1) {
+    throw new UsageError(t('uninstall.ambiguousScope', { name, dirs: found.map(({ claudeDir }) => displayPath(claudeDir)).join(', ') }));
+  }
+
+  const { lock } = found[0];
+  const matches = lock.find(name, installType);
+  if (matches.length > 1) {
+    throw new UsageError(t('uninstall.ambiguous', { name }));
+  }
+
+  const entry = matches[0];
+  const target = displayPath(lock.pathOf(entry));
+  const status = await lock.checkFile(entry);
+
+  if (status === 'modified') {
+    logger.warn(t('uninstall.modifiedWarning', { file: target }));
+  }
+
+  if (!flags.yes) {
+    if (!canPrompt(flags)) {
+      throw new UsageError(t('uninstall.needsYes'));
+    }
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: t('uninstall.confirm', { file: target }),
+      default: status !== 'modified'
+    }]);
     if (!confirm) {
-      console.log(chalk.yellow('\n👋 安装已取消'));
+      print(chalk.yellow(t('uninstall.cancelled')));
+      return { uninstall: null };
+    }
+  }
+
+  fs.rmSync(lock.pathOf(entry), { force: true });
+  lock.remove(entry.installType, entry.file);
+  await lock.save();
+
+  print(chalk.green(t(status === 'missing' ? 'uninstall.doneMissing' : 'uninstall.done', { name: entry.name })));
+  return {
+    uninstall: { name: entry.name, installType: entry.installType, roleId: entry.roleId, scope: found[0].scope, filePath: lock.pathOf(entry), status }
+  };
+}
+
+// 检查已安装角色是否过期: px2cc status / px2cc update [name...] [--force]
+async function runStatusCommand(positionals, flags, { update = false } = {}) {
+  const { scope, claudeDir } = parseTargetFlags(flags);
+  const installer = new RoleInstaller(claudeDir, { logger });
+  await installer.lock.load();
+
+  let entries = installer.lock.list();
+  if (positionals.length > 0) {
+    entries = positionals.flatMap(name => {
+      const matches = installer.lock.find(name);
+      if (matches.length === 0) {
+        throw new NotFoundError(t('lock.notFound', { name }));
+      }
+      return matches;
+    });
+  }
+
+  if (entries.length === 0) {
+    print(chalk.gray(t('lock.empty')));
+    return { scope, entries: [], ...(update && { updated: [], skipped: [] }) };
+  }
+
+  print(chalk.cyan(t('status.checking', { count: entries.length })));
+  const checks = [];
+  for (const entry of entries) {
+    checks.push(await installer.check(entry));
+  }
+
+  if (!flags.json) {
+    const statusLabels = {
+      'up-to-date': chalk.green(t('status.upToDate')),
+      outdated: chalk.yellow(t('status.outdated')),
+      modified: chalk.yellow(t('status.modified')),
+      missing: chalk.red(t('status.missing')),
+      error: chalk.red(t('status.error'))
+    };
+
+    print(chalk.blue.bold(t('status.title')));
+    for (const { entry, status, error } of checks) {
+      const type = entry.installType === 'agents' ? 'Agent' : 'Command';
+      print(`   ${chalk.bold(entry.name)} ${chalk.gray(`(${type}, ${entry.roleId})`)} ${statusLabels[status]}`);
+      if (error) {
+        print(chalk.gray(`   ${t('common.reason', { reason: error })}`));
+      }
+    }
+  }
+
+  const stale = checks.filter(check => check.status === 'outdated' || check.status === 'missing');
+  const modified = checks.filter(check => check.status === 'modified');
+  const failed = checks.filter(check => check.status === 'error');
+  const names = items => items.map(check => check.entry.name);
+  const result = {
+    scope,
+    entries: checks.map(({ entry, status, rendered, error }) => ({
+      name: entry.name,
+      installType: entry.installType,
+      roleId: entry.roleId,
+      filePath: installer.lock.pathOf(entry),
+      status,
+      ...(rendered && { missingDependencies: rendered.missingDependencies }),
+      ...(error && { error })
+    }))
+  };
+  const failIfAny = () => {
+    if (failed.length > 0) {
+      throw new PartialFailureError(t('status.failed', { count: failed.length, names: names(failed).join(', ') }), result);
+    }
+  };
+
+  if (!update) {
+    if (!flags.json && stale.length > 0) {
+      print(chalk.gray(t('status.updateHint')));
+    }
+    if (!flags.json && modified.length > 0) {
+      print(chalk.gray(t('status.forceHint')));
+    }
+    failIfAny();
+    return result;
+  }
+
+  // 手动修改过的文件默认跳过，避免覆盖修改
+  const targets = flags.force ? [...stale, ...modified] : stale;
+  for (const { rendered } of targets) {
+    await installer.write(rendered);
+  }
+  result.updated = names(targets);
+  result.skipped = flags.force ? [] : names(modified);
+
+  if (targets.length > 0) {
+    print(chalk.green.bold(t('update.done', { count: targets.length, names: names(targets).join(', ') })));
+    print(chalk.gray(t('install.restartHint')));
+  } else {
+    print(chalk.green(t('update.nothing')));
+  }
+  if (result.skipped.length > 0) {
+    logger.warn(t('update.skippedModified', { names: result.skipped.join(', ') }));
+  }
+  failIfAny();
+  return result;
+}
+
+// 打印角色依赖树: px2cc deps <roleId> [--source]
+async function runDepsCommand(positionals, flags) {
+  const roleId = positionals[0];
+  if (!roleId) {
+    throw new UsageError(t('deps.missingRole'));
+  }
+
+  const rolesDir = parseRolesDirFlag(flags);
+  const selectedRole = findRole(roleId, await getAllRoles(rolesDir), parseSourceFlag(flags));
+
+  const processor = new PromptXActionProcessor({ logger, rolesDir: selectedRole.rolesDir, source: selectedRole.source });
+  const { dependencies, tree } = await processor.resolveDependencies(roleId);
+  const { roots, nodes, cycles, missing } = dependencies.graph;
+
+  if (!flags.json) {
+    print(chalk.blue.bold(t('deps.title', { role: roleId })));
+    tree.forEach(line => print(`   ${line}`));
+
+    print(chalk.gray(t('deps.summary', { total: Object.keys(nodes).length, missing: missing.length, cycles: cycles.length })));
+  }
+
+  // 节点内容较大，JSON中只保留依赖关系
+  const graphNodes = {};
+  Object.entries(nodes).forEach(([key, node]) => {
+    graphNodes[key] = { protocol: node.protocol, id: node.id, children: node.children, missing: !node.content };
+  });
+  return { deps: { roleId, roots, nodes: graphNodes, cycles, missing } };
+}
+
+// 列出PromptX中可安装的角色: px2cc roles [--roles-dir <dir>]
+async function runRolesCommand(flags) {
+  const roles = await listRoles({ rolesDir: parseRolesDirFlag(flags) });
+
+  if (!flags.json) {
+    roles.forEach(role => print(roleLabel(role)));
+  }
+  return { roles };
+}
+
+// 检查角色定义: px2cc lint <roleId...> | --all [--source] [--strict] [--max-resource-tokens <n>]
+async function runLintCommand(positionals, flags) {
+  if (positionals.length === 0 && !flags.all) {
+    throw new UsageError(t('lint.missingRole'));
+  }
+  if (positionals.length > 0 && flags.all) {
+    throw new UsageError(t('lint.allWithRoles'));
+  }
+  const maxResourceTokens = flags['max-resource-tokens'] !== undefined
+    ? parseMaxTokens(flags['max-resource-tokens'])
+    : DEFAULT_MAX_RESOURCE_TOKENS;
+  const rolesDir = parseRolesDirFlag(flags);
+  const source = parseSourceFlag(flags);
+
+  print(chalk.cyan(loadingMessage(rolesDir)));
+  const roles = await getAllRoles(rolesDir);
+  // --all 时检查每个来源中的角色，包括被覆盖的版本
+  const targets = flags.all
+    ? [...roles.localRoles, ...roles.systemRoles, ...roles.projectRoles, ...roles.userRoles]
+      .filter(role => !source || role.source === source)
+      .map(role => ({ role: role.id, source: role.source, ...(role.rolesDir && { rolesDir: role.rolesDir }) }))
+    : positionals.map(roleId => findRole(roleId, roles, source));
+  if (targets.length === 0) {
+    if (rolesDir) {
+      throw new ConfigError(t('local.noRoles', { dir: displayPath(rolesDir) }));
+    }
+    print(chalk.gray(t('lint.noRoles')));
+    return { lint: { roles: [], errors: 0, warnings: 0 } };
+  }
+
+  print(chalk.cyan(t('lint.checking', { count: targets.length })));
+  // 处理器的加载日志与检查结果重复，不输出
+  const processors = new Map();
+  const results = [];
+  for (const target of targets) {
+    const key = target.rolesDir || target.source;
+    if (!processors.has(key)) {
+      processors.set(key, new PromptXActionProcessor({ logger: silentLogger, rolesDir: target.rolesDir, source: target.source }));
+    }
+    const issues = await lintRole(processors.get(key), target.role, { maxResourceTokens });
+    results.push({ roleId: target.role, source: target.source, issues });
+  }
+
+  const count = severity => results.reduce((total, result) => total + result.issues.filter(item => item.severity === severity).length, 0);
+  const summary = { roles: results, errors: count('error'), warnings: count('warning') };
+
+  if (!flags.json) {
+    const severityLabels = {
+      error: chalk.red(`✗ ${t('lint.error')}`),
+      warning: chalk.yellow(`⚠ ${t('lint.warning')}`)
+    };
+    results.forEach(result => {
+      const label = `${chalk.bold(result.roleId)} ${chalk.gray(`(${t(`roleSource.${result.source}`)})`)}`;
+      if (result.issues.length === 0) {
+        print(`${label} ${chalk.green(`✓ ${t('lint.clean')}`)}`);
+        return;
+      }
+      print(label);
+      result.issues.forEach(item => {
+        print(`   ${severityLabels[item.severity]} ${chalk.gray(item.rule)} ${item.resource}: ${item.message}`);
+      });
+    });
+    print(chalk.blue(t('lint.summary', { roles: results.length, errors: summary.errors, warnings: summary.warnings })));
+  }
+
+  if (summary.errors > 0 || (flags.strict && summary.warnings > 0)) {
+    throw new LintError(t(flags.strict ? 'lint.failedStrict' : 'lint.failed', summary), { lint: summary });
+  }
+  return { lint: summary };
+}
+
+// 监视已安装角色的源文件，变化后重新生成: px2cc watch [name...] [--force]
+async function runWatchCommand(positionals, flags) {
+  // 持续运行直到 Ctrl+C，没有单个结果可以输出
+  if (flags.json) {
+    throw new UsageError(t('watch.noJson'));
+  }
+  const { claudeDir } = parseTargetFlags(flags);
+  const watcher = new RoleWatcher(claudeDir, { names: positionals, force: flags.force, logger });
+
+  const { entries, files } = await watcher.start();
+  print(chalk.blue(t('watch.started', { entries, files })));
+  print(chalk.gray(t('watch.stopHint')));
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await watcher.close();
+  print(chalk.gray(t('watch.stopped')));
+  return {};
+}
+
+// 交互式安装
+async function runInteractive(flags) {
+  showWelcome();
+  
+  // 检查是否跳过MCP发现（用于快速测试）
+  const skipMCP = Boolean(flags['skip-mcp']);
+  const options = parseRenderFlags(flags);
+  const presetTarget = hasTargetFlags(flags) ? parseTargetFlags(flags) : null;
+  
+  let availableServers;
+  if (skipMCP) {
+    print(chalk.yellow(t('mcp.skipped')));
+    availableServers = { mcpServers: [] };
+  } else {
+    // 发现MCP服务器
+    print(chalk.cyan(t('mcp.discovering')));
+    try {
+      availableServers = await discoverMCPServers(flags);
+    } catch (error) {
+      // 显式指定的配置文件出错时中止
+      if (flags['mcp-config']) {
+        throw error;
+      }
+      console.error(chalk.yellow(t('mcp.discoveryFailed')));
+      console.error(chalk.gray(t('common.reason', { reason: error.message })));
+      availableServers = { mcpServers: [] };
+    }
+  }
+  
+  // 加载角色
+  const rolesDir = parseRolesDirFlag(flags);
+  print(chalk.cyan(`${loadingMessage(rolesDir)}\n`));
+  const roles = await getAllRoles(rolesDir);
+  if (rolesDir && roles.localRoles.length === 0) {
+    throw new ConfigError(t('local.noRoles', { dir: displayPath(rolesDir) }));
+  }
+  
+  print(chalk.green(t('roles.loaded')));
+  if (rolesDir) {
+    print(t('roles.summaryLocal', { count: chalk.bold(roles.localRoles.length), dir: displayPath(rolesDir) }));
+  } else {
+    print(t('roles.summary', { system: chalk.bold(roles.systemRoles.length), project: chalk.bold(roles.projectRoles.length), user: chalk.bold(roles.userRoles.length) }));
+  }
+  
+  // 显示角色选择
+  const { selectedRole, installType, confirm, selectedTools, customName, target, installer } = await showRoleMenu(roles, availableServers, presetTarget);
+  
+  if (!confirm) {
+    print(chalk.yellow(t('install.cancelled')));
+    return;
+  }
+
+  // 角色已有认知网络时询问是否嵌入经验快照
+  if (options.cognition === undefined && await installer.processorFor(selectedRole).hasCognitionNetwork(selectedRole.role)) {
+    const { embedCognition } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'embedCognition',
+      message: t('menu.embedCognition', { role: selectedRole.role }),
+      default: false
+    }]);
+    if (embedCognition) {
+      options.cognition = 'embed';
+    }
+  }
+
+  if (installType === 'agents' && options.description === undefined) {
+    await editDescription(installer, selectedRole, options);
+  }
+  if (installType === 'commands') {
+    await selectCommandOptions(options);
+  }
+  checkCommandOnlyOptions(installType, options);
+
+  // 检查目录
+  if (!flags['dry-run']) {
+    checkDirectory(target.claudeDir);
+  }
+  
+  print(chalk.blue(t('install.start', { role: selectedRole.role, type: installType })));
+  
+  // 安装角色
+  const outcome = await installRole(installer, selectedRole, installType, selectedTools, customName, options, flags);
+  if (outcome && outcome.result) {
+    printInstallResult(outcome.result);
+  }
+}
+
+// 执行子命令，返回 --json 输出的结果
+async function runCommand(command, positionals, flags) {
+  switch (command) {
+    case null:
+      // 交互式安装需要终端，不能输出JSON
+      if (flags.json) {
+        throw new UsageError(t('cli.jsonNeedsCommand'));
+      }
+      await runInteractive(flags);
+      return {};
+    case 'install':
+      return runInstallCommand(positionals, flags);
+    case 'sync':
+      return runSyncCommand(flags);
+    case 'roles':
+      return runRolesCommand(flags);
+    case 'list':
+      return runListCommand(flags);
+    case 'uninstall':
+      return runUninstallCommand(positionals, flags);
+    case 'deps':
+      return runDepsCommand(positionals, flags);
+    case 'lint':
+      return runLintCommand(positionals, flags);
+    case 'status':
+      return runStatusCommand(positionals, flags);
+    case 'update':
+      return runStatusCommand(positionals, flags, { update: true });
+    case 'watch':
+      return runWatchCommand(positionals, flags);
+    default:
+      throw new UsageError(t('cli.unknownCommand', { command }));
+  }
+}
+
+// --json: 把结果作为单个JSON文档写到 stdout
+function printJson(document) {
+  process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+}
+
+// 主程序入口
+// 失败时的退出码见 src/errors.js
+export async function main() {
+  // 在解析参数前确定输出方式，参数错误也按JSON输出
+  const json = process.argv.slice(2).includes('--json');
+  const warnings = [];
+  let command = null;
+
+  if (json) {
+    print = console.error;
+    // 警告同时收集到JSON结果中
+    logger = {
+      info: message => console.error(chalk.cyan(message)),
+      success: message => console.error(chalk.green(message)),
+      detail: message => console.error(chalk.gray(message)),
+      warn: message => {
+        warnings.push(message.trim());
+        consoleLogger.warn(message);
+      },
+      error: consoleLogger.error
+    };
+  }
+
+  try {
+    const parsed = parseArgs(process.argv.slice(2));
+    command = parsed.command;
+    setLocale(resolveLocale(parsed.flags.lang));
+
+    if (parsed.flags.help) {
+      showHelp();
       return;
     }
 
-    // 检查目录
-    const claudeDir = checkDirectory();
-    
-    console.log(chalk.blue(`\n🎭 开始安装角色: ${selectedRole.role} (${installType})`));
-    
-    // 安装角色
-    const result = await installRole(selectedRole, installType, claudeDir, selectedTools, customName);
-    
-    console.log(chalk.green.bold('\n✅ 角色安装完成！'));
-    console.log(`\n📄 生成的文件:`);
-    
-    if (result.agentFile) {
-      console.log(`   - ${chalk.gray('.claude/agents/')}${chalk.white(result.agentFile)}`);
-    }
-    if (result.commandFile) {
-      console.log(`   - ${chalk.gray('.claude/commands/')}${chalk.white(result.commandFile)}`);
-    }
-    
-    console.log(chalk.magenta(`\n🎉 现在你可以在Claude Code中使用:`));
-    if (result.usage) {
-      console.log(chalk.yellow(`   ${result.usage}`));
-    }
-    
-    console.log(chalk.gray(`\n💡 提示: 重启Claude Code以确保新配置生效`));
-    
+    const result = await runCommand(command, parsed.positionals, parsed.flags);
+    if (json) {
+      printJson({ ok: true, command, ...result, warnings });
+    }
   } catch (error) {
-    console.error(chalk.red('❌ 安装失败:'), error.message);
-    process.exit(1);
+    console.error(chalk.red(t('cli.failed')), error.message);
+    const { code, exitCode, message } = describeError(error);
+    if (json) {
+      printJson({ ok: false, command, ...error.result, error: { code, exitCode, message }, warnings });
+    }
+    process.exit(exitCode);
   }
 }
-
-// 运行主程序 - Windows兼容版本
-// 通过bin.js调用时直接执行，通过import调用时也执行
-main().catch(error => {
-  console.error(chalk.red('❌ 程序异常:'), error.message);
-  process.exit(1);
-});
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * px2cc 库入口 - 以编程方式列出、渲染和安装PromptX角色
+ *
+ * 导入本模块不会启动交互式安装，也不会直接写控制台：进度通过 options.logger 输出
+ * （见 src/logger.js），省略时不输出。命令行入口为 bin.js。
+ *
+ *   import { listRoles, renderRole, installRole, consoleLogger } from 'px2cc';
+ *
+ *   const roles = await listRoles();
+ *   const result = await installRole('sean', { as: 'agent', scope: 'user', toolProfile: 'read-only', logger: consoleLogger });
+ *
+ * 失败时抛出 src/errors.js 中的错误类型：参数错误为 UsageError、角色（或指定来源中的角色）不存在为 NotFoundError、
+ * 目标文件包含手动修改（未指定 force）为 ConflictError，error.code 标明类别。
+ *
+ * 注意：@promptx/core 有自己的日志输出，在导入前设置 LOG_LEVEL=silent 可以关闭。
+ */
+
+import { RoleInstaller } from './src/RoleInstaller.js';
+import { t } from './src/i18n.js';
+import { createLogger, silentLogger } from './src/logger.js';
+import { resolveInstallTarget } from './src/installScope.js';
+import { LocalRoleSource } from './src/LocalRoleSource.js';
+import { listSourceRoles, selectRole } from './src/roleSources.js';
+import { UsageError, ConflictError, PromptXError } from './src/errors.js';
+import {
+  validateInstallName,
+  parseInstallType,
+  parseToolList,
+  parseToolProfile,
+  parseRolesDir,
+  parseRoleSource,
+  parseRenderOptions,
+  checkCommandOnlyOptions
+} from './src/installOptions.js';
+
+export { consoleLogger, silentLogger, createLogger, LOG_LEVELS } from './src/logger.js';
+export { TOOL_PROFILES, BUILTIN_TOOLS } from './src/builtinTools.js';
+export { setLocale } from './src/i18n.js';
+export { Px2ccError, UsageError, ConfigError, NotFoundError, ConflictError, PromptXError, PartialFailureError, LintError, EXIT_CODES } from './src/errors.js';
+
+/**
+ * 列出PromptX中可安装的角色
+ *
+ * 同一角色ID存在于多个来源时每个来源各占一项，active 标明PromptX实际加载的版本
+ * （优先级 user > project > package），被覆盖的版本仍可以通过 options.source 安装。
+ *
+ * @param {Object} [options] - { rolesDir }，指定 rolesDir 时只列出该本地目录中的角色，不使用PromptX注册表
+ * @returns {Promise<Array<Object>>} [{ id, name, source, reference, active, overriddenBy }]
+ *   source 为 package（系统角色）、project（当前目录 .promptx 中的项目角色）、user（用户角色）
+ *   或 local（本地目录中的角色，另有 rolesDir）；overriddenBy 为覆盖该角色的来源
+ */
+export async function listRoles(options = {}) {
+  if (options.rolesDir !== undefined) {
+    return new LocalRoleSource(parseRolesDir(options.rolesDir)).listRoles();
+  }
+
+  try {
+    return await listSourceRoles({ refresh: true });
+  } catch (error) {
+    throw new PromptXError(t('roles.loadFailed', { reason: error.message }));
+  }
+}
+
+/**
+ * 渲染角色，不写入文件
+ *
+ * @param {string} roleId - 角色ID
+ * @param {Object} options - 安装选项
+ * @param {string} options.as - agent|command（必需）
+ * @param {string} [options.name] - 自定义安装名字
+ * @param {Array<string>|string} [options.tools] - 工具列表，可与 toolProfile 组合
+ * @param {string} [options.toolProfile] - read-only|editor|full，两者都省略时使用角色推荐的工具配置
+ * @param {string} [options.scope] - project|user，默认 project
+ * @param {string} [options.targetDir] - 安装到指定目录，不能与 scope 同时使用
+ * @param {string} [options.rolesDir] - 从本地目录读取角色（*.role.md 等DPML文件），不使用PromptX注册表
+ * @param {string} [options.source] - user|project|package，安装指定来源中的角色，默认为PromptX生效的来源，
+ *   不能与 rolesDir 同时使用
+ * @param {Object} [options.logger] - 进度输出，默认不输出
+ *   其余渲染选项与 px2cc.json 清单条目相同：profile、knowledge、maxTokens、template、cognition、
+ *   maxConcepts、lang、description、model、argumentHint、customFields
+ * @returns {Promise<Object>} { roleId, source, installType, name, scope, filePath, usage, content, tools, options,
+ *   missingDependencies, status }
+ *   status 为与磁盘内容比较的结果: new | unchanged | changed
+ *   missingDependencies 为无法加载、未写入内容的依赖资源
+ */
+export async function renderRole(roleId, options = {}) {
+  const { installer, target, rendered } = await prepare(roleId, options);
+  const existing = await installer.readExisting(rendered);
+  return toResult(rendered, target, { status: compareStatus(existing, rendered) });
+}
+
+/**
+ * 渲染并安装角色，记录到安装位置的 px2cc.lock.json
+ *
+ * 目标文件已存在时，只有由px2cc生成且未被修改过的文件会被覆盖，
+ * 包含手动修改的文件需要 force。
+ *
+ * @param {string} roleId - 角色ID
+ * @param {Object} options - 同 renderRole，另外支持 force
+ * @param {boolean} [options.force] - 覆盖包含手动修改的文件
+ * @returns {Promise<Object>} 同 renderRole，status 为 created | updated | unchanged
+ */
+export async function installRole(roleId, options = {}) {
+  const { installer, target, rendered } = await prepare(roleId, options);
+  const existing = await installer.readExisting(rendered);
+
+  if (existing !== null && existing !== rendered.fileContent && !options.force && !(await installer.isPristine(rendered))) {
+    throw new ConflictError(t('api.conflictNeedsForce', { file: rendered.filePath }));
+  }
+
+  await installer.write(rendered);
+  const status = { new: 'created', changed: 'updated', unchanged: 'unchanged' }[compareStatus(existing, rendered)];
+  return toResult(rendered, target, { status });
+}
+
+/**
+ * 校验选项、查找角色并渲染
+ */
+async function prepare(roleId, options) {
+  if (!options.as) {
+    throw new UsageError(t('api.missingType'));
+  }
+  const installType = parseInstallType(options.as);
+
+  let customName = '';
+  if (options.name !== undefined) {
+    const validation = validateInstallName(options.name);
+    if (validation !== true) {
+      throw new UsageError(t('options.invalidName', { name: options.name, reason: validation }));
+    }
+    customName = options.name.trim();
+  }
+
+  const tools = options.tools !== undefined ? parseToolList(options.tools) : undefined;
+  const toolProfile = options.toolProfile !== undefined ? parseToolProfile(options.toolProfile) : undefined;
+  const renderOptions = parseRenderOptions(options);
+  checkCommandOnlyOptions(installType, renderOptions);
+  const target = resolveInstallTarget({ scope: options.scope, targetDir: options.targetDir });
+  if (options.source !== undefined && options.rolesDir !== undefined) {
+    throw new UsageError(t('options.sourceWithRolesDir'));
+  }
+  const source = options.source !== undefined ? parseRoleSource(options.source) : undefined;
+
+  const role = selectRole(await listRoles({ rolesDir: options.rolesDir }), roleId, source);
+  const selectedRole = { role: role.id, source: role.source, ...(role.rolesDir && { rolesDir: role.rolesDir }) };
+  const installer = new RoleInstaller(target.claudeDir, { logger: createLogger(options.logger || silentLogger) });
+  const selectedTools = await installer.resolveTools(selectedRole, { tools, toolProfile });
+  const rendered = await installer.render(selectedRole, installType, selectedTools, customName, renderOptions);
+  return { installer, target, rendered };
+}
+
+function compareStatus(existing, rendered) {
+  if (existing === null) {
+    return 'new';
+  }
+  return existing === rendered.fileContent ? 'unchanged' : 'changed';
+}
+
+function toResult(rendered, target, extra) {
+  return { ...RoleInstaller.summarize(rendered), scope: target.scope, ...extra };
+}
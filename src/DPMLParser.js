@@ -0,0 +1,456 @@
+/**
+ * DPMLParser - DPML文档解析器
+ *
+ * 将DPML（角色、thought、execution、knowledge 等资源）解析为带源码位置的语法树：
+ * - element - 标签，包含名字、属性和子节点，支持同名嵌套
+ * - text    - 文本；Markdown 代码块和行内代码标记为 code，其中的标签不会被解析
+ * - comment - <!-- 注释 -->
+ *
+ * 解析错误以 DPMLParseError 报告，包含错误码和行列位置。
+ * 默认遇到第一个错误即抛出；tolerant 模式下收集错误并尽量恢复（自动闭合未闭合的标签）。
+ */
+
+import { t } from './i18n.js';
+
+// 标签名
+const NAME_PATTERN = /[A-Za-z][\w.:-]*/y;
+// 属性名
+const ATTRIBUTE_NAME_PATTERN = /[^\s=/<>"']+/y;
+// 未加引号的属性值
+const UNQUOTED_VALUE_PATTERN = /[^\s>"']+/y;
+// 代码块起始行（``` 或 ~~~）
+const FENCE_PATTERN = /[ \t]*(`{3,}|~{3,})/y;
+
+// 无需闭合的HTML标签，Markdown内容中可能出现
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'wbr']);
+
+/**
+ * DPML资源引用，匹配 @!protocol://resource 或 @protocol://resource
+ * 使用时请通过 matchAll/replace，避免共享 lastIndex
+ */
+export const REFERENCE_PATTERN = /@!?(\w+):\/\/([\w\-./]+)/g;
+
+/**
+ * DPML解析错误
+ */
+export class DPMLParseError extends Error {
+  /**
+   * @param {string} code - 错误码，如 UNCLOSED_ELEMENT
+   * @param {string} reason - 错误描述
+   * @param {Object} position - { offset, line, column }
+   * @param {string} [tagName] - 出错的标签名
+   */
+  constructor(code, reason, position, tagName = null) {
+    super(t('dpml.position', { reason, line: position.line, column: position.column }));
+    this.name = 'DPMLParseError';
+    this.code = code;
+    this.reason = reason;
+    this.offset = position.offset;
+    this.line = position.line;
+    this.column = position.column;
+    this.tagName = tagName;
+  }
+}
+
+/**
+ * 解析结果 - 语法树及查询方法
+ */
+export class DPMLDocument {
+  /**
+   * @param {string} source - 原始内容
+   * @param {Object} root - 根节点
+   * @param {Array<DPMLParseError>} errors - 解析错误（tolerant 模式）
+   */
+  constructor(source, root, errors) {
+    this.source = source;
+    this.root = root;
+    this.errors = errors;
+  }
+
+  /**
+   * 深度优先查找所有指定名字的元素
+   * @param {string} name - 标签名
+   * @param {Object} node - 起始节点，默认根节点
+   * @returns {Array<Object>} 元素列表
+   */
+  findAll(name, node = this.root) {
+    const result = [];
+    const walk = (current) => {
+      for (const child of current.children || []) {
+        if (child.type !== 'element') {
+          continue;
+        }
+        if (child.name === name) {
+          result.push(child);
+        }
+        walk(child);
+      }
+    };
+    walk(node);
+    return result;
+  }
+
+  /**
+   * 查找第一个指定名字的元素
+   * @param {string} name - 标签名
+   * @param {Object} node - 起始节点
+   * @returns {Object|null} 元素
+   */
+  find(name, node = this.root) {
+    return this.findAll(name, node)[0] || null;
+  }
+
+  /**
+   * 获取直接子元素
+   * @param {Object} node - 父节点
+   * @param {string} [name] - 只返回指定名字的元素
+   * @returns {Array<Object>} 子元素
+   */
+  childElements(node, name) {
+    return node.children.filter(child => child.type === 'element' && (!name || child.name === name));
+  }
+
+  /**
+   * 元素标签之间的原始内容
+   * @param {Object} node - 元素
+   * @returns {string} 内容
+   */
+  innerSource(node) {
+    return this.source.slice(node.innerStart, node.innerEnd);
+  }
+
+  /**
+   * 元素的原始开始标签
+   * @param {Object} node - 元素
+   * @returns {string} 开始标签
+   */
+  openTagOf(node) {
+    return this.source.slice(node.start, node.innerStart);
+  }
+
+  /**
+   * 元素的原始结束标签（自动闭合或自闭合时为空）
+   * @param {Object} node - 元素
+   * @returns {string} 结束标签
+   */
+  closeTagOf(node) {
+    return this.source.slice(node.innerEnd, node.end);
+  }
+}
+
+/**
+ * DPML解析器
+ */
+export class DPMLParser {
+  /**
+   * @param {Object} options - 解析选项
+   * @param {boolean} options.tolerant - 收集错误并尽量恢复，而不是抛出第一个错误
+   */
+  constructor(options = {}) {
+    this.tolerant = Boolean(options.tolerant);
+  }
+
+  /**
+   * 解析DPML内容
+   * @param {string} source - 原始内容
+   * @returns {DPMLDocument} 解析结果
+   */
+  parse(source) {
+    const context = this.createContext(source);
+    const tokens = this.tokenize(context);
+    const root = { type: 'root', children: [], start: 0, end: source.length };
+    const stack = [root];
+
+    const closeElement = (element, innerEnd, end) => {
+      element.innerEnd = innerEnd;
+      element.end = end;
+      element.loc.end = context.positionOf(end);
+    };
+
+    for (const token of tokens) {
+      const parent = stack[stack.length - 1];
+
+      if (token.type === 'text' || token.type === 'comment') {
+        parent.children.push({
+          type: token.type,
+          value: source.slice(token.start, token.end),
+          code: Boolean(token.code),
+          start: token.start,
+          end: token.end,
+          loc: { start: context.positionOf(token.start), end: context.positionOf(token.end) }
+        });
+        continue;
+      }
+
+      if (token.type === 'open') {
+        const element = {
+          type: 'element',
+          name: token.name,
+          attributes: token.attributes,
+          children: [],
+          start: token.start,
+          innerStart: token.end,
+          innerEnd: token.end,
+          end: token.end,
+          loc: { start: context.positionOf(token.start), end: null }
+        };
+        parent.children.push(element);
+
+        if (token.selfClosing || VOID_ELEMENTS.has(token.name.toLowerCase())) {
+          closeElement(element, token.end, token.end);
+        } else {
+          stack.push(element);
+        }
+        continue;
+      }
+
+      // 结束标签
+      const depth = this.findOpenElement(stack, token.name);
+      if (depth === -1) {
+        this.report(context, 'UNEXPECTED_CLOSE_TAG', t('dpml.unexpectedClose', { tag: token.name }), token.start, token.name);
+        parent.children.push({
+          type: 'text',
+          value: source.slice(token.start, token.end),
+          code: false,
+          start: token.start,
+          end: token.end,
+          loc: { start: context.positionOf(token.start), end: context.positionOf(token.end) }
+        });
+        continue;
+      }
+
+      // 中间未闭合的元素在此处自动闭合
+      while (stack.length - 1 > depth) {
+        const unclosed = stack.pop();
+        this.report(context, 'UNCLOSED_ELEMENT', t('dpml.unclosed', { tag: unclosed.name }), unclosed.start, unclosed.name);
+        closeElement(unclosed, token.start, token.start);
+      }
+      closeElement(stack.pop(), token.start, token.end);
+    }
+
+    while (stack.length > 1) {
+      const unclosed = stack.pop();
+      this.report(context, 'UNCLOSED_ELEMENT', t('dpml.unclosed', { tag: unclosed.name }), unclosed.start, unclosed.name);
+      closeElement(unclosed, source.length, source.length);
+    }
+
+    return new DPMLDocument(source, root, context.errors);
+  }
+
+  /**
+   * 将内容切分为 open/close/text/comment 记号
+   * @param {Object} context - 解析上下文
+   * @returns {Array<Object>} 记号列表
+   */
+  tokenize(context) {
+    const { source } = context;
+    const tokens = [];
+    let textStart = 0;
+    let i = 0;
+
+    const flushText = (end) => {
+      if (end > textStart) {
+        tokens.push({ type: 'text', start: textStart, end });
+      }
+    };
+    const push = (token) => {
+      flushText(token.start);
+      tokens.push(token);
+      textStart = token.end;
+      i = token.end;
+    };
+
+    while (i < source.length) {
+      const char = source[i];
+
+      // 行首的 Markdown 代码块
+      if ((i === 0 || source[i - 1] === '\n') && (char === ' ' || char === '\t' || char === '`' || char === '~')) {
+        FENCE_PATTERN.lastIndex = i;
+        const fence = FENCE_PATTERN.exec(source);
+        if (fence) {
+          push({ type: 'text', code: true, start: i, end: this.findFenceEnd(source, i, fence[1]) });
+          continue;
+        }
+      }
+
+      // 行内代码
+      if (char === '`') {
+        const close = source.indexOf('`', i + 1);
+        const lineEnd = source.indexOf('\n', i);
+        if (close !== -1 && (lineEnd === -1 || close < lineEnd)) {
+          push({ type: 'text', code: true, start: i, end: close + 1 });
+          continue;
+        }
+      }
+
+      if (char === '<') {
+        const token = this.readMarkup(context, i);
+        if (token) {
+          push(token);
+          continue;
+        }
+      }
+
+      i++;
+    }
+
+    flushText(source.length);
+    return tokens;
+  }
+
+  /**
+   * 读取以 < 开头的注释或标签，不是标签时返回 null（作为普通文本处理）
+   * @param {Object} context - 解析上下文
+   * @param {number} start - < 的位置
+   * @returns {Object|null} 记号
+   */
+  readMarkup(context, start) {
+    const { source } = context;
+
+    if (source.startsWith('<!--', start)) {
+      const close = source.indexOf('-->', start + 4);
+      if (close === -1) {
+        this.report(context, 'UNTERMINATED_COMMENT', t('dpml.unterminatedComment'), start);
+        return null;
+      }
+      return { type: 'comment', start, end: close + 3 };
+    }
+
+    const closing = source[start + 1] === '/';
+    NAME_PATTERN.lastIndex = start + (closing ? 2 : 1);
+    const nameMatch = NAME_PATTERN.exec(source);
+    if (!nameMatch) {
+      return null;
+    }
+
+    const name = nameMatch[0];
+    let i = NAME_PATTERN.lastIndex;
+
+    if (closing) {
+      while (/\s/.test(source[i] || '')) i++;
+      if (source[i] !== '>') {
+        this.report(context, 'UNTERMINATED_TAG', t('dpml.unterminatedCloseTag', { tag: name }), start, name);
+        return null;
+      }
+      return { type: 'close', name, start, end: i + 1 };
+    }
+
+    const attributes = {};
+    while (i < source.length) {
+      while (/\s/.test(source[i] || '')) i++;
+
+      if (source[i] === '>') {
+        return { type: 'open', name, attributes, selfClosing: false, start, end: i + 1 };
+      }
+      if (source.startsWith('/>', i)) {
+        return { type: 'open', name, attributes, selfClosing: true, start, end: i + 2 };
+      }
+
+      ATTRIBUTE_NAME_PATTERN.lastIndex = i;
+      const attributeMatch = ATTRIBUTE_NAME_PATTERN.exec(source);
+      if (!attributeMatch) {
+        break;
+      }
+      i = ATTRIBUTE_NAME_PATTERN.lastIndex;
+
+      let value = true;
+      if (source[i] === '=') {
+        i++;
+        const quote = source[i];
+        if (quote === '"' || quote === '\'') {
+          const close = source.indexOf(quote, i + 1);
+          if (close === -1) {
+            this.report(context, 'UNTERMINATED_ATTRIBUTE', t('dpml.unterminatedAttribute', { tag: name, attribute: attributeMatch[0] }), i, name);
+            return null;
+          }
+          value = source.slice(i + 1, close);
+          i = close + 1;
+        } else {
+          UNQUOTED_VALUE_PATTERN.lastIndex = i;
+          const valueMatch = UNQUOTED_VALUE_PATTERN.exec(source);
+          value = valueMatch ? valueMatch[0] : '';
+          i = valueMatch ? UNQUOTED_VALUE_PATTERN.lastIndex : i;
+        }
+      }
+      attributes[attributeMatch[0]] = value;
+    }
+
+    this.report(context, 'UNTERMINATED_TAG', t('dpml.unterminatedOpenTag', { tag: name }), start, name);
+    return null;
+  }
+
+  /**
+   * 查找代码块结束位置（含结束行），未结束时到文末
+   * @param {string} source - 原始内容
+   * @param {number} start - 代码块起始行位置
+   * @param {string} fence - 起始围栏
+   * @returns {number} 结束位置
+   */
+  findFenceEnd(source, start, fence) {
+    let lineStart = source.indexOf('\n', start);
+    while (lineStart !== -1) {
+      lineStart++;
+      const lineEnd = source.indexOf('\n', lineStart);
+      const line = source.slice(lineStart, lineEnd === -1 ? source.length : lineEnd).trim();
+      if (line.startsWith(fence[0].repeat(fence.length)) && line.replace(/[`~]/g, '') === '') {
+        return lineEnd === -1 ? source.length : lineEnd;
+      }
+      lineStart = lineEnd;
+    }
+    return source.length;
+  }
+
+  /**
+   * 在打开的元素栈中查找同名元素
+   * @returns {number} 栈中位置，未找到返回 -1
+   */
+  findOpenElement(stack, name) {
+    for (let depth = stack.length - 1; depth > 0; depth--) {
+      if (stack[depth].name === name) {
+        return depth;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * 报告解析错误，tolerant 模式下收集，否则抛出
+   */
+  report(context, code, reason, offset, tagName = null) {
+    const error = new DPMLParseError(code, reason, context.positionOf(offset), tagName);
+    if (!this.tolerant) {
+      throw error;
+    }
+    context.errors.push(error);
+  }
+
+  /**
+   * 创建解析上下文（行首位置表，用于计算行列号）
+   * @param {string} source - 原始内容
+   * @returns {Object} 上下文
+   */
+  createContext(source) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') {
+        lineStarts.push(i + 1);
+      }
+    }
+
+    const positionOf = (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return { offset, line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    return { source, errors: [], positionOf };
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * InstallLock - 记录由 px2cc 安装到 .claude 目录的文件
+ *
+ * 锁文件位于 .claude/px2cc.lock.json，只有记录在其中的文件才会被
+ * sync --prune、uninstall 等操作修改或删除，手写的 agents/commands 不受影响。
+ *
+ * 每个条目记录安装来源：
+ * - name / file / installType - 安装名字、文件名和类型
+ * - roleId / source - 角色ID及来源（package|project|user|local），status、update 从同一来源重新渲染
+ * - rolesDir - 本地角色的目录（相对安装位置的上一级），仅 local 角色
+ * - customName - 自定义名字（未自定义时为空字符串）
+ * - tools - 工具列表（缺省表示继承所有工具）
+ * - options - 渲染选项（如 knowledge、lang），update 时沿用
+ * - contentHash - 写入文件内容的 sha256，用于发现手动修改
+ * - installedAt - 安装时间
+ * - px2ccVersion / promptxVersion - 安装时的版本
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { t } from './i18n.js';
+import { ConfigError } from './errors.js';
+
+const LOCK_FILE_NAME = 'px2cc.lock.json';
+const LOCK_VERSION = 1;
+
+export class InstallLock {
+  /**
+   * @param {string} claudeDir - .claude 目录路径
+   */
+  constructor(claudeDir) {
+    this.claudeDir = claudeDir;
+    this.filePath = path.join(claudeDir, LOCK_FILE_NAME);
+    this.entries = {};
+  }
+
+  /**
+   * 生成条目键
+   * @param {string} installType - agents|commands
+   * @param {string} fileName - 文件名（含 .md）
+   * @returns {string} 条目键
+   */
+  static keyOf(installType, fileName) {
+    return `${installType}/${fileName}`;
+  }
+
+  /**
+   * 计算文件内容哈希
+   * @param {string} content - 文件内容
+   * @returns {string} sha256 十六进制摘要
+   */
+  static hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * 读取锁文件，不存在时视为空
+   * @returns {Promise<InstallLock>} 当前实例
+   */
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.entries = {};
+        return this;
+      }
+      throw error;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      this.entries = data.entries || {};
+    } catch (error) {
+      throw new ConfigError(t('lock.invalid', { file: this.filePath, reason: error.message }));
+    }
+    return this;
+  }
+
+  /**
+   * 写回锁文件
+   */
+  async save() {
+    const data = {
+      version: LOCK_VERSION,
+      entries: this.entries
+    };
+    await fs.mkdir(this.claudeDir, { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  }
+
+  /**
+   * 记录一个安装条目
+   * @param {Object} entry - 条目，至少包含 installType 和 file
+   */
+  set(entry) {
+    this.entries[InstallLock.keyOf(entry.installType, entry.file)] = entry;
+  }
+
+  /**
+   * 获取安装条目
+   * @param {string} installType - agents|commands
+   * @param {string} fileName - 文件名
+   * @returns {Object|null} 条目
+   */
+  get(installType, fileName) {
+    return this.entries[InstallLock.keyOf(installType, fileName)] || null;
+  }
+
+  /**
+   * 移除安装条目
+   * @param {string} installType - agents|commands
+   * @param {string} fileName - 文件名
+   * @returns {boolean} 是否存在并被移除
+   */
+  remove(installType, fileName) {
+    const key = InstallLock.keyOf(installType, fileName);
+    if (!(key in this.entries)) {
+      return false;
+    }
+    delete this.entries[key];
+    return true;
+  }
+
+  /**
+   * 列出所有安装条目
+   * @returns {Array<Object>} 条目列表
+   */
+  list() {
+    return Object.values(this.entries);
+  }
+
+  /**
+   * 按安装名字或文件名查找条目
+   * @param {string} name - 安装名字或文件名（可省略 .md）
+   * @param {string} [installType] - 限定安装类型
+   * @returns {Array<Object>} 匹配的条目
+   */
+  find(name, installType) {
+    const fileName = name.endsWith('.md') ? name : `${name}.md`;
+    return this.list().filter(entry =>
+      (!installType || entry.installType === installType) &&
+      (entry.name === name || entry.file === fileName)
+    );
+  }
+
+  /**
+   * 检查条目对应文件的当前状态
+   * @param {Object} entry - 安装条目
+   * @returns {Promise<string>} ok|modified|missing
+   */
+  async checkFile(entry) {
+    try {
+      const content = await fs.readFile(this.pathOf(entry), 'utf8');
+      return InstallLock.hashContent(content) === entry.contentHash ? 'ok' : 'modified';
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 'missing';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 条目对应文件的绝对路径
+   * @param {Object} entry - 安装条目
+   * @returns {string} 文件路径
+   */
+  pathOf(entry) {
+    return path.join(this.claudeDir, entry.installType, entry.file);
+  }
+}
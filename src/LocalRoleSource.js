@@ -0,0 +1,147 @@
+/**
+ * LocalRoleSource - 从本地目录读取DPML角色，不依赖PromptX注册表
+ *
+ * 递归查找目录中的 <id>.role.md、<id>.thought.md、<id>.execution.md、<id>.knowledge.md，
+ * 目录结构不限（可以沿用PromptX的 role/<id>/<id>.role.md 布局，也可以平铺）。
+ * 角色中的 @!protocol://id 引用只在该目录中查找。
+ *
+ * 提供与 @promptx/core ResourceManager 相同的接口（initialized、initializeWithNewArchitecture、
+ * loadResource），PromptXActionProcessor 可以直接替换使用。
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { t } from './i18n.js';
+import { ConfigError } from './errors.js';
+
+// 识别的资源类型，对应文件名后缀 .<protocol>.md
+export const LOCAL_PROTOCOLS = ['role', 'thought', 'execution', 'knowledge'];
+
+// 扫描时跳过的目录
+const IGNORED_DIRS = new Set(['node_modules']);
+
+const FILE_PATTERN = new RegExp(`^(.+)\\.(${LOCAL_PROTOCOLS.join('|')})\\.md$`);
+const RESOURCE_URL_PATTERN = /^@!?([a-z]+):\/\/(.+)$/;
+
+export class LocalRoleSource {
+  /**
+   * @param {string} rolesDir - 角色目录
+   */
+  constructor(rolesDir) {
+    this.rolesDir = path.resolve(rolesDir);
+    this.initialized = false;
+    // "protocol:id" -> 文件路径
+    this.files = new Map();
+  }
+
+  /**
+   * 扫描角色目录（与 ResourceManager 同名，供 RoleLoader 调用）
+   */
+  async initializeWithNewArchitecture() {
+    let stat;
+    try {
+      stat = await fs.stat(this.rolesDir);
+    } catch (error) {
+      throw new ConfigError(t('local.dirNotFound', { dir: this.rolesDir }));
+    }
+    if (!stat.isDirectory()) {
+      throw new ConfigError(t('local.dirNotFound', { dir: this.rolesDir }));
+    }
+
+    this.files = new Map();
+    const duplicates = [];
+    for (const filePath of await this.scan(this.rolesDir)) {
+      const [, id, protocol] = path.basename(filePath).match(FILE_PATTERN);
+      const key = `${protocol}:${id}`;
+      if (this.files.has(key)) {
+        duplicates.push(t('local.duplicate', {
+          resource: `@${protocol}://${id}`,
+          files: [this.files.get(key), filePath].map(file => path.relative(this.rolesDir, file)).join(', ')
+        }));
+        continue;
+      }
+      this.files.set(key, filePath);
+    }
+
+    if (duplicates.length > 0) {
+      throw new ConfigError(`${t('local.invalid', { dir: this.rolesDir })}\n  - ${duplicates.join('\n  - ')}`);
+    }
+    this.initialized = true;
+  }
+
+  /**
+   * 文件是否为角色目录中会被读取的资源文件（与 scan 的规则相同，用于 watch 发现新建的文件）
+   * @param {string} rolesDir - 角色目录
+   * @param {string} filePath - 文件路径
+   * @returns {boolean} 是否为资源文件
+   */
+  static isResourceFile(rolesDir, filePath) {
+    const relative = path.relative(path.resolve(rolesDir), path.resolve(filePath));
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return false;
+    }
+    const segments = relative.split(path.sep);
+    return FILE_PATTERN.test(segments[segments.length - 1])
+      && segments.every(segment => !segment.startsWith('.') && !IGNORED_DIRS.has(segment));
+  }
+
+  /**
+   * 递归列出目录中的资源文件，按路径排序
+   * @param {string} dir - 目录
+   * @returns {Promise<Array<string>>} 文件路径
+   */
+  async scan(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || IGNORED_DIRS.has(entry.name)) {
+        continue;
+      }
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.scan(fullPath));
+      } else if (entry.isFile() && FILE_PATTERN.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+    return files.sort();
+  }
+
+  /**
+   * 列出目录中的角色
+   * @returns {Promise<Array<Object>>} [{ id, name, source: 'local', rolesDir, active: true }]
+   */
+  async listRoles() {
+    if (!this.initialized) {
+      await this.initializeWithNewArchitecture();
+    }
+    return [...this.files.keys()]
+      .filter(key => key.startsWith('role:'))
+      .map(key => key.slice('role:'.length))
+      .sort()
+      .map(id => ({ id, name: id, source: 'local', rolesDir: this.rolesDir, active: true }));
+  }
+
+  /**
+   * 读取资源
+   * @param {string} resourceUrl - @protocol://id 或 @!protocol://id
+   * @returns {Promise<Object>} { success, content, metadata }，资源不存在时 success 为 false
+   */
+  async loadResource(resourceUrl) {
+    if (!this.initialized) {
+      await this.initializeWithNewArchitecture();
+    }
+
+    const match = resourceUrl.match(RESOURCE_URL_PATTERN);
+    const filePath = match && this.files.get(`${match[1]}:${match[2]}`);
+    if (!filePath) {
+      return { success: false };
+    }
+
+    return {
+      success: true,
+      content: await fs.readFile(filePath, 'utf8'),
+      metadata: { filePath }
+    };
+  }
+}
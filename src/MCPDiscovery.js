@@ -0,0 +1,220 @@
+/**
+ * MCPDiscovery - 从Claude Code配置文件中发现MCP服务器
+ *
+ * 按优先级从低到高读取，同名服务器以后读取的为准：
+ * 1. user     - ~/.claude.json 的 mcpServers、~/.claude/settings.json 的 mcpServers
+ * 2. project  - 项目 .mcp.json、.claude/settings.json 的 mcpServers
+ * 3. local    - .claude/settings.local.json 的 mcpServers、~/.claude.json 中当前项目的 mcpServers
+ * 4. explicit - --mcp-config 指定的文件
+ *
+ * settings 文件中 disabledMcpjsonServers 列出的 .mcp.json 服务器会被忽略。
+ *
+ * 读取配置文件不需要 claude 命令，也不会启动服务器；
+ * checkHealth 可以额外调用 `claude mcp list` 检查服务器的连接状态。
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { execSync } from 'child_process';
+import { t } from './i18n.js';
+import { ConfigError } from './errors.js';
+import { displayPath } from './installScope.js';
+import { createLogger } from './logger.js';
+
+export const MCP_CONFIG_FILE = '.mcp.json';
+
+// 健康检查的超时时间（claude mcp list 会逐个连接服务器，可能较慢）
+const HEALTH_CHECK_TIMEOUT = 60000;
+
+export class MCPDiscovery {
+  /**
+   * @param {Object} options - { cwd, home, configFile, logger }
+   *   configFile 为 --mcp-config 指定的配置文件
+   */
+  constructor(options = {}) {
+    this.cwd = path.resolve(options.cwd || process.cwd());
+    this.home = options.home || os.homedir();
+    this.configFile = options.configFile ? path.resolve(options.configFile) : null;
+    this.logger = createLogger(options.logger);
+    this.cache = new Map();
+  }
+
+  /**
+   * 读取所有配置文件并合并MCP服务器
+   * @returns {Promise<Array<Object>>} [{ name, scope, source, type, command, args, env, url }]
+   */
+  async discover() {
+    const claudeJson = path.join(this.home, '.claude.json');
+    const layers = [
+      { scope: 'user', file: claudeJson, pick: data => data.mcpServers },
+      { scope: 'user', file: path.join(this.home, '.claude', 'settings.json'), pick: data => data.mcpServers },
+      { scope: 'project', file: path.join(this.cwd, MCP_CONFIG_FILE), pick: data => data.mcpServers, mcpJson: true },
+      { scope: 'project', file: path.join(this.cwd, '.claude', 'settings.json'), pick: data => data.mcpServers },
+      { scope: 'local', file: path.join(this.cwd, '.claude', 'settings.local.json'), pick: data => data.mcpServers },
+      { scope: 'local', file: claudeJson, pick: data => data.projects && data.projects[this.cwd] && data.projects[this.cwd].mcpServers }
+    ];
+    if (this.configFile) {
+      layers.push({ scope: 'explicit', file: this.configFile, pick: data => data.mcpServers, required: true });
+    }
+
+    const disabled = await this.disabledMcpJsonServers();
+    const servers = new Map();
+
+    for (const layer of layers) {
+      const data = await this.readConfig(layer.file, layer.required);
+      const entries = data ? layer.pick(data) : null;
+      if (!entries || typeof entries !== 'object') {
+        continue;
+      }
+
+      let count = 0;
+      for (const [name, config] of Object.entries(entries)) {
+        if (layer.mcpJson && disabled.has(name)) {
+          continue;
+        }
+        const server = normalizeServer(name, config, layer);
+        if (!server) {
+          this.logger.warn(t('mcp.invalidServer', { name, file: displayPath(layer.file) }));
+          continue;
+        }
+        servers.set(name, server);
+        count++;
+      }
+
+      if (count > 0) {
+        this.logger.detail(t('mcp.source', { file: displayPath(layer.file), scope: layer.scope, count }));
+      }
+    }
+
+    return [...servers.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * settings 文件中禁用的 .mcp.json 服务器
+   * @returns {Promise<Set<string>>} 服务器名
+   */
+  async disabledMcpJsonServers() {
+    const files = [
+      path.join(this.home, '.claude', 'settings.json'),
+      path.join(this.cwd, '.claude', 'settings.json'),
+      path.join(this.cwd, '.claude', 'settings.local.json')
+    ];
+
+    const disabled = new Set();
+    for (const file of files) {
+      const data = await this.readConfig(file);
+      if (data && Array.isArray(data.disabledMcpjsonServers)) {
+        data.disabledMcpjsonServers.forEach(name => disabled.add(name));
+      }
+    }
+    return disabled;
+  }
+
+  /**
+   * 读取JSON配置文件，同一文件只读取一次
+   * @param {string} file - 文件路径
+   * @param {boolean} required - 是否必须存在且合法（--mcp-config 指定的文件）
+   * @returns {Promise<Object|null>} 配置内容，文件不存在或不合法时为 null
+   */
+  async readConfig(file, required = false) {
+    if (this.cache.has(file)) {
+      return this.cache.get(file);
+    }
+
+    let data = null;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        if (required) {
+          throw new ConfigError(t('mcp.configNotFound', { file }));
+        }
+      } else if (required) {
+        throw new ConfigError(t('mcp.invalidConfig', { file, reason: error.message }));
+      } else {
+        // 其他工具维护的配置文件，格式错误时跳过而不是中断安装
+        this.logger.warn(t('mcp.invalidConfig', { file, reason: error.message }));
+      }
+    }
+
+    this.cache.set(file, data);
+    return data;
+  }
+
+  /**
+   * 通过 `claude mcp list` 检查服务器连接状态（可选）
+   *
+   * 失败时只给出警告，服务器的连接状态保持未知。
+   *
+   * @param {Array<Object>} servers - discover() 的结果，会被就地标注 connected/status
+   * @returns {Array<Object>} 标注后的服务器列表
+   */
+  checkHealth(servers) {
+    this.logger.detail(t('mcp.checking'));
+
+    let output;
+    try {
+      output = execSync('claude mcp list', {
+        encoding: 'utf8',
+        timeout: HEALTH_CHECK_TIMEOUT,
+        stdio: 'pipe'
+      });
+    } catch (error) {
+      if (error.code === 'ETIMEDOUT') {
+        this.logger.warn(t('mcp.timeout'));
+        this.logger.detail(t('mcp.timeoutHint'));
+      } else {
+        this.logger.warn(t('mcp.listFailed'));
+        this.logger.detail(t('common.reason', { reason: error.message }));
+      }
+      return servers;
+    }
+
+    // 输出格式：serverName: command - ✓ Connected
+    const health = new Map();
+    for (const line of output.split('\n')) {
+      const match = line.trim().match(/^([^:]+):\s+(.+)\s+-\s+(✓|✗)\s+(.*)$/);
+      if (match) {
+        const [, name, , status, statusText] = match;
+        health.set(name.trim(), { connected: status === '✓', status: statusText.trim() });
+      }
+    }
+
+    servers.forEach(server => {
+      if (health.has(server.name)) {
+        Object.assign(server, health.get(server.name));
+      }
+    });
+    return servers;
+  }
+}
+
+/**
+ * 规范化单个服务器配置
+ * @returns {Object|null} 服务器信息，配置不合法时为 null
+ */
+function normalizeServer(name, config, layer) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return null;
+  }
+
+  const type = config.type || (config.url ? 'http' : 'stdio');
+  if (type === 'stdio' && typeof config.command !== 'string') {
+    return null;
+  }
+  if (type !== 'stdio' && typeof config.url !== 'string') {
+    return null;
+  }
+
+  return {
+    name,
+    scope: layer.scope,
+    source: layer.file,
+    type,
+    command: config.command,
+    args: Array.isArray(config.args) ? config.args : [],
+    env: config.env && typeof config.env === 'object' ? config.env : {},
+    url: config.url
+  };
+}
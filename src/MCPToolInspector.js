@@ -0,0 +1,247 @@
+/**
+ * MCPToolInspector - 连接stdio MCP服务器并读取其工具列表
+ *
+ * 按MCP协议启动服务器进程，通过标准输入输出收发按行分隔的JSON-RPC消息：
+ * initialize → notifications/initialized → tools/list（按 nextCursor 翻页），完成后关闭进程。
+ *
+ * 结果按服务器的启动配置（command、args、env）缓存，配置变化或缓存过期后重新读取。
+ * 缓存文件位于 $XDG_CACHE_HOME/px2cc/mcp-tools.json（默认 ~/.cache）。
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { t } from './i18n.js';
+
+const PROTOCOL_VERSION = '2024-11-05';
+// 单个服务器从启动到返回工具列表的超时时间
+const INSPECT_TIMEOUT = 20000;
+// 缓存有效期
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+const CACHE_VERSION = 1;
+
+/**
+ * 默认缓存文件路径
+ * @returns {string} 缓存文件路径
+ */
+export function defaultCacheFile() {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'px2cc', 'mcp-tools.json');
+}
+
+/**
+ * 工具对应的Claude Code工具名
+ * @param {string} serverName - 服务器名
+ * @param {string} toolName - 工具名，省略时为该服务器的所有工具
+ * @returns {string} mcp__server__tool
+ */
+export function mcpToolName(serverName, toolName = '*') {
+  return `mcp__${serverName}__${toolName}`;
+}
+
+export class MCPToolInspector {
+  /**
+   * @param {Object} options - { cacheFile, refresh, timeout }
+   *   refresh 为 true 时忽略已有缓存
+   */
+  constructor(options = {}) {
+    this.cacheFile = options.cacheFile || defaultCacheFile();
+    this.refresh = Boolean(options.refresh);
+    this.timeout = options.timeout || INSPECT_TIMEOUT;
+    this.cache = null;
+  }
+
+  /**
+   * 读取服务器的工具列表，优先使用缓存
+   * @param {Object} server - MCPDiscovery 发现的服务器 { name, type, command, args, env }
+   * @returns {Promise<Object>} { tools: [{ name, description, readOnly }], cached }
+   */
+  async listTools(server) {
+    if (server.type !== 'stdio') {
+      throw new Error(t('mcp.toolsUnsupportedType', { name: server.name, type: server.type }));
+    }
+
+    const cache = await this.loadCache();
+    const key = cacheKey(server);
+    const entry = cache.servers[key];
+    if (!this.refresh && entry && Date.now() - entry.fetchedAt < CACHE_TTL) {
+      return { tools: entry.tools, cached: true };
+    }
+
+    const tools = await this.inspect(server);
+    cache.servers[key] = { name: server.name, fetchedAt: Date.now(), tools };
+    await this.saveCache();
+    return { tools, cached: false };
+  }
+
+  /**
+   * 启动服务器并通过 tools/list 读取工具列表
+   * @param {Object} server - 服务器配置
+   * @returns {Promise<Array<Object>>} [{ name, description, readOnly }]
+   */
+  inspect(server) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(server.command, server.args, {
+        env: { ...process.env, ...server.env },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      const pending = new Map();
+      let nextId = 1;
+      let buffer = '';
+      let stderr = '';
+      let settled = false;
+
+      const finish = (error, tools) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        child.stdin.end();
+        child.kill();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(tools);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        finish(new Error(t('mcp.toolsTimeout', { name: server.name, seconds: this.timeout / 1000 })));
+      }, this.timeout);
+
+      const send = (message) => {
+        child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+      };
+
+      const request = (method, params) => new Promise((resolveRequest, rejectRequest) => {
+        const id = nextId++;
+        pending.set(id, { resolve: resolveRequest, reject: rejectRequest });
+        send({ id, method, params });
+      });
+
+      child.on('error', error => finish(new Error(t('mcp.toolsSpawnFailed', { name: server.name, reason: error.message }))));
+      // close 在stdout、stderr读完后触发，错误信息中能带上服务器退出前的最后一行stderr
+      child.on('close', code => {
+        const detail = stderr.trim().split('\n').pop() || `exit ${code}`;
+        finish(new Error(t('mcp.toolsExited', { name: server.name, reason: detail })));
+      });
+      // 忽略服务器退出后写入stdin的错误，由 close 事件统一处理
+      child.stdin.on('error', () => {});
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+      child.stdout.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) {
+            continue;
+          }
+
+          let message;
+          try {
+            message = JSON.parse(line);
+          } catch (error) {
+            // 部分服务器会向stdout输出日志，跳过非JSON行
+            continue;
+          }
+          if (message.id === undefined || !pending.has(message.id)) {
+            continue;
+          }
+
+          const { resolve: resolveRequest, reject: rejectRequest } = pending.get(message.id);
+          pending.delete(message.id);
+          if (message.error) {
+            rejectRequest(new Error(message.error.message || JSON.stringify(message.error)));
+          } else {
+            resolveRequest(message.result || {});
+          }
+        }
+      });
+
+      (async () => {
+        await request('initialize', {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: { name: 'px2cc', version: packageVersion() }
+        });
+        send({ method: 'notifications/initialized' });
+
+        const tools = [];
+        let cursor;
+        do {
+          const result = await request('tools/list', cursor ? { cursor } : {});
+          (result.tools || []).forEach(tool => {
+            if (tool && typeof tool.name === 'string') {
+              tools.push({
+                name: tool.name,
+                description: typeof tool.description === 'string' ? tool.description.split('\n')[0] : '',
+                readOnly: Boolean(tool.annotations && tool.annotations.readOnlyHint)
+              });
+            }
+          });
+          cursor = result.nextCursor;
+        } while (cursor);
+
+        return tools;
+      })().then(
+        tools => finish(null, tools),
+        error => finish(new Error(t('mcp.toolsFailed', { name: server.name, reason: error.message })))
+      );
+    });
+  }
+
+  /**
+   * 读取缓存文件，不存在或格式不对时使用空缓存
+   * @returns {Promise<Object>} { version, servers }
+   */
+  async loadCache() {
+    if (this.cache) {
+      return this.cache;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+      this.cache = data && data.version === CACHE_VERSION && data.servers ? data : null;
+    } catch (error) {
+      this.cache = null;
+    }
+    this.cache = this.cache || { version: CACHE_VERSION, servers: {} };
+    return this.cache;
+  }
+
+  /**
+   * 写入缓存文件，失败时不影响安装
+   */
+  async saveCache() {
+    try {
+      await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+      await fs.writeFile(this.cacheFile, `${JSON.stringify(this.cache, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      // 缓存只用于加速，写入失败时下次重新读取即可
+    }
+  }
+}
+
+/**
+ * 缓存键：服务器名和启动配置的哈希，配置变化后缓存自动失效
+ */
+function cacheKey(server) {
+  const config = JSON.stringify([server.name, server.command, server.args, server.env]);
+  return crypto.createHash('sha256').update(config).digest('hex').slice(0, 16);
+}
+
+function packageVersion() {
+  try {
+    return JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+  } catch (error) {
+    return '0.0.0';
+  }
+}
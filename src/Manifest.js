@@ -0,0 +1,189 @@
+/**
+ * Manifest - 读取和校验 px2cc.json 角色清单
+ *
+ * 清单格式：
+ * {
+ *   "rolesDir": "./roles",
+ *   "roles": [
+ *     { "role": "assistant", "as": "agent", "name": "my-assistant", "tools": ["Read", "Grep"] },
+ *     { "role": "reviewer", "as": "agent", "toolProfile": "read-only", "tools": ["mcp__github__get_pull_request"] },
+ *     { "role": "sean", "as": "command", "source": "package", "profile": "compact", "maxTokens": 4000, "template": "templates/plain.json" },
+ *     { "role": "architect", "as": "command", "model": "opus", "argumentHint": "[模块名]", "customFields": { "category": "design" } }
+ *   ]
+ * }
+ *
+ * rolesDir 可选，指定后从该本地目录（相对清单文件）读取角色，不使用PromptX注册表。
+ * 条目的 template 同样相对清单文件。
+ * source 可选（user|project|package），安装指定来源中的角色，默认为PromptX生效的来源，不能与 rolesDir 同时使用。
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ClaudeCodeBuilder } from 'claude-code-builder';
+import { t } from './i18n.js';
+import { ConfigError } from './errors.js';
+import { validateInstallName, parseInstallType, parseToolList, parseToolProfile, parseRolesDir, parseRoleSource, parseRenderOptions, checkCommandOnlyOptions } from './installOptions.js';
+
+export const DEFAULT_MANIFEST_FILE = 'px2cc.json';
+
+export class Manifest {
+  /**
+   * @param {string} filePath - 清单文件路径
+   * @param {Array<Object>} entries - 规范化后的条目
+   * @param {string} [rolesDir] - 本地角色目录的绝对路径
+   */
+  constructor(filePath, entries, rolesDir) {
+    this.filePath = filePath;
+    this.entries = entries;
+    this.rolesDir = rolesDir;
+  }
+
+  /**
+   * 读取并校验清单文件
+   * @param {string} filePath - 清单文件路径
+   * @returns {Promise<Manifest>} 清单
+   */
+  static async load(filePath) {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ConfigError(t('manifest.notFound', { file: filePath }));
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new ConfigError(t('manifest.invalidJson', { file: filePath, reason: error.message }));
+    }
+
+    const entries = Manifest.validate(data);
+    // 模板路径相对清单文件，不受运行 sync 的目录影响
+    entries
+      .filter(entry => entry.options.template)
+      .forEach(entry => {
+        entry.options.template = path.resolve(path.dirname(filePath), entry.options.template);
+      });
+
+    let rolesDir;
+    if (data.rolesDir !== undefined) {
+      try {
+        rolesDir = path.resolve(path.dirname(filePath), parseRolesDir(data.rolesDir));
+      } catch (error) {
+        throw new ConfigError(`${t('manifest.invalid')}\n  - rolesDir: ${error.message}`);
+      }
+    }
+    return new Manifest(filePath, entries, rolesDir);
+  }
+
+  /**
+   * 校验清单内容并规范化条目
+   * @param {Object} data - 清单JSON
+   * @returns {Array<Object>} 条目列表 { roleId, source, installType, customName, tools, options, fileName }
+   */
+  static validate(data) {
+    if (!data || !Array.isArray(data.roles)) {
+      throw new ConfigError(t('manifest.missingRoles'));
+    }
+
+    const errors = [];
+    const entries = [];
+    const targets = new Map();
+
+    data.roles.forEach((item, index) => {
+      const where = `roles[${index}]`;
+
+      if (!item || typeof item.role !== 'string' || !item.role.trim()) {
+        errors.push(`${where}: ${t('manifest.missingRole')}`);
+        return;
+      }
+
+      let installType;
+      try {
+        installType = parseInstallType(item.as);
+      } catch (error) {
+        errors.push(`${where}: ${error.message}`);
+        return;
+      }
+
+      const roleId = item.role.trim();
+      let customName = '';
+      if (item.name !== undefined) {
+        const validation = validateInstallName(item.name);
+        if (validation !== true) {
+          errors.push(`${where}: ${t('options.invalidName', { name: item.name, reason: validation })}`);
+          return;
+        }
+        customName = item.name.trim();
+      }
+
+      let tools;
+      if (item.tools !== undefined) {
+        try {
+          if (!Array.isArray(item.tools)) {
+            throw new ConfigError(t('manifest.toolsNotArray'));
+          }
+          tools = parseToolList(item.tools);
+        } catch (error) {
+          errors.push(`${where}: ${error.message}`);
+          return;
+        }
+      }
+
+      let source;
+      if (item.source !== undefined) {
+        try {
+          if (data.rolesDir !== undefined) {
+            throw new ConfigError(t('options.sourceWithRolesDir'));
+          }
+          source = parseRoleSource(item.source);
+        } catch (error) {
+          errors.push(`${where}: ${error.message}`);
+          return;
+        }
+      }
+
+      let toolProfile;
+      if (item.toolProfile !== undefined) {
+        try {
+          toolProfile = parseToolProfile(item.toolProfile);
+        } catch (error) {
+          errors.push(`${where}: ${error.message}`);
+          return;
+        }
+      }
+
+      // 渲染选项
+      let options;
+      try {
+        options = parseRenderOptions(item);
+        checkCommandOnlyOptions(installType, options);
+      } catch (error) {
+        errors.push(`${where}: ${error.message}`);
+        return;
+      }
+
+      // 同一目标文件只能出现一次
+      const finalName = customName || (installType === 'agents' ? `${roleId}-agent` : roleId);
+      const fileName = `${ClaudeCodeBuilder.sanitizeName(finalName)}.md`;
+      const target = `${installType}/${fileName}`;
+      if (targets.has(target)) {
+        errors.push(`${where}: ${t('manifest.duplicateTarget', { other: `roles[${targets.get(target)}]`, file: target })}`);
+        return;
+      }
+      targets.set(target, index);
+
+      entries.push({ roleId, source, installType, customName, tools, toolProfile, options, fileName });
+    });
+
+    if (errors.length > 0) {
+      throw new ConfigError(`${t('manifest.invalid')}\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return entries;
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * OutputTemplate - 控制生成内容的布局、标题和固定文案
+ *
+ * 模板文件为JSON，所有字段可选，未指定的字段沿用默认模板：
+ * {
+ *   "layers": ["title", "personality", "principle", "knowledge", "thoughts", "executions", "knowledges"],
+ *   "headings": { "title": "# {roleId}" },
+ *   "blocks": { "footer": [] }
+ * }
+ *
+ * - layers - 内容层的顺序，未列出的层不输出
+ * - headings - 各层的标题
+ * - blocks - 固定文案，字符串或字符串数组（按行）
+ *
+ * 每个值都可以写成 { "command": ..., "subagent": ... }，按安装模式分别指定。
+ * 文案中的 {roleId} 会被替换为角色ID。
+ *
+ * 模板查找顺序：--template 指定的文件 > 安装位置的 px2cc.template.json（项目级安装为项目的 .claude，
+ * --target-dir 为该目录）> 用户 ~/.claude/px2cc.template.json > 默认模板。
+ * 安装到用户级时前两者相同，不读取当前项目的模板，同一角色在任何目录下重新生成的结果都一致。
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { t, lookup, DEFAULT_LOCALE } from './i18n.js';
+import { ConfigError } from './errors.js';
+
+export const TEMPLATE_FILE_NAME = 'px2cc.template.json';
+
+// 所有内容层
+export const LAYER_NAMES = [
+  'title',
+  'cognition',
+  'experience',
+  'personality',
+  'principle',
+  'knowledge',
+  'thoughts',
+  'executions',
+  'knowledges',
+  'state',
+  'footer',
+  'task',
+  'closing'
+];
+
+// 有标题的层
+const HEADING_NAMES = [
+  'title',
+  'cognition',
+  'experience',
+  'personality',
+  'principle',
+  'knowledge',
+  'thoughts',
+  'executions',
+  'knowledges',
+  'task'
+];
+
+// 固定文案
+const BLOCK_NAMES = [
+  'cognitionNetwork',
+  'cognitionEmpty',
+  'cognitionSummary',
+  'state',
+  'footer',
+  'task',
+  'closing'
+];
+
+const MODES = ['command', 'subagent'];
+
+/**
+ * 默认模板，标题和固定文案取自内容语言包
+ * @param {string} lang - 内容语言
+ * @returns {Object} 模板数据
+ */
+export function defaultTemplate(lang = DEFAULT_LOCALE) {
+  return {
+    layers: LAYER_NAMES,
+    headings: lookup(lang, 'content', 'headings'),
+    blocks: lookup(lang, 'content', 'blocks')
+  };
+}
+
+export class OutputTemplate {
+  /**
+   * @param {Object} data - 已与默认模板合并的模板数据
+   * @param {string|null} filePath - 模板文件路径，默认模板为 null
+   */
+  constructor(data, filePath = null) {
+    this.data = data;
+    this.filePath = filePath;
+  }
+
+  /**
+   * 默认模板
+   * @param {string} lang - 内容语言
+   * @returns {OutputTemplate} 模板
+   */
+  static default(lang = DEFAULT_LOCALE) {
+    return new OutputTemplate(defaultTemplate(lang));
+  }
+
+  /**
+   * 按查找顺序确定使用的模板
+   * @param {string} claudeDir - 安装位置的 .claude 目录
+   * @param {string} [templateFile] - 显式指定的模板文件，相对路径相对当前目录
+   * @param {string} lang - 内容语言，模板未指定的字段使用该语言的默认值
+   * @returns {Promise<OutputTemplate>} 模板
+   */
+  static async resolve(claudeDir, templateFile, lang = DEFAULT_LOCALE) {
+    if (templateFile) {
+      return OutputTemplate.load(path.resolve(templateFile), lang);
+    }
+
+    for (const candidate of OutputTemplate.candidates(claudeDir)) {
+      try {
+        await fs.access(candidate);
+      } catch {
+        continue;
+      }
+      return OutputTemplate.load(candidate, lang);
+    }
+
+    return OutputTemplate.default(lang);
+  }
+
+  /**
+   * 按查找顺序可能使用的模板文件（不检查是否存在）
+   * @param {string} claudeDir - 安装位置的 .claude 目录
+   * @param {string} [templateFile] - 显式指定的模板文件
+   * @returns {Array<string>} 文件绝对路径
+   */
+  static candidates(claudeDir, templateFile) {
+    if (templateFile) {
+      return [path.resolve(templateFile)];
+    }
+    return [...new Set([
+      path.join(claudeDir, TEMPLATE_FILE_NAME),
+      path.join(os.homedir(), '.claude', TEMPLATE_FILE_NAME)
+    ])];
+  }
+
+  /**
+   * 读取并校验模板文件
+   * @param {string} filePath - 模板文件路径
+   * @param {string} lang - 内容语言
+   * @returns {Promise<OutputTemplate>} 模板
+   */
+  static async load(filePath, lang = DEFAULT_LOCALE) {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ConfigError(t('template.notFound', { file: filePath }));
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new ConfigError(t('template.invalidJson', { file: filePath, reason: error.message }));
+    }
+
+    const errors = OutputTemplate.validate(data);
+    if (errors.length > 0) {
+      throw new ConfigError(`${t('template.invalid', { file: filePath })}\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const defaults = defaultTemplate(lang);
+    return new OutputTemplate({
+      layers: data.layers || defaults.layers,
+      headings: { ...defaults.headings, ...data.headings },
+      blocks: { ...defaults.blocks, ...data.blocks }
+    }, filePath);
+  }
+
+  /**
+   * 校验模板内容
+   * @param {Object} data - 模板JSON
+   * @returns {Array<string>} 错误列表
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return [t('template.notObject')];
+    }
+
+    const errors = [];
+
+    Object.keys(data)
+      .filter(key => !['layers', 'headings', 'blocks'].includes(key))
+      .forEach(key => errors.push(t('template.unknownField', { field: key })));
+
+    if (data.layers !== undefined) {
+      forEachMode(data.layers, 'layers', errors, (layers, where) => {
+        if (!Array.isArray(layers)) {
+          errors.push(t('template.layersNotArray', { field: `layers${where}` }));
+          return;
+        }
+        layers.forEach(name => {
+          if (!LAYER_NAMES.includes(name)) {
+            errors.push(t('template.unknownLayer', { field: `layers${where}`, name, layers: LAYER_NAMES.join(', ') }));
+          }
+        });
+        if (new Set(layers).size !== layers.length) {
+          errors.push(t('template.duplicateLayer', { field: `layers${where}` }));
+        }
+      });
+    }
+
+    validateEntries(data.headings, 'headings', HEADING_NAMES, errors, value => typeof value === 'string');
+    validateEntries(data.blocks, 'blocks', BLOCK_NAMES, errors, value =>
+      typeof value === 'string' || (Array.isArray(value) && value.every(line => typeof line === 'string'))
+    );
+
+    return errors;
+  }
+
+  /**
+   * 当前模式下的内容层顺序
+   * @param {string} mode - command|subagent
+   * @returns {Array<string>} 内容层
+   */
+  layers(mode) {
+    return pickMode(this.data.layers, mode, []);
+  }
+
+  /**
+   * 当前模式下的标题
+   * @param {string} name - 层名
+   * @param {string} mode - command|subagent
+   * @param {string} roleId - 角色ID
+   * @returns {string} 标题，为空时不输出标题行
+   */
+  heading(name, mode, roleId) {
+    return fillPlaceholders(pickMode(this.data.headings[name], mode, ''), roleId);
+  }
+
+  /**
+   * 当前模式下的固定文案
+   * @param {string} name - 文案名
+   * @param {string} mode - command|subagent
+   * @param {string} roleId - 角色ID
+   * @returns {Array<string>} 内容行
+   */
+  block(name, mode, roleId) {
+    const value = pickMode(this.data.blocks[name], mode, []);
+    const lines = Array.isArray(value) ? value : [value];
+    return lines.map(line => fillPlaceholders(line, roleId));
+  }
+}
+
+/**
+ * 按模式取值：{ command, subagent } 形式取对应模式，否则直接返回
+ */
+function pickMode(value, mode, fallback) {
+  const picked = isModeMap(value) ? value[mode] : value;
+  return picked !== undefined ? picked : fallback;
+}
+
+function isModeMap(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 对值或其各模式取值逐一调用回调
+ */
+function forEachMode(value, field, errors, callback) {
+  if (!isModeMap(value)) {
+    callback(value, '');
+    return;
+  }
+  Object.keys(value).forEach(mode => {
+    if (!MODES.includes(mode)) {
+      errors.push(t('template.unknownMode', { field, mode, modes: MODES.join(', ') }));
+      return;
+    }
+    callback(value[mode], `.${mode}`);
+  });
+}
+
+/**
+ * 校验 headings/blocks 这类按名字索引的字段
+ */
+function validateEntries(entries, field, names, errors, isValid) {
+  if (entries === undefined) {
+    return;
+  }
+  if (!isModeMap(entries)) {
+    errors.push(t('template.notMap', { field }));
+    return;
+  }
+
+  Object.entries(entries).forEach(([name, value]) => {
+    if (!names.includes(name)) {
+      errors.push(t('template.unknownName', { field, name, names: names.join(', ') }));
+      return;
+    }
+    forEachMode(value, `${field}.${name}`, errors, (modeValue, where) => {
+      if (!isValid(modeValue)) {
+        errors.push(t('template.invalidValue', { field: `${field}.${name}${where}` }));
+      }
+    });
+  });
+}
+
+function fillPlaceholders(text, roleId) {
+  return text.replace(/\{roleId\}/g, roleId);
+}
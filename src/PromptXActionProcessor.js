@@ -8,18 +8,79 @@
  * 4. 三层组装器 (LayerAssembler)
  */
 
-import { resource } from '@promptx/core';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import chalk from 'chalk';
+import { OutputTemplate, LAYER_NAMES } from './OutputTemplate.js';
+import { t, createTranslator, DEFAULT_LOCALE } from './i18n.js';
+import { DPMLParser, REFERENCE_PATTERN } from './DPMLParser.js';
+import { TOOL_PROFILES, TOOL_PROFILE_TAG } from './builtinTools.js';
+import { describeRole } from './roleDescription.js';
+import { createLogger } from './logger.js';
+import { LocalRoleSource, LOCAL_PROTOCOLS } from './LocalRoleSource.js';
+import { getResourceManager, roleReference, resourceProtocols } from './roleSources.js';
+import { ROLE_SOURCES } from './installOptions.js';
+import { Px2ccError, PromptXError, UsageError } from './errors.js';
+
+// 可被展开为依赖内容的资源协议
+const RESOURCE_PROTOCOLS = ['thought', 'execution', 'knowledge'];
+
+// 角色的三个组成部分
+export const ROLE_SECTIONS = ['personality', 'principle', 'knowledge'];
+
+/**
+ * 资源的来源：PromptX 返回解析后的引用（如 @user://.promptx/resource/...），
+ * LocalRoleSource 返回文件路径，见 resolveOriginFile
+ * @param {Object} result - loadResource 的结果
+ * @returns {Object} { reference, filePath }
+ */
+function resourceOrigin(result) {
+  return {
+    reference: result.reference || null,
+    filePath: (result.metadata && result.metadata.filePath) || null
+  };
+}
+
+/**
+ * 资源来源对应的文件路径，通过引用的协议（user、project、package 等）解析
+ * @param {Object} resourceManager - ResourceManager 或 LocalRoleSource
+ * @param {Object} origin - resourceOrigin 的结果
+ * @returns {Promise<string|null>} 文件绝对路径，无法解析时为 null
+ */
+async function resolveOriginFile(resourceManager, origin) {
+  if (!origin) {
+    return null;
+  }
+  if (origin.filePath) {
+    return origin.filePath;
+  }
+
+  const match = origin.reference && origin.reference.match(/^@!?(\w+):\/\/(.+)$/);
+  const protocol = match && resourceManager.protocols && resourceManager.protocols.get(match[1]);
+  if (!protocol) {
+    return null;
+  }
+  try {
+    return path.resolve(await protocol.resolvePath(match[2]));
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
  * 角色加载器 - 替代PromptX的ResourceManager
  */
 class RoleLoader {
-  constructor(resourceManager) {
+  /**
+   * @param {Object} resourceManager - ResourceManager 或 LocalRoleSource
+   * @param {Object} logger - 进度输出
+   * @param {string} [source] - 从指定来源（user|project|package）读取角色文件，省略时使用 @role://<id>
+   */
+  constructor(resourceManager, logger, source) {
     this.resourceManager = resourceManager;
+    this.logger = logger;
+    this.source = source;
+    this.parser = new DPMLParser({ tolerant: true });
   }
 
   /**
@@ -28,7 +89,7 @@ class RoleLoader {
    * @returns {Object} 角色信息
    */
   async loadRole(roleId) {
-    console.log(chalk.cyan(`📖 加载角色定义: ${roleId}`));
+    this.logger.info(t('processor.loadingRole', { role: roleId }));
     
     try {
       // 确保ResourceManager已初始化
@@ -36,61 +97,75 @@ class RoleLoader {
         await this.resourceManager.initializeWithNewArchitecture();
       }
       
-      // 加载角色资源
-      const result = await this.resourceManager.loadResource(`@role://${roleId}`);
+      // 加载角色资源，指定来源时按该来源的引用读取（可能是被覆盖的版本）
+      const resourceUrl = this.source ? await roleReference(roleId, this.source) : `@role://${roleId}`;
+      const result = await this.resourceManager.loadResource(resourceUrl);
       
       if (!result || !result.success || !result.content) {
-        throw new Error(`无法加载角色 ${roleId} 的内容`);
+        throw new PromptXError(t('processor.roleUnavailable', { role: roleId }));
       }
       
       // 解析DPML内容
-      const parsedContent = this.parseDPMLContent(result.content);
+      const { sections, attributes, toolProfile } = this.parseDPMLContent(result.content, roleId);
       
       return {
         id: roleId,
         raw: result.content,
-        sections: parsedContent,
-        metadata: result.metadata || {}
+        sections,
+        attributes,
+        toolProfile,
+        metadata: result.metadata || {},
+        origin: resourceOrigin(result)
       };
       
     } catch (error) {
-      console.error(chalk.red(`❌ 角色加载失败: ${error.message}`));
-      throw error;
+      this.logger.error(t('processor.roleLoadFailed', { reason: error.message }));
+      throw error instanceof Px2ccError ? error : new PromptXError(error.message);
     }
   }
 
   /**
    * 解析DPML角色文档
+   *
+   * <role> 及其 personality/principle/knowledge 标签结构错误时抛出解析错误；
+   * 内容中其他标签的错误（如Markdown里的尖括号）只给出警告。
+   *
    * @param {string} content - 原始内容
-   * @returns {Object} 解析后的sections
+   * @param {string} roleId - 角色ID，用于错误信息
+   * @returns {Object} { sections, attributes, toolProfile } 各部分的原始内容、<role> 标签属性及推荐的工具配置
    */
-  parseDPMLContent(content) {
-    const sections = {};
-    
-    // 解析 <role> 标签
-    const roleMatch = content.match(/<role>([\s\S]*?)<\/role>/);
-    if (roleMatch) {
-      const roleContent = roleMatch[1];
-      
-      // 提取各个部分
-      sections.personality = this.extractSection(roleContent, 'personality');
-      sections.principle = this.extractSection(roleContent, 'principle');
-      sections.knowledge = this.extractSection(roleContent, 'knowledge');
+  parseDPMLContent(content, roleId = '') {
+    const document = this.parser.parse(content);
+    const structuralTags = ['role', ...ROLE_SECTIONS];
+    const structuralErrors = document.errors.filter(error => structuralTags.includes(error.tagName));
+
+    if (structuralErrors.length > 0) {
+      throw new PromptXError(t('processor.structureError', { role: roleId, errors: structuralErrors.map(error => error.message).join('; ') }));
     }
-    
-    return sections;
-  }
 
-  /**
-   * 提取XML标签内容
-   * @param {string} content - 内容
-   * @param {string} tagName - 标签名
-   * @returns {string|null} 提取的内容
-   */
-  extractSection(content, tagName) {
-    const regex = new RegExp(`<${tagName}>([\\s\\S]*?)<\\/${tagName}>`, 'i');
-    const match = content.match(regex);
-    return match ? match[1].trim() : null;
+    const roleElement = document.find('role');
+    if (!roleElement) {
+      throw new PromptXError(t('processor.missingRoleTag', { role: roleId }));
+    }
+
+    document.errors.forEach(error => {
+      this.logger.warn(t('processor.parseWarning', { role: roleId, reason: error.message }));
+    });
+
+    // 同名部分出现多次时按顺序合并
+    const sections = {};
+    ROLE_SECTIONS.forEach(name => {
+      const parts = document.childElements(roleElement, name)
+        .map(element => document.innerSource(element).trim())
+        .filter(Boolean);
+      sections[name] = parts.length > 0 ? parts.join('\n\n') : null;
+    });
+
+    // 推荐的工具配置: <tools profile="read-only"/>
+    const [toolsElement] = document.childElements(roleElement, TOOL_PROFILE_TAG);
+    const toolProfile = toolsElement ? toolsElement.attributes.profile : undefined;
+
+    return { sections, attributes: roleElement.attributes, toolProfile };
   }
 }
 
@@ -98,62 +173,239 @@ class RoleLoader {
  * 依赖分析器 - 分析和加载资源依赖
  */
 class DependencyAnalyzer {
-  constructor(resourceManager) {
+  constructor(resourceManager, logger) {
     this.resourceManager = resourceManager;
+    this.logger = logger;
+    this.parser = new DPMLParser({ tolerant: true });
   }
 
   /**
    * 分析角色依赖
+   *
+   * 从角色sections出发逐层展开引用：已加载资源中的引用同样会被解析，
+   * 同一 protocol+id 只加载和输出一次，循环引用会被记录但不会重复展开。
+   *
    * @param {Object} roleInfo - 角色信息
-   * @returns {Object} 依赖资源
+   * @returns {Object} 依赖资源，graph 字段为解析后的依赖图
    */
   async analyzeDependencies(roleInfo) {
-    console.log(chalk.cyan(`🔍 分析资源依赖...`));
+    this.logger.info(t('processor.analyzing'));
     
     const dependencies = {
       thoughts: [],
       executions: [],
-      knowledges: []
+      knowledges: [],
+      graph: { roots: [], nodes: {}, cycles: [], missing: [] }
     };
 
     if (!roleInfo.sections) {
       return dependencies;
     }
 
-    // 收集所有资源引用
-    const allRefs = this.extractResourceReferences(roleInfo.sections);
+    // 收集角色本身的资源引用
+    const rootRefs = this.extractResourceReferences(roleInfo.sections);
     
-    console.log(chalk.gray(`   发现 ${allRefs.length} 个资源引用`));
-
-    // 并发加载所有依赖
-    const loadPromises = allRefs.map(ref => this.loadDependency(ref));
-    const results = await Promise.allSettled(loadPromises);
-
-    // 分类处理结果
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value) {
-        const ref = allRefs[index];
-        const content = result.value;
-        
-        switch (ref.protocol) {
-          case 'thought':
-            dependencies.thoughts.push({ id: ref.resource, content });
-            break;
-          case 'execution':
-            dependencies.executions.push({ id: ref.resource, content });
-            break;
-          case 'knowledge':
-            dependencies.knowledges.push({ id: ref.resource, content });
-            break;
-        }
+    this.logger.detail(t('processor.referencesFound', { count: rootRefs.length }));
+
+    const graph = await this.resolveGraph(rootRefs);
+    dependencies.graph = graph;
+
+    // 按深度优先顺序输出，保证资源紧跟在引用它的资源之后
+    for (const key of this.orderNodes(graph)) {
+      const node = graph.nodes[key];
+      if (!node.content) {
+        continue;
       }
-    });
 
-    console.log(chalk.green(`✅ 依赖分析完成: thoughts=${dependencies.thoughts.length}, executions=${dependencies.executions.length}, knowledges=${dependencies.knowledges.length}`));
+      switch (node.protocol) {
+        case 'thought':
+          dependencies.thoughts.push({ id: node.id, content: node.content });
+          break;
+        case 'execution':
+          dependencies.executions.push({ id: node.id, content: node.content });
+          break;
+        case 'knowledge':
+          dependencies.knowledges.push({ id: node.id, content: node.content });
+          break;
+      }
+    }
+
+    if (graph.cycles.length > 0) {
+      graph.cycles.forEach(cycle => {
+        this.logger.warn(t('processor.cycle', { cycle: cycle.join(' → ') }));
+      });
+    }
+
+    this.logger.success(t('processor.analyzed', { thoughts: dependencies.thoughts.length, executions: dependencies.executions.length, knowledges: dependencies.knowledges.length }));
     
     return dependencies;
   }
 
+  /**
+   * 逐层解析依赖图
+   * @param {Array} rootRefs - 角色直接引用的资源
+   * @returns {Promise<Object>} { roots, nodes, cycles, missing }
+   *   nodes 以 "protocol:id" 为键，记录 { protocol, id, content, children }
+   */
+  async resolveGraph(rootRefs) {
+    const nodes = {};
+    const roots = this.uniqueKeys(rootRefs);
+    roots.forEach(key => {
+      nodes[key] = this.createNode(key);
+    });
+
+    let frontier = roots;
+
+    // 同一层的依赖并发加载
+    while (frontier.length > 0) {
+      const results = await Promise.allSettled(frontier.map(key => this.loadDependency(nodes[key])));
+      const next = [];
+
+      results.forEach((result, index) => {
+        const node = nodes[frontier[index]];
+        node.content = result.status === 'fulfilled' ? result.value : null;
+        if (!node.content) {
+          return;
+        }
+
+        node.children = this.uniqueKeys(this.extractResourceReferences({ content: node.content }));
+        node.children.forEach(childKey => {
+          if (!nodes[childKey]) {
+            nodes[childKey] = this.createNode(childKey);
+            next.push(childKey);
+          }
+        });
+      });
+
+      frontier = next;
+    }
+
+    return {
+      roots,
+      nodes,
+      cycles: this.findCycles(roots, nodes),
+      missing: Object.keys(nodes).filter(key => !nodes[key].content)
+    };
+  }
+
+  /**
+   * 查找依赖图中的循环引用
+   * @param {Array<string>} roots - 根节点
+   * @param {Object} nodes - 节点表
+   * @returns {Array<Array<string>>} 每个循环的节点路径（首尾相同）
+   */
+  findCycles(roots, nodes) {
+    const cycles = [];
+    const done = new Set();
+    const stack = [];
+
+    const visit = (key) => {
+      const position = stack.indexOf(key);
+      if (position !== -1) {
+        cycles.push([...stack.slice(position), key]);
+        return;
+      }
+      if (done.has(key)) {
+        return;
+      }
+
+      stack.push(key);
+      nodes[key].children.forEach(visit);
+      stack.pop();
+      done.add(key);
+    };
+
+    roots.forEach(visit);
+    return cycles;
+  }
+
+  /**
+   * 深度优先（先序）排列节点，每个节点只出现一次
+   * @param {Object} graph - 依赖图
+   * @returns {Array<string>} 节点键
+   */
+  orderNodes(graph) {
+    const order = [];
+    const seen = new Set();
+
+    const visit = (key) => {
+      if (seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      order.push(key);
+      graph.nodes[key].children.forEach(visit);
+    };
+
+    graph.roots.forEach(visit);
+    return order;
+  }
+
+  /**
+   * 将依赖图格式化为树形文本
+   * @param {string} roleId - 角色ID
+   * @param {Object} graph - 依赖图
+   * @returns {Array<string>} 文本行
+   */
+  formatTree(roleId, graph) {
+    const lines = [`@role://${roleId}`];
+    const expanded = new Set();
+
+    const walk = (keys, prefix, ancestors) => {
+      keys.forEach((key, index) => {
+        const node = graph.nodes[key];
+        const last = index === keys.length - 1;
+        let label = `@${node.protocol}://${node.id}`;
+
+        if (ancestors.includes(key)) {
+          label += ` ↻ ${t('deps.cycle')}`;
+        } else if (!node.content) {
+          label += ` ✗ ${t('deps.missing')}`;
+        } else if (expanded.has(key) && node.children.length > 0) {
+          label += ` ${t('deps.seeAbove')}`;
+        }
+
+        lines.push(`${prefix}${last ? '└── ' : '├── '}${label}`);
+
+        if (!ancestors.includes(key) && !expanded.has(key)) {
+          expanded.add(key);
+          walk(node.children, `${prefix}${last ? '    ' : '│   '}`, [...ancestors, key]);
+        }
+      });
+    };
+
+    walk(graph.roots, '', []);
+    return lines;
+  }
+
+  /**
+   * 引用去重并转换为节点键，只保留可展开的资源协议
+   * @param {Array} refs - 引用列表
+   * @returns {Array<string>} 节点键
+   */
+  uniqueKeys(refs) {
+    const keys = refs
+      .filter(ref => RESOURCE_PROTOCOLS.includes(ref.protocol))
+      .map(ref => `${ref.protocol}:${ref.resource}`);
+    return [...new Set(keys)];
+  }
+
+  /**
+   * 创建依赖图节点
+   * @param {string} key - 节点键 protocol:id
+   * @returns {Object} 节点
+   */
+  createNode(key) {
+    const separator = key.indexOf(':');
+    return {
+      protocol: key.slice(0, separator),
+      id: key.slice(separator + 1),
+      content: null,
+      origin: null,
+      children: []
+    };
+  }
+
   /**
    * 提取资源引用
    * @param {Object} sections - 角色sections
@@ -161,12 +413,24 @@ class DependencyAnalyzer {
    */
   extractResourceReferences(sections) {
     const refs = [];
-    
+
+    // 代码块和行内代码中的引用只是示例，不作为依赖
     const extractFromText = (text) => {
       if (!text) return [];
-      // 匹配 @!protocol://resource 或 @protocol://resource 格式
-      const matches = text.matchAll(/@!?([^:]+):\/\/([^\s\>\<\n]+)/g);
-      return Array.from(matches).map(match => ({
+      const document = this.parser.parse(text);
+      const matches = [];
+      const walk = (node) => {
+        node.children.forEach(child => {
+          if (child.type === 'text' && !child.code) {
+            matches.push(...child.value.matchAll(REFERENCE_PATTERN));
+          } else if (child.type === 'element') {
+            walk(child);
+          }
+        });
+      };
+      walk(document.root);
+
+      return matches.map(match => ({
         protocol: match[1],
         resource: match[2]
       }));
@@ -182,33 +446,42 @@ class DependencyAnalyzer {
 
   /**
    * 加载单个依赖
-   * @param {Object} ref - 引用对象
+   * @param {Object} node - 依赖图节点 { protocol, id }
    * @returns {Promise<string>} 内容
    */
-  async loadDependency(ref) {
+  async loadDependency(node) {
+    const resourceUrl = `@${node.protocol}://${node.id}`;
     try {
-      const resourceUrl = `@${ref.protocol}://${ref.resource}`;
       const result = await this.resourceManager.loadResource(resourceUrl);
       
       if (result && result.success && result.content) {
+        node.origin = resourceOrigin(result);
         return result.content;
       }
       
-      console.warn(chalk.yellow(`⚠️  无法加载依赖: ${resourceUrl}`));
+      this.logger.warn(t('processor.dependencyUnavailable', { resource: resourceUrl }));
       return null;
     } catch (error) {
-      console.warn(chalk.yellow(`⚠️  依赖加载失败: @${ref.protocol}://${ref.resource} - ${error.message}`));
+      this.logger.warn(t('processor.dependencyFailed', { resource: resourceUrl, reason: error.message }));
       return null;
     }
   }
 }
 
+// 支持的 network.json 版本（@promptx/core Network.persist）
+const SUPPORTED_NETWORK_VERSIONS = ['1.0'];
+// 快照默认包含的概念数
+const DEFAULT_CONCEPT_LIMIT = 20;
+// 每个概念列出的最强关联数
+const CONCEPT_CONNECTION_LIMIT = 3;
+
 /**
  * 认知网络加载器 - 加载PromptX认知数据
  */
 class CognitionLoader {
-  constructor() {
+  constructor(logger) {
     this.basePath = path.join(os.homedir(), '.promptx', 'cognition');
+    this.logger = logger;
   }
 
   /**
@@ -217,7 +490,7 @@ class CognitionLoader {
    * @returns {Object} 认知网络存在状态
    */
   async checkNetworkExists(roleId) {
-    console.log(chalk.cyan(`🧠 检查认知网络状态: ${roleId}`));
+    this.logger.info(t('processor.checkingCognition', { role: roleId }));
     
     try {
       const networkFilePath = path.join(this.basePath, roleId, 'network.json');
@@ -225,13 +498,13 @@ class CognitionLoader {
       // 仅检查文件是否存在
       try {
         await fs.access(networkFilePath);
-        console.log(chalk.green(`✅ 发现认知网络文件: ${roleId}`));
+        this.logger.success(t('processor.cognitionFound', { role: roleId }));
         return {
           hasNetwork: true,
           networkPath: networkFilePath
         };
       } catch (error) {
-        console.log(chalk.gray(`   未找到认知网络文件: ${roleId}`));
+        this.logger.detail(t('processor.cognitionMissing', { role: roleId }));
         return {
           hasNetwork: false,
           networkPath: networkFilePath
@@ -239,7 +512,7 @@ class CognitionLoader {
       }
       
     } catch (error) {
-      console.warn(chalk.yellow(`⚠️  认知网络检查失败: ${error.message}`));
+      this.logger.warn(t('processor.cognitionFailed', { reason: error.message }));
       return {
         hasNetwork: false,
         networkPath: null,
@@ -248,185 +521,919 @@ class CognitionLoader {
     }
   }
 
+  /**
+   * 读取认知网络并提取最活跃的概念快照
+   *
+   * 文件损坏或版本不受支持时不抛出错误，返回 snapshot 为 null，
+   * 组装时退回到只输出 recall 使用说明。
+   *
+   * @param {string} roleId - 角色ID
+   * @param {Object} options - { limit } 快照最多包含的概念数
+   * @returns {Object} { hasNetwork, networkPath, snapshot, error }
+   */
+  async loadNetwork(roleId, options = {}) {
+    const existence = await this.checkNetworkExists(roleId);
+    if (!existence.hasNetwork) {
+      return { ...existence, snapshot: null };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(existence.networkPath, 'utf8'));
+    } catch (error) {
+      this.logger.warn(t('processor.cognitionCorrupt', { file: existence.networkPath, reason: error.message }));
+      return { ...existence, snapshot: null, error: error.message };
+    }
+
+    if (!data || !SUPPORTED_NETWORK_VERSIONS.includes(data.version) || !data.cues || typeof data.cues !== 'object') {
+      const version = data && data.version !== undefined ? String(data.version) : '?';
+      this.logger.warn(t('processor.cognitionUnsupported', { file: existence.networkPath, version }));
+      return { ...existence, snapshot: null, error: `unsupported version ${version}` };
+    }
+
+    const snapshot = this.rankConcepts(data, options.limit || DEFAULT_CONCEPT_LIMIT);
+    this.logger.detail(t('processor.cognitionSnapshot', { count: snapshot.concepts.length, total: snapshot.total }));
+    return { ...existence, snapshot };
+  }
+
+  /**
+   * 按召回频率和连接强度对概念排序
+   * @param {Object} data - network.json 内容 { version, timestamp, cues }
+   * @param {number} limit - 最多返回的概念数
+   * @returns {Object} { concepts: [{ word, frequency, connections }], total, updatedAt }
+   */
+  rankConcepts(data, limit) {
+    const cues = Object.values(data.cues).filter(cue =>
+      cue && typeof cue.word === 'string' && cue.word.trim()
+    );
+
+    // 连接强度 = 出边权重 + 入边权重
+    const strength = new Map(cues.map(cue => [cue.word, 0]));
+    const connectionsOf = cue => (Array.isArray(cue.connections) ? cue.connections : [])
+      .filter(connection => connection && typeof connection.target === 'string' && Number.isFinite(connection.weight));
+
+    cues.forEach(cue => {
+      connectionsOf(cue).forEach(connection => {
+        strength.set(cue.word, strength.get(cue.word) + connection.weight);
+        if (strength.has(connection.target)) {
+          strength.set(connection.target, strength.get(connection.target) + connection.weight);
+        }
+      });
+    });
+
+    const frequencyOf = cue => (Number.isFinite(cue.recallFrequency) ? cue.recallFrequency : 0);
+    const concepts = cues
+      .slice()
+      .sort((a, b) =>
+        frequencyOf(b) - frequencyOf(a) ||
+        strength.get(b.word) - strength.get(a.word) ||
+        a.word.localeCompare(b.word)
+      )
+      .slice(0, limit)
+      .map(cue => ({
+        word: cue.word,
+        frequency: frequencyOf(cue),
+        connections: connectionsOf(cue)
+          .sort((a, b) => b.weight - a.weight)
+          .slice(0, CONCEPT_CONNECTION_LIMIT)
+          .map(connection => connection.target)
+      }));
+
+    return {
+      concepts,
+      total: cues.length,
+      updatedAt: Number.isFinite(data.timestamp) ? new Date(data.timestamp).toISOString().slice(0, 10) : null
+    };
+  }
+
+}
+
+// 输出配置：未列出的层按 full 输出
+const OUTPUT_PROFILES = {
+  full: {},
+  compact: { cognition: 'summary', experience: 'summary', thoughts: 'summary', knowledges: 'summary', footer: 'omit' },
+  minimal: { cognition: 'omit', experience: 'omit', thoughts: 'omit', executions: 'summary', knowledges: 'omit', footer: 'omit' }
+};
+
+// 超出token预算时的压缩顺序（优先级从低到高），标题、人格、原则和状态层不压缩
+const BUDGET_REDUCTIONS = [
+  ['footer', 'omit'],
+  ['experience', 'summary'],
+  ['experience', 'omit'],
+  ['cognition', 'summary'],
+  ['knowledges', 'summary'],
+  ['cognition', 'omit'],
+  ['knowledges', 'omit'],
+  ['thoughts', 'summary'],
+  ['thoughts', 'omit'],
+  ['executions', 'summary'],
+  ['knowledge', 'omit'],
+  ['executions', 'omit']
+];
+
+const MODE_RANK = { omit: 0, summary: 1, full: 2 };
+
+// 经验快照 summary 模式列出的概念数
+const SUMMARY_CONCEPT_LIMIT = 5;
+
+const DEPENDENCY_PROTOCOLS = {
+  thoughts: 'thought',
+  executions: 'execution',
+  knowledges: 'knowledge'
+};
+
+/**
+ * 估算文本的token数量
+ * 中日韩字符按每字1个token，其余字符按每4个字符1个token
+ * @param {string} text - 文本
+ * @returns {number} 估算的token数
+ */
+export function estimateTokens(text) {
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
 }
 
+// thought/execution 子元素的列表样式（小节标题见语言包 element.*）
+// prose - 保持原样；bullet - 无序列表；numbered - 编号列表；steps - 有序步骤；checklist - 检查清单
+const RESOURCE_ELEMENTS = {
+  thought: {
+    exploration: 'prose',
+    reasoning: 'prose',
+    challenge: 'bullet',
+    plan: 'steps'
+  },
+  execution: {
+    constraint: 'bullet',
+    rule: 'numbered',
+    guideline: 'bullet',
+    process: 'steps',
+    criteria: 'checklist'
+  }
+};
+
+// 资源标题为 ###，子元素为 ####，子元素内的标题从 ##### 开始
+// 知识资源没有子元素，其中的标题从 #### 开始
+const ELEMENT_HEADING_LEVEL = 4;
+
 /**
  * 三层组装器 - 组装最终输出内容
  */
 class LayerAssembler {
+  constructor() {
+    this.parser = new DPMLParser({ tolerant: true });
+    this.text = createTranslator(DEFAULT_LOCALE, 'content');
+  }
+
   /**
    * 组装完整内容
    * @param {Object} roleInfo - 角色信息
    * @param {Object} dependencies - 依赖资源
    * @param {Object} cognitionData - 认知数据
    * @param {string} mode - 模式 (command|subagent)
+   * @param {Object} options - 组装选项，见 assemble()
    * @returns {string} 组装后的内容
    */
-  assembleContent(roleInfo, dependencies, cognitionData, mode = 'command') {
-    const parts = [];
+  assembleContent(roleInfo, dependencies, cognitionData, mode = 'command', options = {}) {
+    return this.assemble(roleInfo, dependencies, cognitionData, mode, options).content;
+  }
 
-    // 标题部分
-    parts.push(`# 🧠 [Consciousness Prime] ${roleInfo.id}${mode === 'subagent' ? '专业助手' : '角色已激活'}`);
-    parts.push('');
+  /**
+   * 按输出配置和token预算组装内容
+   *
+   * 先按 profile 确定各层的输出方式（full|summary|omit），再在超出 maxTokens 时
+   * 按 BUDGET_REDUCTIONS 的顺序逐步压缩低优先级的层，直到满足预算。
+   *
+   * @param {Object} roleInfo - 角色信息
+   * @param {Object} dependencies - 依赖资源
+   * @param {Object} cognitionData - 认知数据
+   * @param {string} mode - 模式 (command|subagent)
+   * @param {Object} options - 组装选项
+   * @param {string} options.profile - 输出配置 (full|compact|minimal)，默认 full
+   * @param {string} options.knowledge - 知识资源输出方式 (inline|toc|omit)，覆盖 profile 的设置
+   * @param {number} options.maxTokens - token预算
+   * @param {string} options.cognition - 认知网络输出方式 (link|embed)，embed 时输出经验快照
+   * @param {number} options.maxConcepts - 经验快照最多包含的概念数
+   * @param {string} options.lang - 内容语言，默认中文
+   * @param {OutputTemplate} options.template - 输出模板，默认为该语言的默认模板
+   * @returns {Object} { content, layers, totalTokens, reductions, overBudget }
+   */
+  assemble(roleInfo, dependencies, cognitionData, mode = 'command', options = {}) {
+    const lang = options.lang || DEFAULT_LOCALE;
+    // 当前组装使用的内容文案（小节标题、目录说明等）
+    this.text = createTranslator(lang, 'content');
+    const template = options.template || OutputTemplate.default(lang);
+    const context = { roleInfo, dependencies, cognitionData, mode, template };
+    const layerModes = this.resolveLayerModes(options);
 
-    // CognitionLayer - PromptX认知增强
-    parts.push('## 💭 PromptX认知增强');
-    
-    if (cognitionData.hasNetwork) {
-      parts.push('🧠 **状态**: 该角色已建立经验网络');
-      parts.push('');
-      parts.push('🔧 **激活方式** (需要PromptX MCP服务器):');
-      parts.push(`- \`recall ${roleInfo.id}\` - 激活该角色的完整经验网络`);
-      parts.push(`- \`recall ${roleInfo.id} "具体问题"\` - 检索相关历史经验`);
-      parts.push(`- \`remember ${roleInfo.id} "新知识"\` - 将新经验加入角色记忆`);
-      parts.push('');
-      parts.push('💡 **说明**: 认知网络包含该角色的历史使用经验，通过recall工具动态激活');
-      
-    } else {
-      parts.push('🌱 **状态**: 该角色尚未建立经验网络');
-      parts.push('');
-      parts.push('🚀 **开始使用**:');
-      parts.push('- 安装并配置PromptX MCP服务器');
-      parts.push(`- 使用 \`recall ${roleInfo.id}\` 开始建立认知网络`);
-      parts.push('- 随着使用逐步积累该角色的专业经验');
-    }
-    
-    parts.push('');
+    const layerNames = template.layers(mode);
+    const layers = layerNames.map(name => this.buildLayer(name, context, layerModes[name]));
+    const totalTokens = () => layers.reduce((sum, layer) => sum + layer.tokens, 0);
+    const reductions = [];
+
+    if (options.maxTokens) {
+      for (const [name, target] of BUDGET_REDUCTIONS) {
+        if (totalTokens() <= options.maxTokens) {
+          break;
+        }
+
+        const index = layerNames.indexOf(name);
+        if (index === -1 || layers[index].tokens === 0 || MODE_RANK[layers[index].mode] <= MODE_RANK[target]) {
+          continue;
+        }
 
-    // RoleLayer - 角色定义
-    if (roleInfo.sections.personality) {
-      parts.push('## 🎭 角色人格');
-      parts.push(this.cleanContent(roleInfo.sections.personality));
-      parts.push('');
+        const before = layers[index].tokens;
+        layers[index] = this.buildLayer(name, context, target);
+        reductions.push({ layer: name, mode: target, saved: before - layers[index].tokens });
+      }
     }
 
-    if (roleInfo.sections.principle) {
-      parts.push('## 🔧 工作原则');
-      parts.push(this.cleanContent(roleInfo.sections.principle));
-      parts.push('');
+    return {
+      content: layers.flatMap(layer => layer.lines).join('\n'),
+      layers: layers.map(({ name, mode: layerMode, tokens }) => ({ name, mode: layerMode, tokens })),
+      totalTokens: totalTokens(),
+      reductions,
+      overBudget: Boolean(options.maxTokens) && totalTokens() > options.maxTokens
+    };
+  }
+
+  /**
+   * 根据 profile 和 knowledge 选项确定各层的输出方式
+   * @param {Object} options - 组装选项
+   * @returns {Object} 层名 -> full|summary|omit
+   */
+  resolveLayerModes(options) {
+    const profile = OUTPUT_PROFILES[options.profile || 'full'];
+    if (!profile) {
+      throw new UsageError(t('options.invalidProfile', { value: options.profile, profiles: Object.keys(OUTPUT_PROFILES).join(', ') }));
     }
 
-    if (roleInfo.sections.knowledge) {
-      parts.push('## 📚 专业知识');
-      parts.push(this.cleanContent(roleInfo.sections.knowledge));
-      parts.push('');
+    const layerModes = {};
+    LAYER_NAMES.forEach(name => {
+      layerModes[name] = profile[name] || 'full';
+    });
+
+    if (options.knowledge) {
+      layerModes.knowledges = { inline: 'full', toc: 'summary', omit: 'omit' }[options.knowledge];
     }
 
-    // 依赖资源
-    if (dependencies.thoughts.length > 0) {
-      parts.push('## 💡 思维模式');
-      dependencies.thoughts.forEach(thought => {
-        parts.push(`### ${thought.id}`);
-        parts.push(this.cleanContent(thought.content));
+    return layerModes;
+  }
+
+  /**
+   * 构建单个内容层
+   * @param {string} name - 层名
+   * @param {Object} context - { roleInfo, dependencies, cognitionData, mode, template }
+   * @param {string} layerMode - full|summary|omit
+   * @returns {Object} { name, mode, lines, tokens }
+   */
+  buildLayer(name, context, layerMode) {
+    const lines = layerMode === 'omit' ? [] : this.buildLayerLines(name, context, layerMode);
+    return {
+      name,
+      mode: layerMode,
+      lines,
+      tokens: lines.length > 0 ? estimateTokens(lines.join('\n')) : 0
+    };
+  }
+
+  /**
+   * 生成内容层的各行
+   * @param {string} name - 层名
+   * @param {Object} context - { roleInfo, dependencies, cognitionData, mode, template }
+   * @param {string} layerMode - full|summary
+   * @returns {Array<string>} 内容行
+   */
+  buildLayerLines(name, context, layerMode) {
+    const { roleInfo, dependencies, cognitionData, mode, template } = context;
+    const heading = template.heading(name, mode, roleInfo.id);
+    const block = blockName => template.block(blockName, mode, roleInfo.id);
+    const parts = [];
+
+    switch (name) {
+      // 标题部分
+      case 'title':
+        if (heading) {
+          parts.push(heading);
+          parts.push('');
+        }
+        break;
+
+      // CognitionLayer - PromptX认知增强
+      case 'cognition':
+        if (heading) {
+          parts.push(heading);
+        }
+
+        if (layerMode === 'summary') {
+          parts.push(...block('cognitionSummary'));
+        } else if (cognitionData.hasNetwork) {
+          parts.push(...block('cognitionNetwork'));
+        } else {
+          parts.push(...block('cognitionEmpty'));
+        }
+
         parts.push('');
-      });
-    }
+        break;
+
+      // 认知网络快照，仅在 cognition: 'embed' 且网络可读时输出
+      case 'experience': {
+        const snapshot = cognitionData.snapshot;
+        if (!snapshot || snapshot.concepts.length === 0) {
+          break;
+        }
 
-    if (dependencies.executions.length > 0) {
-      parts.push('## ⚡ 执行技能');
-      dependencies.executions.forEach(execution => {
-        parts.push(`### ${execution.id}`);
-        parts.push(this.cleanContent(execution.content));
+        if (heading) {
+          parts.push(heading);
+        }
+        const separator = this.text('list.separator');
+        if (layerMode === 'summary') {
+          const words = snapshot.concepts.slice(0, SUMMARY_CONCEPT_LIMIT).map(concept => concept.word);
+          parts.push(this.text('experience.summary', { role: roleInfo.id, concepts: words.join(separator) }));
+        } else {
+          const params = { role: roleInfo.id, count: snapshot.concepts.length, total: snapshot.total, date: snapshot.updatedAt };
+          parts.push(this.text(snapshot.updatedAt ? 'experience.introDated' : 'experience.intro', params));
+          parts.push('');
+          snapshot.concepts.forEach(concept => {
+            let line = `- **${concept.word}**`;
+            if (concept.frequency > 0) {
+              line += ` ${this.text('experience.frequency', { count: concept.frequency })}`;
+            }
+            if (concept.connections.length > 0) {
+              line += ` → ${concept.connections.join(separator)}`;
+            }
+            parts.push(line);
+          });
+        }
         parts.push('');
-      });
+        break;
+      }
+
+      // RoleLayer - 角色定义
+      case 'personality':
+      case 'principle':
+      case 'knowledge':
+        if (roleInfo.sections[name]) {
+          if (heading) {
+            parts.push(heading);
+          }
+          parts.push(this.cleanContent(roleInfo.sections[name]));
+          parts.push('');
+        }
+        break;
+
+      // 依赖资源
+      case 'thoughts':
+      case 'executions':
+      case 'knowledges': {
+        const resources = dependencies[name];
+        const protocol = DEPENDENCY_PROTOCOLS[name];
+        if (resources.length === 0) {
+          break;
+        }
+
+        if (heading) {
+          parts.push(heading);
+        }
+        if (layerMode === 'summary') {
+          parts.push(...this.buildToc(resources, protocol));
+          parts.push('');
+        } else {
+          resources.forEach(resource => {
+            parts.push(`### ${resource.id}`);
+            parts.push(this.renderDependency(resource.content, protocol));
+            parts.push('');
+          });
+        }
+        break;
+      }
+
+      // 用户需求，command 模式下由 Claude Code 将 $ARGUMENTS 替换为命令参数
+      case 'task': {
+        const lines = block('task');
+        if (lines.length === 0) {
+          break;
+        }
+        if (heading) {
+          parts.push(heading);
+        }
+        parts.push(...lines);
+        break;
+      }
+
+      // StateLayer - 状态信息
+      case 'state':
+      case 'footer':
+      case 'closing':
+        parts.push(...block(name));
+        break;
     }
 
-    // StateLayer - 状态信息
-    parts.push('---');
-    parts.push('');
-    
-    if (mode === 'command') {
-      parts.push(`🎉 ${roleInfo.id}角色激活完成！我现在以该角色身份为你服务。`);
-    } else {
-      parts.push('## 🤖 助手说明');
-      parts.push(`我是基于PromptX ${roleInfo.id}角色的专业AI助手。我会：`);
-      parts.push(`- 始终保持${roleInfo.id}的专业身份和思维模式`);
-      parts.push('- 利用完整的PromptX工具生态提供专业服务');
-      parts.push('- 在我们的对话过程中持续学习和记忆');
-      parts.push('');
-      parts.push('请告诉我你需要什么帮助？');
+    return parts;
+  }
+
+  /**
+   * 渲染单个依赖资源的正文
+   * @param {string} content - 资源原始内容
+   * @param {string} protocol - thought|execution|knowledge
+   * @returns {string} Markdown内容
+   */
+  renderDependency(content, protocol) {
+    return protocol === 'knowledge'
+      ? this.demoteHeadings(this.cleanContent(content), ELEMENT_HEADING_LEVEL)
+      : this.renderResource(content, protocol);
+  }
+
+  /**
+   * 将 thought/execution 资源渲染为Markdown
+   *
+   * 子元素（exploration、rule、process 等）转换为 #### 小节，并按类型整理列表：
+   * 规则为编号列表、流程为有序步骤、评价标准为检查清单。
+   * 根元素前后的内容（标题、说明等）保留在小节前后，不是对应DPML结构的内容按 cleanContent 处理。
+   *
+   * @param {string} content - 资源原始内容
+   * @param {string} protocol - thought|execution
+   * @returns {string} Markdown内容
+   */
+  renderResource(content, protocol) {
+    const document = this.parser.parse(content || '');
+    const rootElement = document.childElements(document.root, protocol)[0];
+    if (!rootElement) {
+      return this.cleanContent(content);
     }
 
-    parts.push('');
-    parts.push('---');
-    parts.push('');
-    parts.push('💡 **可用的PromptX工具生态**：');
-    parts.push(`- \`recall ${roleInfo.id}\` - 激活该角色的历史经验网络`);
-    parts.push(`- \`remember ${roleInfo.id} "新体验"\` - 将新体验编织到角色记忆`);
-    parts.push('- `learn` - 学习新的资源和知识');
-    parts.push('- `toolx` - 执行专业工具');
-    parts.push('- 具体工具可用性取决于PromptX MCP服务器配置');
-    parts.push('');
-    
-    if (mode === 'command') {
-      parts.push('现在开始处理用户需求。');
+    const knownElements = RESOURCE_ELEMENTS[protocol];
+    const blocks = [];
+
+    // 根元素之外的内容，标题与子元素小节同级
+    const rootIndex = document.root.children.indexOf(rootElement);
+    const outside = nodes => this.demoteHeadings(
+      this.serializeNodes(document, nodes).replace(/\n\s*\n\s*\n/g, '\n\n').trim(),
+      ELEMENT_HEADING_LEVEL
+    );
+    const before = outside(document.root.children.slice(0, rootIndex));
+    const after = outside(document.root.children.slice(rootIndex + 1));
+    if (before) {
+      blocks.push(before);
+    }
+
+    rootElement.children.forEach(child => {
+      if (child.type === 'comment') {
+        return;
+      }
+
+      if (child.type === 'text') {
+        const text = this.cleanContent(child.value);
+        if (text) {
+          blocks.push(text);
+        }
+        return;
+      }
+
+      // 小节标题取自内容语言包
+      const known = Boolean(knownElements[child.name]);
+      const title = known ? this.text(`element.${child.name}`) : child.name;
+      const style = known ? knownElements[child.name] : 'prose';
+      const body = this.cleanContent(this.dedent(document.innerSource(child)));
+      if (!body) {
+        return;
+      }
+
+      // 内容首行标题与小节标题相同时省略，避免重复
+      const heading = '#'.repeat(ELEMENT_HEADING_LEVEL);
+      const formatted = this.formatList(this.demoteHeadings(body), style)
+        .replace(/^#{1,6}\s+(.+)\n+/, (line, text) => (text.trim() === title ? '' : line));
+      blocks.push(`${heading} ${title}\n${formatted}`);
+    });
+
+    if (after) {
+      blocks.push(after);
+    }
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * 去除公共缩进（DPML子元素内容通常整体缩进，直接输出会被当作代码块）
+   * @param {string} text - 文本
+   * @returns {string} 处理后的文本
+   */
+  dedent(text) {
+    const lines = text.replace(/^\s*\n/, '').split('\n');
+    const indents = lines
+      .filter(line => line.trim())
+      .map(line => line.match(/^[ \t]*/)[0].length);
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+
+    return lines.map(line => line.slice(Math.min(indent, line.match(/^[ \t]*/)[0].length))).join('\n');
+  }
+
+  /**
+   * 调整内容中的标题层级，使最高一级标题为 topLevel（默认在子元素标题之下），保持层级一致
+   * @param {string} text - 文本
+   * @param {number} [topLevel] - 最高一级标题的级别
+   * @returns {string} 处理后的文本
+   */
+  demoteHeadings(text, topLevel = ELEMENT_HEADING_LEVEL + 1) {
+    const lines = text.split('\n');
+    let inFence = false;
+    const levels = [];
+
+    lines.forEach(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      } else if (!inFence) {
+        const match = line.match(/^(#{1,6})\s/);
+        if (match) {
+          levels.push(match[1].length);
+        }
+      }
+    });
+
+    if (levels.length === 0) {
+      return text;
+    }
+
+    const shift = topLevel - Math.min(...levels);
+    inFence = false;
+
+    return lines.map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) {
+        return line;
+      }
+      return line.replace(/^(#{1,6})(?=\s)/, hashes => '#'.repeat(Math.min(6, hashes.length + shift)));
+    }).join('\n');
+  }
+
+  /**
+   * 按样式整理顶层列表项
+   * @param {string} text - 文本
+   * @param {string} style - prose|bullet|numbered|steps|checklist
+   * @returns {string} 处理后的文本
+   */
+  formatList(text, style) {
+    if (style === 'prose') {
+      return text;
     }
 
-    return parts.join('\n');
+    let inFence = false;
+    let counter = 0;
+
+    return text.split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) {
+        return line;
+      }
+
+      const item = line.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/);
+      if (!item) {
+        // 标题或段落开始新的列表，缩进行和空行属于当前列表
+        if (line.trim() && !/^\s/.test(line)) {
+          counter = 0;
+        }
+        return line;
+      }
+
+      counter++;
+      const itemText = item[1];
+      switch (style) {
+        case 'numbered':
+          return `${counter}. ${itemText}`;
+        case 'steps':
+          return `${counter}. ${itemText.replace(/^(?:步骤|Step)\s*\d+[:：.]\s*/i, '')}`;
+        case 'checklist':
+          return `- [ ] ${itemText.replace(/^\[[ xX]\]\s*/, '')}`;
+        default:
+          return `- ${itemText}`;
+      }
+    }).join('\n');
+  }
+
+  /**
+   * 生成资源目录（不内联正文）
+   * @param {Array} resources - 依赖资源
+   * @param {string} protocol - thought|execution|knowledge
+   * @returns {Array<string>} 内容行
+   */
+  buildToc(resources, protocol) {
+    const intro = this.text(protocol === 'knowledge' ? 'toc.knowledge' : 'toc.resource');
+    // 知识资源列出三级标题，thought/execution 只列出小节
+    const depth = protocol === 'knowledge' ? 3 : 1;
+    const lines = [intro, ''];
+
+    resources.forEach(resource => {
+      lines.push(`- **${resource.id}** - \`learn @${protocol}://${resource.id}\``);
+
+      const headings = this.renderDependency(resource.content, protocol)
+        .replace(/```[\s\S]*?```/g, '')
+        .split('\n')
+        .map(line => line.match(/^(#{1,6})\s+(.+?)\s*#*$/))
+        .filter(Boolean);
+      if (headings.length === 0) {
+        return;
+      }
+
+      const baseLevel = Math.min(...headings.map(match => match[1].length));
+      headings
+        .filter(match => match[1].length < baseLevel + depth)
+        .forEach(match => {
+          const indent = '  '.repeat(match[1].length - baseLevel + 1);
+          lines.push(`${indent}- ${match[2]}`);
+        });
+    });
+
+    return lines;
   }
 
   /**
    * 清理内容格式
+   *
+   * 基于DPML语法树处理：移除注释、展开 <reference> 标签，
+   * 并删除资源引用（依赖内容会单独展示），代码中的引用示例保持不变。
+   *
    * @param {string} content - 原始内容
    * @returns {string} 清理后的内容
    */
   cleanContent(content) {
     if (!content) return '';
-    
-    return content
-      // 移除PromptX资源引用标签（但保留引用内容的展开结果）
-      .replace(/<reference[^>]*>/g, '')
-      .replace(/<\/reference>/g, '')
-      // 移除@!protocol://resource引用行（因为依赖内容会单独展示）
-      .replace(/\s*@!?[^:]+:\/\/[^\s\>\<\n]+\s*/g, '')
+
+    const document = this.parser.parse(content);
+
+    return this.serializeNodes(document, document.root.children)
       // 清理多余空行
       .replace(/\n\s*\n\s*\n/g, '\n\n')
       // 移除开头结尾空白
       .trim();
   }
+
+  /**
+   * 将语法树节点还原为文本
+   * @param {DPMLDocument} document - 解析结果
+   * @param {Array<Object>} nodes - 节点列表
+   * @returns {string} 文本
+   */
+  serializeNodes(document, nodes) {
+    return nodes.map(node => {
+      if (node.type === 'comment') {
+        return '';
+      }
+      if (node.type === 'text') {
+        return node.code ? node.value : this.removeReferences(node.value);
+      }
+      if (node.name === 'reference') {
+        return this.serializeNodes(document, node.children);
+      }
+      return document.openTagOf(node) + this.serializeNodes(document, node.children) + document.closeTagOf(node);
+    }).join('');
+  }
+
+  /**
+   * 删除文本中的资源引用，只包含引用的行整行删除
+   * @param {string} text - 文本
+   * @returns {string} 处理后的文本
+   */
+  removeReferences(text) {
+    const lines = text.split('\n');
+    const result = [];
+
+    lines.forEach((line, index) => {
+      const stripped = line.replace(REFERENCE_PATTERN, '');
+      if (stripped === line) {
+        result.push(line);
+        return;
+      }
+      // 首行和末行可能与相邻节点在同一行，不整行删除
+      const inner = index > 0 && index < lines.length - 1;
+      if (inner && !stripped.trim()) {
+        return;
+      }
+      result.push(stripped.replace(/[ \t]+$/, ''));
+    });
+
+    return result.join('\n');
+  }
 }
 
 /**
  * PromptX Action处理器主类
  */
 export class PromptXActionProcessor {
-  constructor() {
-    this.resourceManager = resource.getGlobalResourceManager();
-    this.roleLoader = new RoleLoader(this.resourceManager);
-    this.dependencyAnalyzer = new DependencyAnalyzer(this.resourceManager);
-    this.cognitionLoader = new CognitionLoader();
+  /**
+   * @param {Object} options - { logger, rolesDir, source }
+   *   logger 见 src/logger.js，默认输出到控制台
+   *   rolesDir 为本地角色目录，指定时从该目录读取角色和依赖（见 LocalRoleSource），不使用PromptX注册表
+   *   source 为PromptX角色来源（user|project|package），指定时读取该来源中的角色文件（见 roleSources）
+   */
+  constructor(options = {}) {
+    this.logger = createLogger(options.logger);
+    this.resourceManager = options.rolesDir
+      ? new LocalRoleSource(options.rolesDir)
+      : getResourceManager();
+    const source = !options.rolesDir && ROLE_SOURCES.includes(options.source) ? options.source : undefined;
+    this.roleLoader = new RoleLoader(this.resourceManager, this.logger, source);
+    this.dependencyAnalyzer = new DependencyAnalyzer(this.resourceManager, this.logger);
+    this.cognitionLoader = new CognitionLoader(this.logger);
     this.layerAssembler = new LayerAssembler();
+    // 角色定义和依赖分析的缓存（Promise），见 loadRole 和 load
+    this.roles = new Map();
+    this.loaded = new Map();
+  }
+
+  /**
+   * 加载角色定义，同一处理器中每个角色只读取一次
+   * 需要重新读取时（如 watch 的每一轮）使用新的处理器
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<Object>} 角色信息
+   */
+  loadRole(roleId) {
+    return this.cached(this.roles, roleId, () => this.roleLoader.loadRole(roleId));
+  }
+
+  /**
+   * 加载角色定义并分析依赖资源，推荐工具、描述和渲染共用同一份结果
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<Object>} { roleInfo, dependencies }
+   */
+  load(roleId) {
+    return this.cached(this.loaded, roleId, async () => {
+      const roleInfo = await this.loadRole(roleId);
+      const dependencies = await this.dependencyAnalyzer.analyzeDependencies(roleInfo);
+      return { roleInfo, dependencies };
+    });
+  }
+
+  // 失败的结果不缓存，修正角色文件后可以重试
+  cached(cache, roleId, loader) {
+    if (!cache.has(roleId)) {
+      const loading = loader();
+      loading.catch(() => cache.delete(roleId));
+      cache.set(roleId, loading);
+    }
+    return cache.get(roleId);
   }
 
   /**
    * 执行完整的PromptX Action流程
    * @param {string} roleId - 角色ID
    * @param {string} mode - 模式 (command|subagent)
+   * @param {Object} options - 组装选项，见 LayerAssembler.assemble
    * @returns {string} 处理后的内容
    */
-  async processRole(roleId, mode = 'command') {
+  async processRole(roleId, mode = 'command', options = {}) {
+    const result = await this.render(roleId, mode, options);
+    return result.content;
+  }
+
+  /**
+   * 执行完整的PromptX Action流程，并返回各层的token估算
+   * @param {string} roleId - 角色ID
+   * @param {string} mode - 模式 (command|subagent)
+   * @param {Object} options - 组装选项，见 LayerAssembler.assemble
+   * @returns {Object} { content, description, missingDependencies, layers, totalTokens, reductions, overBudget }
+   *   description 为从角色定义生成的 Subagent 描述
+   *   missingDependencies 为无法加载的依赖资源（@protocol://id），内容中已略去
+   */
+  async render(roleId, mode = 'command', options = {}) {
     try {
-      console.log(chalk.blue(`\n🎭 开始执行 ${roleId} 的 PromptX Action 流程 (${mode} 模式)`));
+      this.logger.info(t('processor.start', { role: roleId, mode }));
       
-      // 1. 加载角色定义
-      const roleInfo = await this.roleLoader.loadRole(roleId);
+      // 1. 加载角色定义，2. 分析依赖资源
+      const { roleInfo, dependencies } = await this.load(roleId);
       
-      // 2. 分析依赖资源
-      const dependencies = await this.dependencyAnalyzer.analyzeDependencies(roleInfo);
-      
-      // 3. 检查认知网络存在性
-      const cognitionData = await this.cognitionLoader.checkNetworkExists(roleId);
+      // 3. 检查认知网络，embed 模式下读取概念快照
+      const cognitionData = options.cognition === 'embed'
+        ? await this.cognitionLoader.loadNetwork(roleId, { limit: options.maxConcepts })
+        : await this.cognitionLoader.checkNetworkExists(roleId);
       
       // 4. 三层组装
-      const content = this.layerAssembler.assembleContent(roleInfo, dependencies, cognitionData, mode);
+      const result = this.layerAssembler.assemble(roleInfo, dependencies, cognitionData, mode, options);
+      result.description = describeRole(roleInfo, dependencies, createTranslator(options.lang || DEFAULT_LOCALE, 'content'));
+      result.missingDependencies = dependencies.graph.missing.map(key => {
+        const { protocol, id } = dependencies.graph.nodes[key];
+        return `@${protocol}://${id}`;
+      });
+      this.reportTokens(result, options);
       
-      console.log(chalk.green(`✅ PromptX Action 流程完成！`));
+      this.logger.success(t('processor.done'));
       
-      return content;
+      return result;
       
     } catch (error) {
-      console.error(chalk.red(`❌ PromptX Action 流程失败: ${error.message}`));
+      this.logger.error(t('processor.failed', { reason: error.message }));
       throw error;
     }
   }
+
+  /**
+   * 输出各层的token估算和预算压缩情况
+   * @param {Object} result - LayerAssembler.assemble 的结果
+   * @param {Object} options - 组装选项
+   */
+  reportTokens(result, options) {
+    const layers = result.layers
+      .filter(layer => layer.tokens > 0)
+      .map(layer => `${layer.name}${layer.mode === 'full' ? '' : `(${layer.mode})`} ${layer.tokens}`);
+    this.logger.detail(t('processor.tokens', { total: result.totalTokens, layers: layers.join(', ') }));
+
+    result.reductions.forEach(reduction => {
+      this.logger.warn(t('processor.reduced', { budget: options.maxTokens, layer: reduction.layer, mode: reduction.mode, saved: reduction.saved }));
+    });
+
+    if (result.overBudget) {
+      this.logger.warn(t('processor.overBudget', { total: result.totalTokens, budget: options.maxTokens }));
+    }
+  }
+
+  /**
+   * 解析角色的完整依赖图（不组装内容）
+   * @param {string} roleId - 角色ID
+   * @returns {Object} { roleInfo, dependencies, tree }，tree 为树形文本行
+   */
+  async resolveDependencies(roleId) {
+    const { roleInfo, dependencies } = await this.load(roleId);
+    const tree = this.dependencyAnalyzer.formatTree(roleId, dependencies.graph);
+
+    return { roleInfo, dependencies, tree };
+  }
+
+  /**
+   * 收集检查角色所需的信息（见 roleLint），不组装内容
+   * @param {string} roleId - 角色ID
+   * @returns {Object} { roleInfo, graph, references, protocols }
+   *   references 以资源URL（@role://id、@thought://id 等）为键，值为其中的引用 [{ protocol, resource }]，未去重
+   *   protocols 为角色来源能解析的资源协议：本地角色目录为 LOCAL_PROTOCOLS，否则为PromptX支持的协议
+   */
+  async inspect(roleId) {
+    const { roleInfo, dependencies: { graph } } = await this.load(roleId);
+
+    const references = { [`@role://${roleId}`]: this.dependencyAnalyzer.extractResourceReferences(roleInfo.sections) };
+    Object.values(graph.nodes)
+      .filter(node => node.content)
+      .forEach(node => {
+        references[`@${node.protocol}://${node.id}`] = this.dependencyAnalyzer.extractResourceReferences({ content: node.content });
+      });
+
+    const protocols = this.resourceManager instanceof LocalRoleSource ? LOCAL_PROTOCOLS : resourceProtocols();
+    return { roleInfo, graph, references, protocols };
+  }
+
+  /**
+   * 角色定义及已加载的依赖资源对应的源文件（用于 watch 监视变化）
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<Array<string>>} 文件绝对路径，未找到的依赖没有对应文件，不包含在内
+   */
+  async sourceFiles(roleId) {
+    const { roleInfo, dependencies: { graph } } = await this.load(roleId);
+    const origins = [roleInfo.origin, ...Object.values(graph.nodes).map(node => node.origin)];
+    const files = await Promise.all(origins.map(origin => resolveOriginFile(this.resourceManager, origin)));
+    return [...new Set(files.filter(Boolean))];
+  }
+
+  /**
+   * 从角色定义生成 Subagent 描述（用于交互式编辑）
+   * @param {string} roleId - 角色ID
+   * @param {string} lang - 内容语言
+   * @returns {Promise<string>} 描述
+   */
+  async describe(roleId, lang = DEFAULT_LOCALE) {
+    const { roleInfo, dependencies } = await this.load(roleId);
+    return describeRole(roleInfo, dependencies, createTranslator(lang, 'content'));
+  }
+
+  /**
+   * 角色通过 <tools profile="..."/> 声明的推荐工具配置
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<string|null>} 工具配置名，未声明或无效时为 null
+   */
+  async recommendedToolProfile(roleId) {
+    const roleInfo = await this.loadRole(roleId);
+    const profile = roleInfo.toolProfile;
+    if (profile === undefined) {
+      return null;
+    }
+    if (!Object.hasOwn(TOOL_PROFILES, profile)) {
+      this.logger.warn(t('processor.invalidToolProfile', { role: roleId, value: profile, profiles: Object.keys(TOOL_PROFILES).join(', ') }));
+      return null;
+    }
+    return profile;
+  }
+
+  /**
+   * 角色是否已建立认知网络（不输出日志，用于交互式询问）
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<boolean>} 是否存在 network.json
+   */
+  async hasCognitionNetwork(roleId) {
+    try {
+      await fs.access(path.join(this.cognitionLoader.basePath, roleId, 'network.json'));
+      return true;
+    } catch {
+      return false;
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,423 @@
+/**
+ * RoleInstaller - 将PromptX角色渲染并写入Claude Code目录
+ *
+ * 把安装拆成两步：
+ * 1. render - 执行PromptX Action流程并生成最终文件内容（不写盘）
+ * 2. write  - 通过ClaudeCodeBuilder写入文件并记录到安装锁文件
+ *
+ * sync 等批量操作可以先 render 再与磁盘内容比较，只写入有变化的文件。
+ */
+
+import { ClaudeCodeBuilder } from 'claude-code-builder';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+import { PromptXActionProcessor } from './PromptXActionProcessor.js';
+import { InstallLock } from './InstallLock.js';
+import { OutputTemplate } from './OutputTemplate.js';
+import { expandTools } from './builtinTools.js';
+import { checkCommandOnlyOptions } from './installOptions.js';
+import { frontmatterScalar } from './roleDescription.js';
+import { createLogger } from './logger.js';
+import { t, createTranslator, resolveContentLocale, DEFAULT_LOCALE } from './i18n.js';
+
+let cachedVersions = null;
+
+/**
+ * 读取 px2cc 和 @promptx/core 的版本，用于记录安装来源
+ * @returns {Object} { px2ccVersion, promptxVersion }
+ */
+function getVersions() {
+  if (cachedVersions) {
+    return cachedVersions;
+  }
+
+  const readVersion = (packageJsonPath) => {
+    try {
+      return JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).version || null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // @promptx/core 未导出 package.json，从入口文件向上查找
+  let promptxVersion = null;
+  try {
+    let dir = path.dirname(createRequire(import.meta.url).resolve('@promptx/core'));
+    while (dir !== path.dirname(dir)) {
+      const candidate = path.join(dir, 'package.json');
+      if (fs.existsSync(candidate)) {
+        promptxVersion = readVersion(candidate);
+        break;
+      }
+      dir = path.dirname(dir);
+    }
+  } catch (error) {
+    promptxVersion = null;
+  }
+
+  cachedVersions = {
+    px2ccVersion: readVersion(new URL('../package.json', import.meta.url)),
+    promptxVersion
+  };
+  return cachedVersions;
+}
+
+export class RoleInstaller {
+  /**
+   * @param {string} claudeDir - .claude 目录路径
+   * @param {Object} options - { logger }，logger 见 src/logger.js，默认输出到控制台
+   */
+  constructor(claudeDir, options = {}) {
+    this.claudeDir = claudeDir;
+    this.logger = createLogger(options.logger);
+    // 角色来源 -> 处理器，见 processorFor
+    this.processors = new Map();
+    this.lock = new InstallLock(claudeDir);
+  }
+
+  /**
+   * 角色来源对应的处理器：本地目录中的角色（带 rolesDir）从该目录读取，
+   * PromptX角色从记录的来源（user|project|package）读取，即使该来源的角色已被同名角色覆盖
+   * @param {Object} selectedRole - { role, source, rolesDir }
+   * @returns {PromptXActionProcessor} 处理器
+   */
+  processorFor(selectedRole) {
+    const { rolesDir, source } = selectedRole;
+    const key = rolesDir ? `local:${rolesDir}` : source || '';
+    if (!this.processors.has(key)) {
+      this.processors.set(key, new PromptXActionProcessor({ logger: this.logger, rolesDir, source }));
+    }
+    return this.processors.get(key);
+  }
+
+  /**
+   * 确定安装的工具列表：工具配置展开后加上单独指定的工具
+   *
+   * 两者都未指定时使用角色声明的推荐工具配置，角色也未声明时返回 undefined，
+   * 由Claude Code继承所有可用工具。
+   *
+   * @param {Object} selectedRole - { role, source, rolesDir }
+   * @param {Object} selection - { tools, toolProfile }
+   * @returns {Promise<Array<string>|undefined>} 工具列表
+   */
+  async resolveTools(selectedRole, { tools, toolProfile } = {}) {
+    if (tools === undefined && toolProfile === undefined) {
+      const recommended = await this.processorFor(selectedRole).recommendedToolProfile(selectedRole.role);
+      if (!recommended) {
+        return undefined;
+      }
+      this.logger.detail(t('install.recommendedTools', { role: selectedRole.role, profile: recommended }));
+      return expandTools(recommended);
+    }
+    return expandTools(toolProfile, tools);
+  }
+
+  /**
+   * 渲染角色安装内容（不写盘）
+   * @param {Object} selectedRole - { role, source, rolesDir }，rolesDir 为本地角色目录
+   * @param {string} installType - agents|commands
+   * @param {Array<string>|undefined} selectedTools - 工具列表，undefined 表示继承所有工具
+   * @param {string} customName - 自定义安装名字
+   * @param {Object} options - 渲染选项，传给 PromptXActionProcessor.render 并记录到锁文件
+   *                           options.template 为模板文件路径（相对当前目录），省略时按 OutputTemplate.resolve 的顺序查找
+   *                           options.lang 为内容语言，省略时按 resolveContentLocale 确定并记录到锁文件
+   *                           options.description 覆盖默认描述（Subagent 默认从角色定义生成）
+   *                           options.model / argumentHint / customFields 写入command的frontmatter
+   * @returns {Promise<Object>} 渲染结果
+   */
+  async render(selectedRole, installType, selectedTools, customName = '', renderOptions = {}) {
+    const roleName = selectedRole.role;
+    const options = {
+      ...renderOptions,
+      ...(renderOptions.template && { template: path.resolve(renderOptions.template) }),
+      lang: resolveContentLocale(renderOptions.lang)
+    };
+    const text = createTranslator(options.lang, 'content');
+    checkCommandOnlyOptions(installType, options);
+
+    const template = await OutputTemplate.resolve(this.claudeDir, options.template, options.lang);
+    if (template.filePath) {
+      this.logger.detail(t('install.template', { file: template.filePath }));
+    }
+
+    // 使用PromptXActionProcessor执行完整的action流程
+    const mode = installType === 'agents' ? 'subagent' : 'command';
+    const processed = await this.processorFor(selectedRole).render(roleName, mode, { ...options, template });
+
+    // 根据安装模式生成相应配置
+    const finalName = customName || (installType === 'agents' ? `${roleName}-agent` : roleName);
+    const config = {
+      name: finalName,
+      // ClaudeCodeBuilder 不给 Subagent 的描述加引号，YAML特殊字符由 frontmatterScalar 处理
+      description: installType === 'agents'
+        ? frontmatterScalar(options.description || processed.description)
+        : options.description || text('description.command', { roleId: roleName }),
+      content: processed.content,
+      targetDir: this.claudeDir
+    };
+
+    if (installType === 'commands') {
+      // 模板输出 $ARGUMENTS 时，未指定参数提示则使用默认提示
+      const argumentHint = options.argumentHint
+        || (template.layers('command').includes('task') ? text('argumentHint.default') : undefined);
+      Object.assign(config, {
+        ...(argumentHint && { argumentHint }),
+        ...(options.model && { model: options.model }),
+        ...(options.customFields && { customFields: options.customFields })
+      });
+    }
+
+    // 设置工具配置 - 如果用户没有选择特定工具，Claude Code会自动继承所有可用工具
+    if (selectedTools) {
+      if (installType === 'agents') {
+        config.tools = selectedTools;
+      } else {
+        config.allowedTools = selectedTools;
+      }
+    }
+
+    return {
+      selectedRole,
+      installType,
+      finalName,
+      customName,
+      options,
+      tools: selectedTools,
+      missingDependencies: processed.missingDependencies,
+      config,
+      ...this.compose(installType, config)
+    };
+  }
+
+  /**
+   * 以新的安装名字生成同一份内容（不重新执行Action流程）
+   * @param {Object} rendered - render() 的返回值
+   * @param {string} customName - 新的安装名字
+   * @returns {Object} 新的渲染结果
+   */
+  rename(rendered, customName) {
+    const config = { ...rendered.config, name: customName };
+    return {
+      ...rendered,
+      finalName: customName,
+      customName,
+      config,
+      ...this.compose(rendered.installType, config)
+    };
+  }
+
+  /**
+   * 生成文件名、包含frontmatter的完整文件内容和调用方式
+   * @param {string} installType - agents|commands
+   * @param {Object} config - ClaudeCodeBuilder 配置
+   * @returns {Object} { fileName, filePath, fileContent, usage }
+   */
+  compose(installType, config) {
+    const fileName = `${ClaudeCodeBuilder.sanitizeName(config.name)}.md`;
+    return {
+      fileName,
+      filePath: path.join(this.claudeDir, installType, fileName),
+      fileContent: installType === 'agents'
+        ? ClaudeCodeBuilder.generateSubagentContent(config)
+        : ClaudeCodeBuilder.generateContent(config),
+      usage: installType === 'agents'
+        ? t('install.agentUsage', { name: config.name })
+        : `/${ClaudeCodeBuilder.sanitizeName(config.name)}`
+    };
+  }
+
+  /**
+   * 渲染结果的摘要，用于库接口和 --json 输出
+   * @param {Object} rendered - render() 的返回值
+   * @returns {Object} { roleId, source, installType, name, filePath, usage, content, tools, options, missingDependencies }
+   *   tools 为 null 表示继承所有可用工具
+   */
+  static summarize(rendered) {
+    return {
+      roleId: rendered.selectedRole.role,
+      source: rendered.selectedRole.source,
+      installType: rendered.installType,
+      name: rendered.finalName,
+      filePath: rendered.filePath,
+      usage: rendered.usage,
+      content: rendered.fileContent,
+      tools: rendered.tools || null,
+      options: rendered.options,
+      missingDependencies: rendered.missingDependencies
+    };
+  }
+
+  /**
+   * 读取目标位置已存在的文件
+   * @param {Object} rendered - render() 的返回值
+   * @returns {Promise<string|null>} 文件内容，不存在时为 null
+   */
+  async readExisting(rendered) {
+    try {
+      return await fs.promises.readFile(rendered.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 已存在的文件是否由px2cc生成且未被手动修改（可以安全覆盖）
+   * @param {Object} rendered - render() 的返回值
+   * @returns {Promise<boolean>} 是否可以安全覆盖
+   */
+  async isPristine(rendered) {
+    await this.lock.load();
+    const entry = this.lock.get(rendered.installType, rendered.fileName);
+    return Boolean(entry) && await this.lock.checkFile(entry) === 'ok';
+  }
+
+  /**
+   * 写入渲染结果并记录到锁文件
+   * @param {Object} rendered - render() 的返回值
+   * @returns {Promise<Object>} 安装结果
+   */
+  async write(rendered) {
+    const { selectedRole, installType, finalName, fileName, config } = rendered;
+    const results = {};
+
+    if (installType === 'agents') {
+      this.logger.info(t('install.writingAgent', { name: finalName }));
+      const subagentResult = await ClaudeCodeBuilder.createSubagent(config);
+
+      if (!subagentResult.success) {
+        throw new Error(t('install.agentFailed', { reason: subagentResult.error }));
+      }
+      results.agentFile = fileName;
+    }
+
+    if (installType === 'commands') {
+      this.logger.info(t('install.writingCommand', { name: finalName }));
+      const commandResult = await ClaudeCodeBuilder.createCommand(config);
+
+      if (!commandResult.success) {
+        throw new Error(t('install.commandFailed', { reason: commandResult.error }));
+      }
+      results.commandFile = fileName;
+    }
+
+    await this.record(rendered);
+
+    results.roleName = selectedRole.role;
+    results.installType = installType;
+    results.filePath = rendered.filePath;
+    results.usage = rendered.usage;
+    return results;
+  }
+
+  /**
+   * 将渲染结果记录到锁文件（标记为由px2cc管理）
+   * @param {Object} rendered - render() 的返回值
+   */
+  async record(rendered) {
+    await this.lock.load();
+    const contentHash = InstallLock.hashContent(rendered.fileContent);
+    const previous = this.lock.get(rendered.installType, rendered.fileName);
+
+    this.lock.set({
+      name: rendered.finalName,
+      file: rendered.fileName,
+      installType: rendered.installType,
+      roleId: rendered.selectedRole.role,
+      source: rendered.selectedRole.source,
+      // 本地角色目录和模板文件记录为相对安装位置上一级（通常是项目根目录）的路径，便于随仓库共享
+      ...(rendered.selectedRole.rolesDir && { rolesDir: this.projectRelative(rendered.selectedRole.rolesDir) }),
+      customName: rendered.customName,
+      tools: rendered.tools,
+      options: rendered.options.template
+        ? { ...rendered.options, template: this.projectRelative(rendered.options.template) }
+        : rendered.options,
+      contentHash,
+      // 内容未变化时保留原安装时间，避免锁文件无意义变动
+      installedAt: previous && previous.contentHash === contentHash
+        ? previous.installedAt
+        : new Date().toISOString(),
+      ...getVersions()
+    });
+    await this.lock.save();
+  }
+
+  /**
+   * 相对安装位置上一级（通常是项目根目录）的路径，用于锁文件
+   * @param {string} filePath - 绝对路径
+   * @returns {string} 相对路径
+   */
+  projectRelative(filePath) {
+    return path.relative(path.dirname(this.claudeDir), filePath) || '.';
+  }
+
+  /**
+   * 锁文件中记录的相对路径对应的绝对路径
+   * @param {string} filePath - projectRelative 的结果（早期记录可能是绝对路径）
+   * @returns {string} 绝对路径
+   */
+  projectPath(filePath) {
+    return path.resolve(path.dirname(this.claudeDir), filePath);
+  }
+
+  /**
+   * 安装记录对应的角色
+   * @param {Object} entry - 锁文件中的安装条目
+   * @returns {Object} { role, source, rolesDir }，rolesDir 为绝对路径
+   */
+  roleOf(entry) {
+    return {
+      role: entry.roleId,
+      source: entry.source,
+      ...(entry.rolesDir && { rolesDir: this.projectPath(entry.rolesDir) })
+    };
+  }
+
+  /**
+   * 按安装记录重新渲染，并与磁盘上的文件比较
+   * @param {Object} entry - 锁文件中的安装条目
+   * @returns {Promise<Object>} { entry, status, rendered, error }
+   *   status: up-to-date | outdated | modified | missing | error
+   */
+  async check(entry) {
+    const selectedRole = this.roleOf(entry);
+    // 沿用原安装名字、工具选择和渲染选项
+    const customName = entry.customName !== undefined ? entry.customName : entry.name;
+    // 早期的安装记录没有 lang，当时生成的内容均为中文
+    const options = { lang: DEFAULT_LOCALE, ...entry.options };
+    if (options.template) {
+      options.template = this.projectPath(options.template);
+    }
+
+    let rendered;
+    try {
+      rendered = await this.render(selectedRole, entry.installType, entry.tools, customName, options);
+    } catch (error) {
+      return { entry, status: 'error', rendered: null, error: error.message };
+    }
+
+    const fileStatus = await this.lock.checkFile(entry);
+    if (fileStatus !== 'ok') {
+      return { entry, status: fileStatus, rendered };
+    }
+
+    const current = await fs.promises.readFile(rendered.filePath, 'utf8');
+    return {
+      entry,
+      status: current === rendered.fileContent ? 'up-to-date' : 'outdated',
+      rendered
+    };
+  }
+
+  /**
+   * 渲染并安装角色
+   * @returns {Promise<Object>} 安装结果
+   */
+  async install(selectedRole, installType, selectedTools, customName = '', options = {}) {
+    const rendered = await this.render(selectedRole, installType, selectedTools, customName, options);
+    return this.write(rendered);
+  }
+}
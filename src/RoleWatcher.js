@@ -0,0 +1,273 @@
+/**
+ * RoleWatcher - 监视已安装角色的源文件，变化后自动重新生成
+ *
+ * 从安装位置的 px2cc.lock.json 读取安装记录，监视每个角色的定义文件、已解析的依赖资源和输出模板
+ * （--template 指定的文件，或安装位置和用户目录中的默认模板）。
+ * 文件变化后（合并 debounce 毫秒内的连续变化）按安装记录重新渲染受影响的角色并写入，
+ * 相当于只对这些角色运行 update：安装后被手动修改过的文件默认跳过，force 时覆盖。
+ *
+ * 监视的是文件所在的目录：编辑器保存时常常先写临时文件再重命名，直接监视文件会在第一次保存后失效。
+ * 每次重新生成后重新解析依赖，新增的引用随即加入监视。本地角色目录（--roles-dir）整体递归监视，
+ * 角色引用的资源文件在目录中新建后同样会触发重新生成。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RoleInstaller } from './RoleInstaller.js';
+import { LocalRoleSource } from './LocalRoleSource.js';
+import { OutputTemplate } from './OutputTemplate.js';
+import { createLogger } from './logger.js';
+import { NotFoundError } from './errors.js';
+import { t } from './i18n.js';
+
+// 合并连续变化的等待时间（毫秒）
+export const DEFAULT_DEBOUNCE = 300;
+
+// 安装条目的键，与锁文件一致
+function entryKey(entry) {
+  return `${entry.installType}/${entry.file}`;
+}
+
+// dir 是否为 root 或其子目录
+function isWithin(root, dir) {
+  const relative = path.relative(root, dir);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+export class RoleWatcher {
+  /**
+   * @param {string} claudeDir - .claude 目录路径
+   * @param {Object} options - { names, force, debounce, logger }
+   *   names 为要监视的安装名字，省略时监视锁文件中的所有角色
+   *   logger 见 src/logger.js，默认输出到控制台
+   */
+  constructor(claudeDir, options = {}) {
+    this.claudeDir = claudeDir;
+    this.names = options.names || [];
+    this.force = Boolean(options.force);
+    this.debounce = options.debounce !== undefined ? options.debounce : DEFAULT_DEBOUNCE;
+    this.logger = createLogger(options.logger);
+    // 条目键 -> { files, rolesDir }，rolesDir 为本地角色目录
+    this.sources = new Map();
+    // 目录 -> fs.FSWatcher
+    this.watchers = new Map();
+    // 等待处理的变化文件
+    this.pending = new Set();
+    this.timer = null;
+    // 重新生成依次执行，避免同时写入同一文件
+    this.running = Promise.resolve();
+  }
+
+  /**
+   * 每轮使用新的安装器：处理器重新扫描本地角色目录，锁文件重新读取
+   * 处理器的加载日志与本模块的输出重复，只保留警告（如无法加载的依赖）
+   * @returns {RoleInstaller} 安装器
+   */
+  createInstaller() {
+    return new RoleInstaller(this.claudeDir, { logger: { warn: this.logger.warn } });
+  }
+
+  /**
+   * 解析要监视的角色的源文件并开始监视
+   * @returns {Promise<Object>} { entries, files } 监视的安装条目数和文件数
+   */
+  async start() {
+    const installer = this.createInstaller();
+    await installer.lock.load();
+
+    let entries = installer.lock.list();
+    if (this.names.length > 0) {
+      entries = this.names.flatMap(name => {
+        const matches = installer.lock.find(name);
+        if (matches.length === 0) {
+          throw new NotFoundError(t('lock.notFound', { name }));
+        }
+        return matches;
+      });
+    }
+    if (entries.length === 0) {
+      throw new NotFoundError(t('watch.nothingInstalled'));
+    }
+
+    for (const entry of entries) {
+      await this.track(installer, entry);
+    }
+    this.updateWatchers();
+    // 尚不存在的默认模板不计入
+    const files = [...this.trackedFiles()].filter(file => fs.existsSync(file));
+    return { entries: this.sources.size, files: files.length };
+  }
+
+  /**
+   * 重新解析条目的源文件；角色暂时无法加载时（如编辑到一半）保留原来的文件列表
+   * @param {RoleInstaller} installer - 安装器
+   * @param {Object} entry - 安装条目
+   */
+  async track(installer, entry) {
+    const key = entryKey(entry);
+    const role = installer.roleOf(entry);
+    // 模板文件不存在时同样监视，新建的默认模板会改变生成结果
+    const template = entry.options && entry.options.template;
+    const templates = OutputTemplate.candidates(this.claudeDir, template && installer.projectPath(template));
+
+    let files;
+    try {
+      files = await installer.processorFor(role).sourceFiles(entry.roleId);
+    } catch (error) {
+      this.logger.warn(t('watch.sourcesFailed', { name: entry.name, reason: error.message }));
+      files = this.sources.has(key) ? this.sources.get(key).files : [];
+    }
+    this.sources.set(key, { files: [...new Set([...files, ...templates])], rolesDir: role.rolesDir });
+  }
+
+  trackedFiles() {
+    return new Set([...this.sources.values()].flatMap(source => source.files));
+  }
+
+  /**
+   * 文件变化是否影响条目：条目的源文件，或条目所在本地角色目录中的资源文件（可能是新建的依赖）
+   * @param {Object} source - this.sources 中的值
+   * @param {string} file - 变化的文件
+   * @returns {boolean} 是否影响
+   */
+  affects(source, file) {
+    return source.files.includes(file) || Boolean(source.rolesDir && LocalRoleSource.isResourceFile(source.rolesDir, file));
+  }
+
+  /**
+   * 按当前的源文件调整目录监视：本地角色目录递归监视，其余文件监视所在目录
+   */
+  updateWatchers() {
+    const roots = [...new Set([...this.sources.values()].map(source => source.rolesDir).filter(Boolean))];
+    // 目录 -> 是否递归
+    const wanted = new Map(roots.map(root => [root, true]));
+    this.trackedFiles().forEach(file => {
+      const dir = path.dirname(file);
+      if (!roots.some(root => isWithin(root, dir))) {
+        wanted.set(dir, false);
+      }
+    });
+
+    this.watchers.forEach((watcher, dir) => {
+      if (!wanted.has(dir)) {
+        watcher.close();
+        this.watchers.delete(dir);
+      }
+    });
+
+    wanted.forEach((recursive, dir) => {
+      // 不存在的目录只可能来自默认模板的位置
+      if (this.watchers.has(dir) || !fs.existsSync(dir)) {
+        return;
+      }
+      try {
+        const watcher = this.watch(dir, recursive);
+        watcher.on('error', error => this.logger.warn(t('watch.watchFailed', { dir, reason: error.message })));
+        this.watchers.set(dir, watcher);
+      } catch (error) {
+        this.logger.warn(t('watch.watchFailed', { dir, reason: error.message }));
+      }
+    });
+  }
+
+  /**
+   * 监视目录，不支持递归监视的平台（如 Node 18 的 Linux）只监视顶层
+   */
+  watch(dir, recursive) {
+    const listener = (eventType, filename) => this.onChange(dir, filename);
+    if (recursive) {
+      try {
+        return fs.watch(dir, { recursive: true }, listener);
+      } catch (error) {
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+          throw error;
+        }
+      }
+    }
+    return fs.watch(dir, listener);
+  }
+
+  onChange(dir, filename) {
+    if (!filename) {
+      return;
+    }
+    const file = path.join(dir, filename.toString());
+    if (![...this.sources.values()].some(source => this.affects(source, file))) {
+      return;
+    }
+
+    this.pending.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const files = [...this.pending];
+      this.pending.clear();
+      this.running = this.running
+        .then(() => this.regenerate(files))
+        .catch(error => this.logger.error(t('watch.cycleFailed', { reason: error.message })));
+    }, this.debounce);
+  }
+
+  /**
+   * 重新生成依赖变化文件的角色
+   * @param {Array<string>} changedFiles - 变化的源文件
+   * @returns {Promise<Object>} { updated, unchanged, skipped, failed } 各为安装名字列表
+   */
+  async regenerate(changedFiles) {
+    const installer = this.createInstaller();
+    await installer.lock.load();
+
+    const keys = [...this.sources.keys()]
+      .filter(key => changedFiles.some(file => this.affects(this.sources.get(key), file)));
+    const summary = { updated: [], unchanged: [], skipped: [], failed: [] };
+
+    this.logger.info(t('watch.changed', { files: changedFiles.map(file => path.basename(file)).join(', ') }));
+
+    for (const key of keys) {
+      const [installType, file] = key.split('/');
+      const entry = installer.lock.get(installType, file);
+      // 监视期间被卸载
+      if (!entry) {
+        this.sources.delete(key);
+        continue;
+      }
+
+      const { status, rendered, error } = await installer.check(entry);
+      if (status === 'error') {
+        summary.failed.push(entry.name);
+        this.logger.error(t('watch.failed', { name: entry.name, reason: error }));
+      } else if (status === 'up-to-date') {
+        summary.unchanged.push(entry.name);
+        this.logger.detail(t('watch.unchanged', { name: entry.name }));
+      } else if (status === 'modified' && !this.force) {
+        summary.skipped.push(entry.name);
+        this.logger.warn(t('watch.skipped', { name: entry.name }));
+      } else {
+        await installer.write(rendered);
+        summary.updated.push(entry.name);
+        this.logger.success(t('watch.updated', { name: entry.name, file: key }));
+      }
+
+      await this.track(installer, entry);
+    }
+
+    this.updateWatchers();
+    this.logger.info(t('watch.summary', {
+      time: new Date().toLocaleTimeString(),
+      updated: summary.updated.length,
+      unchanged: summary.unchanged.length,
+      skipped: summary.skipped.length,
+      failed: summary.failed.length
+    }));
+    return summary;
+  }
+
+  /**
+   * 停止监视，等待正在进行的重新生成完成
+   */
+  async close() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    await this.running;
+  }
+}
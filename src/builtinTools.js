@@ -0,0 +1,51 @@
+/**
+ * builtinTools - Claude Code 内置工具和工具配置
+ *
+ * 工具配置（tool profile）是常用的内置工具组合，安装时可以直接选用，
+ * 角色也可以在 <role> 中用 <tools profile="read-only"/> 声明推荐的配置。
+ */
+
+// Claude Code 内置工具
+export const BUILTIN_TOOLS = [
+  'Read',
+  'Glob',
+  'Grep',
+  'LS',
+  'WebFetch',
+  'WebSearch',
+  'TodoWrite',
+  'Write',
+  'Edit',
+  'MultiEdit',
+  'NotebookEdit',
+  'Bash',
+  'BashOutput',
+  'KillShell',
+  'Task',
+  'ExitPlanMode',
+  'SlashCommand'
+];
+
+const READ_ONLY_TOOLS = ['Read', 'Glob', 'Grep', 'LS', 'WebFetch', 'WebSearch', 'TodoWrite'];
+const EDITOR_TOOLS = [...READ_ONLY_TOOLS, 'Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+// 工具配置，按权限从小到大排列
+export const TOOL_PROFILES = {
+  'read-only': READ_ONLY_TOOLS,
+  editor: EDITOR_TOOLS,
+  full: [...EDITOR_TOOLS, 'Bash', 'BashOutput', 'KillShell', 'Task']
+};
+
+// 角色声明推荐工具配置的标签（PromptX 只识别不带属性的 <role> 标签，因此不放在 <role> 上）
+export const TOOL_PROFILE_TAG = 'tools';
+
+/**
+ * 合并工具配置和单独指定的工具，去除重复项
+ * @param {string} [profile] - 工具配置名
+ * @param {Array<string>} [tools] - 额外的工具
+ * @returns {Array<string>} 工具列表
+ */
+export function expandTools(profile, tools = []) {
+  const base = profile ? TOOL_PROFILES[profile] : [];
+  return [...new Set([...base, ...tools])];
+}
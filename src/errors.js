@@ -0,0 +1,95 @@
+/**
+ * errors - px2cc 的错误类型
+ *
+ * 每类错误有固定的 code 和退出码，脚本可以据此区分失败原因
+ * （--json 输出中的 error.code 与退出码一一对应）。未归类的错误退出码为 1。
+ */
+
+export const EXIT_CODES = {
+  failure: 1,
+  usage: 2,
+  config: 3,
+  'not-found': 4,
+  conflict: 5,
+  promptx: 6,
+  partial: 7,
+  lint: 8
+};
+
+export class Px2ccError extends Error {
+  /**
+   * @param {string} message - 已翻译的错误信息
+   * @param {string} code - EXIT_CODES 中的错误类别
+   */
+  constructor(message, code = 'failure') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+
+  get exitCode() {
+    return EXIT_CODES[this.code];
+  }
+}
+
+// 命令行参数或安装选项无效
+export class UsageError extends Px2ccError {
+  constructor(message) {
+    super(message, 'usage');
+  }
+}
+
+// 清单、模板、锁文件或MCP配置文件缺失或格式错误
+export class ConfigError extends Px2ccError {
+  constructor(message) {
+    super(message, 'config');
+  }
+}
+
+// 角色或安装记录不存在
+export class NotFoundError extends Px2ccError {
+  constructor(message) {
+    super(message, 'not-found');
+  }
+}
+
+// 目标文件包含手动修改或不是由px2cc生成，需要 --force；批量操作时 result 为已完成部分的结果
+export class ConflictError extends Px2ccError {
+  constructor(message, result = {}) {
+    super(message, 'conflict');
+    this.result = result;
+  }
+}
+
+// PromptX 无法加载或解析角色
+export class PromptXError extends Px2ccError {
+  constructor(message) {
+    super(message, 'promptx');
+  }
+}
+
+// 批量操作中部分条目失败，result 为已完成部分的结果
+export class PartialFailureError extends Px2ccError {
+  constructor(message, result = {}) {
+    super(message, 'partial');
+    this.result = result;
+  }
+}
+
+// 角色检查发现错误（或 --strict 时的警告），result 为检查结果
+export class LintError extends Px2ccError {
+  constructor(message, result = {}) {
+    super(message, 'lint');
+    this.result = result;
+  }
+}
+
+/**
+ * 错误的类别和退出码，未归类的错误为 failure
+ * @param {Error} error - 任意错误
+ * @returns {Object} { code, exitCode, message }
+ */
+export function describeError(error) {
+  const code = error instanceof Px2ccError ? error.code : 'failure';
+  return { code, exitCode: EXIT_CODES[code], message: error.message };
+}
@@ -0,0 +1,160 @@
+/**
+ * i18n - 命令行界面和生成内容的多语言支持
+ *
+ * 界面语言和生成内容的语言分别确定：
+ * - 界面语言：--lang > PX2CC_LANG > 系统语言（LC_ALL / LC_MESSAGES / LANG / LANGUAGE）
+ * - 内容语言：--content-lang（清单中的 lang）> PX2CC_CONTENT_LANG > 界面语言
+ *
+ * 语言包位于 src/locales/，每个语言包分为 ui（界面文案）和 content（生成内容）两部分，
+ * 缺少的条目回退到中文语言包。
+ */
+
+import zh from './locales/zh.js';
+import en from './locales/en.js';
+import { UsageError } from './errors.js';
+
+// 新增语言时在此注册
+const CATALOGS = { zh, en };
+
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'zh';
+
+/**
+ * 将 zh_CN.UTF-8、en-US 等写法规范化为语言包名
+ * @param {string} value - 语言标识
+ * @returns {string|null} 语言包名，无法识别时返回 null
+ */
+export function normalizeLocale(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const language = value.trim().toLowerCase().split(/[-_.@]/)[0];
+  if (!language || language === 'c' || language === 'posix') {
+    return null;
+  }
+  if (LOCALES.includes(language)) {
+    return language;
+  }
+  // 其他语言使用英文
+  return /^[a-z]{2,3}$/.test(language) ? 'en' : null;
+}
+
+/**
+ * 检测系统语言
+ * @param {Object} env - 环境变量
+ * @returns {string} 语言包名
+ */
+export function detectSystemLocale(env = process.env) {
+  for (const name of ['LC_ALL', 'LC_MESSAGES', 'LANG', 'LANGUAGE']) {
+    const locale = normalizeLocale((env[name] || '').split(':')[0]);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  try {
+    return normalizeLocale(Intl.DateTimeFormat().resolvedOptions().locale) || DEFAULT_LOCALE;
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * 校验语言参数
+ * @param {string} value - zh|en
+ * @returns {string} 语言包名
+ */
+export function parseLocale(value) {
+  if (!LOCALES.includes(value)) {
+    throw new UsageError(t('i18n.invalidLocale', { value, locales: LOCALES.join(', ') }));
+  }
+  return value;
+}
+
+/**
+ * 确定界面语言
+ * @param {string} [explicit] - --lang 参数
+ * @returns {string} 语言包名
+ */
+export function resolveLocale(explicit) {
+  if (explicit !== undefined) {
+    return parseLocale(explicit);
+  }
+  return normalizeLocale(process.env.PX2CC_LANG) || detectSystemLocale();
+}
+
+/**
+ * 确定生成内容的语言
+ * @param {string} [explicit] - --content-lang 参数或清单中的 lang
+ * @returns {string} 语言包名
+ */
+export function resolveContentLocale(explicit) {
+  if (explicit !== undefined) {
+    return parseLocale(explicit);
+  }
+  return normalizeLocale(process.env.PX2CC_CONTENT_LANG) || currentLocale;
+}
+
+/**
+ * 读取语言包中的条目
+ * @param {string} locale - 语言包名
+ * @param {string} section - ui|content
+ * @param {string} key - 条目名
+ * @returns {*} 条目，缺失时回退到中文语言包
+ */
+export function lookup(locale, section, key) {
+  const catalog = (CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE])[section];
+  if (catalog[key] !== undefined) {
+    return catalog[key];
+  }
+  return CATALOGS[DEFAULT_LOCALE][section][key];
+}
+
+/**
+ * 创建翻译函数
+ * @param {string} locale - 语言包名
+ * @param {string} section - ui|content
+ * @returns {Function} (key, params) => 文案，{name} 形式的占位符由 params 替换
+ */
+export function createTranslator(locale, section = 'ui') {
+  return (key, params = {}) => {
+    const text = lookup(locale, section, key);
+    if (typeof text !== 'string') {
+      return key;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+  };
+}
+
+let currentLocale = resolveLocale();
+let translate = createTranslator(currentLocale);
+
+/**
+ * 设置界面语言
+ * @param {string} locale - 语言包名
+ */
+export function setLocale(locale) {
+  currentLocale = parseLocale(locale);
+  translate = createTranslator(currentLocale);
+}
+
+/**
+ * 当前界面语言
+ * @returns {string} 语言包名
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * 按当前界面语言翻译
+ * @param {string} key - 条目名
+ * @param {Object} params - 占位符取值
+ * @returns {string} 文案
+ */
+export function t(key, params) {
+  return translate(key, params);
+}
@@ -0,0 +1,347 @@
+/**
+ * 安装参数校验 - 交互模式、命令行参数和 px2cc.json 清单共用
+ */
+
+import { t, parseLocale } from './i18n.js';
+import { TOOL_PROFILES } from './builtinTools.js';
+import { UsageError } from './errors.js';
+
+/**
+ * 校验安装名字
+ * @param {string} input - 用户输入的名字
+ * @returns {true|string} 校验通过返回 true，否则返回错误提示（与 inquirer 的 validate 约定一致）
+ */
+export function validateInstallName(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return t('options.emptyName');
+  }
+  // 检查名字格式
+  if (!/^[a-zA-Z0-9_-]+$/.test(input.trim())) {
+    return t('options.nameChars');
+  }
+  return true;
+}
+
+/**
+ * 将 agent|command 转换为安装类型
+ * @param {string} value - 安装类型
+ * @returns {string} agents|commands
+ */
+export function parseInstallType(value) {
+  if (value === 'agent' || value === 'agents') {
+    return 'agents';
+  }
+  if (value === 'command' || value === 'commands') {
+    return 'commands';
+  }
+  throw new UsageError(t('options.invalidType', { value }));
+}
+
+// 安装位置，--target-dir 指定的目录另作处理（见 installScope）
+export const INSTALL_SCOPES = ['project', 'user'];
+
+/**
+ * 校验安装位置
+ * @param {string} value - project|user
+ * @returns {string} 安装位置
+ */
+export function parseInstallScope(value) {
+  if (!INSTALL_SCOPES.includes(value)) {
+    throw new UsageError(t('options.invalidScope', { value, scopes: INSTALL_SCOPES.join(', ') }));
+  }
+  return value;
+}
+
+/**
+ * 校验并规范化工具列表
+ * @param {string|Array<string>} value - 逗号分隔的字符串或工具名数组
+ * @returns {Array<string>} 工具列表
+ */
+export function parseToolList(value) {
+  const tools = Array.isArray(value)
+    ? value.map(tool => (typeof tool === 'string' ? tool.trim() : ''))
+    : value.split(',').map(tool => tool.trim());
+
+  for (const tool of tools) {
+    if (!tool) {
+      throw new UsageError(t('options.emptyTool', { value }));
+    }
+    // 内置工具名或 mcp__server__tool 形式，允许 * 通配
+    if (!/^[a-zA-Z0-9_*-]+$/.test(tool)) {
+      throw new UsageError(t('options.invalidTool', { tool }));
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * 校验工具配置名
+ * @param {string} value - read-only|editor|full
+ * @returns {string} 工具配置名
+ */
+export function parseToolProfile(value) {
+  if (!Object.hasOwn(TOOL_PROFILES, value)) {
+    throw new UsageError(t('options.invalidToolProfile', { value, profiles: Object.keys(TOOL_PROFILES).join(', ') }));
+  }
+  return value;
+}
+
+// 知识资源的输出方式
+export const KNOWLEDGE_MODES = ['inline', 'toc', 'omit'];
+
+/**
+ * 校验知识资源输出方式
+ * @param {string} value - inline|toc|omit
+ * @returns {string} 输出方式
+ */
+export function parseKnowledgeMode(value) {
+  if (!KNOWLEDGE_MODES.includes(value)) {
+    throw new UsageError(t('options.invalidKnowledge', { value, modes: KNOWLEDGE_MODES.join(', ') }));
+  }
+  return value;
+}
+
+// 输出配置
+export const OUTPUT_PROFILES = ['full', 'compact', 'minimal'];
+
+/**
+ * 校验输出配置
+ * @param {string} value - full|compact|minimal
+ * @returns {string} 输出配置
+ */
+export function parseProfile(value) {
+  if (!OUTPUT_PROFILES.includes(value)) {
+    throw new UsageError(t('options.invalidProfile', { value, profiles: OUTPUT_PROFILES.join(', ') }));
+  }
+  return value;
+}
+
+/**
+ * 校验token预算
+ * @param {string|number} value - 正整数
+ * @returns {number} token预算
+ */
+export function parseMaxTokens(value) {
+  const maxTokens = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+    throw new UsageError(t('options.invalidMaxTokens', { value }));
+  }
+  return maxTokens;
+}
+
+// 认知网络的输出方式
+export const COGNITION_MODES = ['link', 'embed'];
+
+/**
+ * 校验认知网络输出方式
+ * @param {string} value - link|embed
+ * @returns {string} 输出方式
+ */
+export function parseCognitionMode(value) {
+  if (!COGNITION_MODES.includes(value)) {
+    throw new UsageError(t('options.invalidCognition', { value, modes: COGNITION_MODES.join(', ') }));
+  }
+  return value;
+}
+
+/**
+ * 校验经验快照的概念数
+ * @param {string|number} value - 正整数
+ * @returns {number} 概念数
+ */
+export function parseMaxConcepts(value) {
+  const maxConcepts = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(maxConcepts) || maxConcepts <= 0) {
+    throw new UsageError(t('options.invalidMaxConcepts', { value }));
+  }
+  return maxConcepts;
+}
+
+/**
+ * 校验模板文件路径
+ * @param {string} value - 模板文件路径
+ * @returns {string} 模板文件路径
+ */
+export function parseTemplatePath(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new UsageError(t('options.emptyTemplate'));
+  }
+  return value.trim();
+}
+
+/**
+ * 校验本地角色目录
+ * @param {string} value - 目录路径
+ * @returns {string} 目录路径（相对路径由调用方决定基准目录）
+ */
+export function parseRolesDir(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new UsageError(t('options.emptyRolesDir'));
+  }
+  return value.trim();
+}
+
+// PromptX角色的来源，按优先级从高到低排列（见 roleSources）
+export const ROLE_SOURCES = ['user', 'project', 'package'];
+
+/**
+ * 校验角色来源
+ * @param {string} value - user|project|package
+ * @returns {string} 角色来源
+ */
+export function parseRoleSource(value) {
+  if (!ROLE_SOURCES.includes(value)) {
+    throw new UsageError(t('options.invalidSource', { value, sources: ROLE_SOURCES.join(', ') }));
+  }
+  return value;
+}
+
+// Claude Code 的模型别名，也可以写完整的模型名
+export const MODEL_ALIASES = ['sonnet', 'opus', 'haiku'];
+
+// 由 px2cc 生成的 command frontmatter 字段，不能作为自定义字段
+const RESERVED_FIELDS = ['description', 'argument-hint', 'model', 'allowed-tools'];
+
+// command 的frontmatter值由 ClaudeCodeBuilder 写在双引号中且不做转义，不能包含引号、反斜杠和换行；
+// Subagent 的 description 由 frontmatterScalar 按需加引号（见 roleDescription），只需是单行
+const FRONTMATTER_VALUE_PATTERN = /^[^"\\\n\r]+$/;
+
+/**
+ * 校验自定义描述（用于command时的限制见 checkCommandOnlyOptions）
+ * @param {string} value - 描述
+ * @returns {string} 描述
+ */
+export function parseDescription(value) {
+  if (typeof value !== 'string' || !value.trim() || /[\n\r]/.test(value.trim())) {
+    throw new UsageError(t('options.invalidDescription', { value }));
+  }
+  return value.trim();
+}
+
+/**
+ * 校验command使用的模型
+ * @param {string} value - 模型别名或模型名
+ * @returns {string} 模型
+ */
+export function parseModel(value) {
+  if (typeof value !== 'string' || !/^[a-zA-Z0-9._:[\]-]+$/.test(value.trim())) {
+    throw new UsageError(t('options.invalidModel', { value, aliases: MODEL_ALIASES.join(', ') }));
+  }
+  return value.trim();
+}
+
+/**
+ * 校验command的参数提示，如 "[模块名] [关注点]"
+ * @param {string} value - 参数提示
+ * @returns {string} 参数提示
+ */
+export function parseArgumentHint(value) {
+  if (typeof value !== 'string' || !value.trim() || !FRONTMATTER_VALUE_PATTERN.test(value.trim())) {
+    throw new UsageError(t('options.invalidArgumentHint', { value }));
+  }
+  return value.trim();
+}
+
+/**
+ * 校验自定义frontmatter字段
+ * @param {Object|Array<string>} value - { key: value } 对象，或 key=value 字符串数组（命令行 --field）
+ * @returns {Object} 字段，值为字符串或字符串数组
+ */
+export function parseCustomFields(value) {
+  if (!value || typeof value !== 'object') {
+    throw new UsageError(t('options.invalidFieldSyntax', { value }));
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map(item => {
+      const index = typeof item === 'string' ? item.indexOf('=') : -1;
+      if (index <= 0) {
+        throw new UsageError(t('options.invalidFieldSyntax', { value: item }));
+      }
+      return [item.slice(0, index).trim(), item.slice(index + 1).trim()];
+    })
+    : Object.entries(value);
+
+  const fields = {};
+  for (const [key, fieldValue] of entries) {
+    if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(key)) {
+      throw new UsageError(t('options.invalidFieldName', { key }));
+    }
+    if (RESERVED_FIELDS.includes(key)) {
+      throw new UsageError(t('options.reservedField', { key, reserved: RESERVED_FIELDS.join(', ') }));
+    }
+    const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+    const valid = values.every(item => typeof item === 'string' && FRONTMATTER_VALUE_PATTERN.test(item));
+    if (!valid || (Array.isArray(fieldValue) && fieldValue.length === 0)) {
+      throw new UsageError(t('options.invalidFieldValue', { key }));
+    }
+    fields[key] = fieldValue;
+  }
+  return fields;
+}
+
+// 只适用于command安装的渲染选项，Subagent 文件不支持这些frontmatter字段
+export const COMMAND_ONLY_OPTIONS = ['model', 'argumentHint', 'customFields'];
+
+/**
+ * 检查安装类型是否支持已指定的渲染选项
+ * command 的描述写在双引号中，不能包含双引号和反斜杠（见 FRONTMATTER_VALUE_PATTERN）
+ * @param {string} installType - agents|commands
+ * @param {Object} options - 渲染选项
+ */
+export function checkCommandOnlyOptions(installType, options) {
+  const used = COMMAND_ONLY_OPTIONS.filter(name => options[name] !== undefined);
+  if (installType === 'agents' && used.length > 0) {
+    throw new UsageError(t('options.commandOnly', { options: used.join(', ') }));
+  }
+  if (installType === 'commands' && options.description !== undefined && !FRONTMATTER_VALUE_PATTERN.test(options.description)) {
+    throw new UsageError(t('options.invalidCommandDescription', { value: options.description }));
+  }
+}
+
+/**
+ * 校验渲染选项，未指定的选项不出现在结果中
+ *
+ * model、argumentHint、customFields 写入command的frontmatter，只适用于command安装。
+ *
+ * @param {Object} values - { knowledge, profile, maxTokens, template, cognition, maxConcepts, lang, description, model, argumentHint, customFields }
+ * @returns {Object} 渲染选项
+ */
+export function parseRenderOptions(values) {
+  const options = {};
+  if (values.profile !== undefined) {
+    options.profile = parseProfile(values.profile);
+  }
+  if (values.knowledge !== undefined) {
+    options.knowledge = parseKnowledgeMode(values.knowledge);
+  }
+  if (values.maxTokens !== undefined) {
+    options.maxTokens = parseMaxTokens(values.maxTokens);
+  }
+  if (values.template !== undefined) {
+    options.template = parseTemplatePath(values.template);
+  }
+  if (values.cognition !== undefined) {
+    options.cognition = parseCognitionMode(values.cognition);
+  }
+  if (values.maxConcepts !== undefined) {
+    options.maxConcepts = parseMaxConcepts(values.maxConcepts);
+  }
+  if (values.lang !== undefined) {
+    options.lang = parseLocale(values.lang);
+  }
+  if (values.description !== undefined) {
+    options.description = parseDescription(values.description);
+  }
+  if (values.model !== undefined) {
+    options.model = parseModel(values.model);
+  }
+  if (values.argumentHint !== undefined) {
+    options.argumentHint = parseArgumentHint(values.argumentHint);
+  }
+  if (values.customFields !== undefined) {
+    options.customFields = parseCustomFields(values.customFields);
+  }
+  return options;
+}
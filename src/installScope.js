@@ -0,0 +1,109 @@
+/**
+ * installScope - 安装位置
+ *
+ * - project - 当前目录的 .claude，只在该项目中可用（默认）
+ * - user    - ~/.claude，所有项目中可用
+ * - custom  - --target-dir 指定的目录（其下的 agents/、commands/）
+ *
+ * Claude Code 中项目级的同名 agent/command 会覆盖用户级的，
+ * 安装和列出角色时需要提示这种遮蔽关系。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { t } from './i18n.js';
+import { parseInstallScope } from './installOptions.js';
+import { UsageError } from './errors.js';
+
+/**
+ * 安装位置对应的 .claude 目录
+ * @param {string} scope - project|user
+ * @param {string} cwd - 当前目录
+ * @returns {string} 目录路径
+ */
+export function scopeDir(scope, cwd = process.cwd()) {
+  return scope === 'user'
+    ? path.join(os.homedir(), '.claude')
+    : path.join(cwd, '.claude');
+}
+
+/**
+ * 根据 --scope / --target-dir 确定安装位置
+ * @param {Object} values - { scope, targetDir }
+ * @param {string} defaultScope - 两者都未指定时使用的位置
+ * @returns {Object} { scope, claudeDir }
+ */
+export function resolveInstallTarget(values, defaultScope = 'project') {
+  if (values.targetDir !== undefined) {
+    if (values.scope !== undefined) {
+      throw new UsageError(t('options.scopeConflict'));
+    }
+    if (typeof values.targetDir !== 'string' || !values.targetDir.trim()) {
+      throw new UsageError(t('options.emptyTargetDir'));
+    }
+    return { scope: 'custom', claudeDir: path.resolve(values.targetDir.trim()) };
+  }
+
+  const scope = values.scope !== undefined ? parseInstallScope(values.scope) : defaultScope;
+  return { scope, claudeDir: scopeDir(scope) };
+}
+
+/**
+ * 列出/卸载时需要查看的安装位置，当前目录为用户主目录时两者相同只保留一个
+ * @returns {Array<Object>} [{ scope, claudeDir }]
+ */
+export function listTargets() {
+  const project = { scope: 'project', claudeDir: scopeDir('project') };
+  const user = { scope: 'user', claudeDir: scopeDir('user') };
+  return project.claudeDir === user.claudeDir ? [user] : [project, user];
+}
+
+/**
+ * 查找与指定文件同名、存在遮蔽关系的另一处安装
+ * @param {string} claudeDir - 文件所在的 .claude 目录
+ * @param {string} installType - agents|commands
+ * @param {string} fileName - 文件名
+ * @returns {Object|null} { shadows, filePath }
+ *   shadows 为 true 表示该文件会覆盖用户级同名文件，false 表示该文件被项目级同名文件覆盖
+ */
+export function findShadowing(claudeDir, installType, fileName) {
+  const [project, user] = [scopeDir('project'), scopeDir('user')];
+  if (project === user) {
+    return null;
+  }
+
+  let other;
+  let shadows;
+  if (claudeDir === project) {
+    other = user;
+    shadows = true;
+  } else if (claudeDir === user) {
+    other = project;
+    shadows = false;
+  } else {
+    return null;
+  }
+
+  const filePath = path.join(other, installType, fileName);
+  return fs.existsSync(filePath) ? { shadows, filePath } : null;
+}
+
+/**
+ * 便于阅读的路径：当前目录下的用相对路径，主目录下的用 ~ 开头
+ * @param {string} filePath - 绝对路径
+ * @returns {string} 显示用路径
+ */
+export function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    return relative;
+  }
+
+  const home = os.homedir();
+  const fromHome = path.relative(home, filePath);
+  if (fromHome && !fromHome.startsWith('..') && !path.isAbsolute(fromHome)) {
+    return `~/${fromHome}`;
+  }
+  return filePath;
+}
@@ -0,0 +1,538 @@
+/**
+ * English locale
+ *
+ * ui      - CLI messages, {name} is a placeholder
+ * content - generated agent/command text; headings and blocks form the default output template (see OutputTemplate)
+ */
+
+export default {
+  ui: {
+    'common.reason': '   Reason: {reason}',
+    'common.none': 'none',
+
+    'scope.project': 'Project',
+    'scope.user': 'User',
+    'scope.custom': 'Custom directory',
+
+    'roleSource.package': 'system role',
+    'roleSource.project': 'project role',
+    'roleSource.user': 'user role',
+    'roleSource.local': 'local role',
+
+    'i18n.invalidLocale': 'Invalid language: {value} (choices: {locales})',
+
+    'cli.tagline': 'Install PromptX roles into Claude Code',
+    'cli.help': `Usage:
+  px2cc                          Interactive install
+  px2cc install <roleId> [opts]  Non-interactive install
+  px2cc sync [opts]              Sync .claude from the px2cc.json manifest
+  px2cc roles                    List the roles available in PromptX (including project roles,
+                                 marking roles overridden by another source)
+  px2cc list                     List roles installed by px2cc
+  px2cc uninstall <name> [opts]  Uninstall a role installed by px2cc
+  px2cc deps <roleId>            Print a role's resource dependency tree
+  px2cc lint <roleId...>|--all   Check role definitions for problems (unresolved references,
+                                 missing sections, ...)
+  px2cc status [name...]         Check installed roles against their source roles
+  px2cc update [name...] [opts]  Regenerate outdated roles
+  px2cc watch [name...] [opts]   Watch installed roles' source files and regenerate on change
+
+install options:
+  --as <agent|command>   Install type (required)
+  --name <name>          Custom install name
+  --source <source>      Which copy to install when the role exists in several sources:
+                         user, project, package (default precedence: user > project > package;
+                         also applies to deps and lint)
+  --tools <list>         Comma-separated tool list, e.g. Read,Grep,mcp__x__*
+                         When both this and --tool-profile are omitted, the role's
+                         recommended tool profile is used, or all available tools
+                         are inherited if the role declares none
+  --tool-profile <name>  Built-in tool profile: read-only, editor (file editing),
+                         full (adds Bash and subagents); combines with --tools
+  --knowledge <mode>     Knowledge output: inline (full, default),
+                         toc (table of contents only), omit
+  --profile <profile>    Output profile: full (default), compact (thoughts and
+                         knowledge as TOC), minimal (role definition and execution TOC only)
+  --max-tokens <n>       Token budget; lower-priority content is compacted to fit
+  --template <file>      Output template file (defaults to px2cc.template.json in the install
+                         location's .claude, then ~/.claude/px2cc.template.json)
+  --cognition <mode>     Cognition network output: link (recall instructions only, default),
+                         embed (embed a snapshot of the most active concepts)
+  --max-concepts <n>     Maximum number of concepts in the snapshot (default: 20)
+  --content-lang <lang>  Language of generated content: zh, en (defaults to the UI language)
+  --description <text>   Custom description (subagents derive one from the role by default)
+  --model <model>        Model for a command: sonnet, opus, haiku or a full model name
+  --argument-hint <hint> Argument hint for a command (default: [task description])
+  --field <key=value>    Custom frontmatter field for a command, repeatable
+  --dry-run              Preview the content and the diff against existing files without writing
+                         (also works in interactive mode)
+  --force                Overwrite existing files that contain hand edits
+  -y, --yes              Skip confirmation
+
+Scope options (install, sync, list, uninstall, status, update, watch):
+  --scope <scope>        project (.claude in this project, default) or user (~/.claude)
+  --target-dir <dir>     Install into a custom directory (its agents/ and commands/)
+                         list and uninstall look at both project and user scope when omitted
+
+sync options:
+  --manifest <file>      Manifest path (default: px2cc.json)
+  --prune                Remove files installed by px2cc that are no longer in the manifest
+  --force                Overwrite files that have hand edits or were not created by px2cc,
+                         and with --prune also remove hand-edited files
+
+uninstall options:
+  --as <agent|command>   Pick the type when a name is installed as both Agent and Command
+  -y, --yes              Skip confirmation
+
+update and watch options:
+  --force                Also overwrite files that were edited after install
+
+lint options:
+  --all                  Check every role (including overridden copies), combines with
+                         --source and --roles-dir
+  --strict               Also fail when there are warnings
+  --max-resource-tokens <n>  Warn about resources larger than this many tokens (default: 4000)
+
+General options:
+  --lang <lang>          UI language: zh, en (defaults to PX2CC_LANG or the system locale)
+  --skip-mcp             Skip MCP server discovery
+  --mcp-config <file>    Additional MCP config file (highest precedence)
+  --mcp-health           Check MCP server connections with claude mcp list (slow)
+  --refresh-mcp-tools    Ignore the cache and re-read MCP server tool lists
+  --roles-dir <dir>      Read roles from a local directory (*.role.md, *.thought.md, ...)
+                         instead of the PromptX registry (interactive, install, sync, roles, deps,
+                         lint)
+  --json                 Print a single JSON result on stdout and logs on stderr
+                         (not for interactive install); confirmations require --yes
+  -h, --help             Show this help
+
+Exit codes:
+  0 success  1 other error  2 invalid arguments  3 invalid config file  4 role or install not found
+  5 file has hand edits (needs --force)  6 PromptX failed to load the role  7 some roles failed
+  8 lint found errors`,
+    'cli.flagTakesNoValue': 'Option --{flag} does not take a value',
+    'cli.flagMissingValue': 'Option --{flag} requires a value',
+    'cli.unknownCommand': 'Unknown command: {command}, see px2cc --help',
+    'cli.jsonNeedsCommand': 'Interactive install does not support --json, use px2cc install <roleId> --json',
+    'cli.failed': '❌ Failed:',
+
+    'welcome.title': '🚀 PromptX CLI - Claude Code role installer',
+    'welcome.subtitle': '   Bring PromptX roles into Claude Code\n',
+
+    'mcp.checking': '   Checking MCP servers (this may take a while)...',
+    'mcp.found': '✅ Found {count} MCP server(s)',
+    'mcp.timeout': '⚠️  MCP server health check timed out, connection status unknown',
+    'mcp.timeoutHint': '   Drop --mcp-health to skip the connection check',
+    'mcp.listFailed': '⚠️  Could not check connection status with claude mcp list',
+    'mcp.source': '   {file} ({scope}): {count}',
+    'mcp.invalidServer': '⚠️  Skipping invalid MCP server config {name}: {file}',
+    'mcp.toolScope': 'Which {name} tools should be granted?',
+    'mcp.toolScopeAll': 'All tools ({tools})',
+    'mcp.toolScopePick': 'Pick individual tools (reads the server tool list)',
+    'mcp.toolsLoading': '   Reading the {name} tool list...',
+    'mcp.toolsLoaded': '   Found {count} tool(s)',
+    'mcp.toolsCached': '   Found {count} tool(s) (cached)',
+    'mcp.toolsFallback': '⚠️  Could not read the {name} tool list, granting all of its tools',
+    'mcp.toolsEmpty': '⚠️  {name} does not provide any tools',
+    'mcp.toolsPrompt': 'Select the {name} tools to grant:',
+    'mcp.toolsRequired': 'Select at least one tool',
+    'mcp.readOnly': '(read-only)',
+    'mcp.toolsUnsupportedType': '{name} is a {type} server; tool lists can only be read from stdio servers',
+    'mcp.toolsTimeout': '{name} did not return its tool list within {seconds} seconds',
+    'mcp.toolsSpawnFailed': 'Could not start {name}: {reason}',
+    'mcp.toolsExited': '{name} exited unexpectedly: {reason}',
+    'mcp.toolsFailed': 'Failed to read the {name} tool list: {reason}',
+    'mcp.configNotFound': 'MCP config file not found: {file}',
+    'mcp.invalidConfig': 'MCP config file is not valid JSON {file}: {reason}',
+    'mcp.inheritAll': '   All available tools will be inherited (Claude Code default)',
+    'mcp.noneFound': '   No MCP servers found',
+    'mcp.disconnected': '(not connected)',
+    'mcp.selectPrompt': 'Select additional MCP servers for {role} (optional):',
+    'mcp.selected': '   Selected {count} MCP server(s): {servers}',
+    'mcp.skipped': '⚠️  Skipping MCP discovery (test mode)',
+    'mcp.discovering': '🔍 Discovering MCP servers...\n',
+    'mcp.discoveryFailed': '⚠️  MCP server discovery failed, using defaults',
+
+    'tools.selectProfile': 'Choose built-in tools for {role}:',
+    'tools.inherit': 'Unrestricted - inherit all available tools (Claude Code default)',
+    'tools.profile.read-only': 'Read-only - browse files and the web',
+    'tools.profile.editor': 'Editor - read-only tools plus file editing',
+    'tools.profile.full': 'Full - editor tools plus Bash and subagents',
+    'tools.custom': 'Custom - pick built-in tools one by one',
+    'tools.pickBuiltin': 'Select built-in tools:',
+    'tools.recommended': '(recommended by role)',
+
+    'roles.loading': '🔍 Loading roles from PromptX...',
+    'roles.loadingLocal': '🔍 Loading roles from {dir}...',
+    'roles.loaded': '✅ Loaded!',
+    'roles.summary': '📊 Found {system} system role(s), {project} project role(s) and {user} user role(s)\n',
+    'roles.summaryLocal': '📊 Found {count} role(s) in {dir}\n',
+    'roles.loadFailed': 'Failed to load PromptX roles: {reason}',
+    'roles.notFound': 'Role {role} not found, available roles: {available}',
+    'roles.notInSource': 'Role {role} is not in source {source}, it exists in: {sources}',
+    'roles.sourceUsed': '   Using the {source} {role} (overrides the {others} of the same name, pick one with --source)',
+    'roles.sourceOverridden': '⚠️  Installing the {source} {role}, PromptX itself uses the {active} of the same name',
+
+    'api.missingType': 'Missing install type, set as: \'agent\' or as: \'command\'',
+    'api.conflictNeedsForce': '{file} already exists and contains hand edits; set force: true to overwrite it, or name to install under another name',
+
+    'menu.systemRole': '(system role)',
+    'menu.userRole': '(user role)',
+    'menu.localRole': '(local role)',
+    'menu.userRoles': '─── User roles ───',
+    'menu.projectRole': '(project role)',
+    'menu.projectRoles': '─── Project roles ───',
+    'menu.overriddenBy': '[overridden by {source}]',
+    'menu.selectRole': 'Select a PromptX role to install:',
+    'menu.installAs': 'Install {role} as:',
+    'menu.agentChoice': '🤖 Agent - invoked by mentioning "{role}-agent subagent"',
+    'menu.commandChoice': '⚙️  Command - invoked with /{role}',
+    'menu.customizeName': 'Customize the install name?',
+    'menu.agentName': 'Custom Agent name (default: {name}):',
+    'menu.commandName': 'Custom Command name (default: {name}):',
+    'menu.confirm': 'Install into Claude Code?',
+    'menu.confirmRole': 'Install {role} into Claude Code?',
+    'menu.confirmNamed': 'Install {role} as {name} into Claude Code?',
+    'menu.selectScope': 'Install to:',
+    'menu.scopeProject': '📁 This project ({dir}) - available in this project only',
+    'menu.scopeUser': '🏠 User directory ({dir}) - available in every project',
+    'menu.scopeCustom': '📂 Custom directory...',
+    'menu.targetDir': 'Target directory (agents/ and commands/ are created inside it):',
+    'menu.embedCognition': '{role} has a cognition network. Embed its most active concepts as an experience snapshot?',
+    'menu.description': 'Subagent description (derived from the role; Claude Code uses it to decide when to delegate):',
+    'menu.selectModel': 'Model for the command:',
+    'menu.modelInherit': 'Same as the current session (default)',
+    'menu.modelInheritShort': 'session model',
+    'menu.modelCustom': 'Other model...',
+    'menu.modelName': 'Model name:',
+    'menu.argumentHint': 'Argument hint (shown after the /command):',
+
+    'options.emptyName': 'Name must not be empty',
+    'options.nameChars': 'Name may only contain letters, digits, underscores and hyphens',
+    'options.invalidName': 'Invalid install name "{name}": {reason}',
+    'options.invalidType': 'Invalid install type: {value} (choices: agent, command)',
+    'options.emptyTool': 'Tool list contains an empty entry: {value}',
+    'options.invalidTool': 'Invalid tool name: {tool}',
+    'options.invalidKnowledge': 'Invalid knowledge mode: {value} (choices: {modes})',
+    'options.invalidProfile': 'Invalid output profile: {value} (choices: {profiles})',
+    'options.invalidMaxTokens': 'Invalid token budget: {value} (expected a positive integer)',
+    'options.emptyTemplate': 'Template path must not be empty',
+    'options.invalidScope': 'Invalid install scope: {value} (choices: {scopes})',
+    'options.invalidToolProfile': 'Invalid tool profile: {value} (choices: {profiles})',
+    'options.invalidDescription': 'Invalid description: {value} (must be non-empty without newlines)',
+    'options.invalidCommandDescription': 'Invalid command description: {value} (command descriptions cannot contain double quotes or backslashes)',
+    'options.invalidModel': 'Invalid model: {value} (aliases: {aliases}, or a full model name)',
+    'options.invalidArgumentHint': 'Invalid argument hint: {value} (must be non-empty without double quotes, backslashes or newlines)',
+    'options.invalidFieldSyntax': 'Invalid custom field: {value} (expected key=value)',
+    'options.invalidFieldName': 'Invalid custom field name: {key} (letters, digits, underscores and hyphens, starting with a letter)',
+    'options.reservedField': 'Custom field {key} is generated by px2cc and cannot be overridden (reserved: {reserved})',
+    'options.invalidFieldValue': 'Custom field {key} must be a non-empty string or string array without double quotes, backslashes or newlines',
+    'options.commandOnly': 'Options {options} only apply to command installs; subagents do not support these fields',
+    'options.scopeConflict': '--scope and --target-dir cannot be used together',
+    'options.emptyTargetDir': 'Target directory must not be empty',
+    'options.emptyRolesDir': 'Roles directory must not be empty',
+    'options.invalidSource': 'Invalid role source: {value} (choices: {sources})',
+    'options.sourceWithRolesDir': 'Roles in a local roles directory have no source, --source (source) cannot be combined with --roles-dir (rolesDir)',
+    'options.invalidCognition': 'Invalid cognition mode: {value} (choices: {modes})',
+    'options.invalidMaxConcepts': 'Invalid concept count: {value} (expected a positive integer)',
+
+    'install.missingRole': 'Missing role ID, usage: px2cc install <roleId> --as agent|command',
+    'install.missingType': 'Missing install type, use --as agent or --as command',
+    'install.needsYes': 'Pass --yes to confirm the install in a non-interactive environment',
+    'install.cancelled': '\n👋 Install cancelled',
+    'install.creatingDir': '📁 Creating {dir} directory...',
+    'install.shadowsUser': '⚠️  {file} has the same name as the user-level {other} and will shadow it in this project',
+    'install.shadowedByProject': '⚠️  {file} will be shadowed in this project by the project-level {other}',
+    'install.start': '\n🎭 Installing role: {role} ({type})',
+    'install.recommendedTools': '   Using the tool profile recommended by {role}: {profile}',
+    'install.failed': 'Failed to install role: {reason}',
+    'install.template': '   📐 Using output template: {file}',
+    'install.writingAgent': '🔧 Writing {name} subagent file...',
+    'install.writingCommand': '📋 Writing {name} command file...',
+    'install.agentFailed': 'Failed to create subagent: {reason}',
+    'install.commandFailed': 'Failed to create command: {reason}',
+    'install.agentUsage': 'Use the {name} subagent to [task description]',
+    'install.done': '\n✅ Role installed!',
+    'install.files': '\n📄 Generated files:',
+    'install.usage': '\n🎉 You can now use it in Claude Code:',
+    'install.restartHint': '\n💡 Tip: restart Claude Code to make sure the new configuration is loaded',
+    'install.preview': '\n📄 Would write {file}:\n',
+    'install.previewNew': '(new file)',
+    'install.previewUnchanged': '(identical to the existing file)',
+    'install.previewDiff': '\n🔀 Changes against the existing {file}:\n',
+    'install.dryRunDone': '\n🔍 Dry run, no files were written',
+    'install.conflictGenerated': '\n⚠️  {file} already exists and will be replaced:\n',
+    'install.conflictModified': '\n⚠️  {file} already exists and is not the content px2cc generated (it may contain hand edits):\n',
+    'install.conflictNeedsForce': '{file} already exists and contains hand edits; pass --force to overwrite it, or --name to install under another name',
+    'install.conflictPrompt': 'What should happen to {file}?',
+    'install.conflictOverwrite': 'Overwrite the existing file',
+    'install.conflictKeep': 'Keep the existing file and cancel',
+    'install.conflictRename': 'Install under a new name',
+    'install.kept': '\n👋 Kept {file}, no files were written',
+    'install.renamePrompt': 'New install name:',
+    'install.nameTaken': '{file} already exists, pick another name',
+
+    'sync.manifest': '📋 Reading manifest: {file} ({count} role(s))',
+    'sync.done': '\n✅ Sync complete!',
+    'sync.created': 'Created',
+    'sync.updated': 'Updated',
+    'sync.unchanged': 'Unchanged',
+    'sync.pruned': 'Removed',
+    'sync.conflicts': 'Not overwritten or removed',
+    'sync.conflict': '⚠️  {file} has hand edits or was not created by px2cc, not overwritten',
+    'sync.pruneConflict': '⚠️  {file} was edited by hand after install, not removed',
+    'sync.doneWithConflicts': '\n⚠️  Sync finished, some files were not overwritten or removed',
+    'sync.conflictsNeedForce': '{count} files have hand edits or were not created by px2cc, use --force to overwrite or remove',
+
+    'manifest.notFound': 'Manifest not found: {file}',
+    'manifest.invalidJson': 'Manifest is not valid JSON {file}: {reason}',
+    'manifest.missingRoles': 'Manifest is missing the roles array',
+    'manifest.missingRole': 'missing role',
+    'manifest.toolsNotArray': 'tools must be an array',
+    'manifest.duplicateTarget': 'installs to the same file as {other}: {file}',
+    'manifest.invalid': 'Invalid manifest:',
+
+    'local.dirNotFound': 'Roles directory does not exist: {dir}',
+    'local.invalid': 'Duplicate resources in roles directory {dir}:',
+    'local.duplicate': '{resource} is defined in both {files}',
+    'local.noRoles': 'No *.role.md files in roles directory {dir}',
+
+    'lock.invalid': 'Malformed lock file {file}: {reason}',
+    'lock.empty': 'No roles installed by px2cc in this project',
+    'lock.notFound': '{name} was not installed by px2cc, run px2cc list to see installed roles',
+
+    'list.title': '📦 {scope} {dir}: {count} installed role(s)\n',
+    'list.shadowsUser': '   ⚠️  Shadows the user-level role {other}',
+    'list.shadowedByProject': '   ⚠️  Shadowed in this project by {other}',
+    'list.ok': 'ok',
+    'list.file': '   File: {file}',
+    'list.role': '   Role: {role}',
+    'list.installed': '   Installed: {time}',
+
+    'uninstall.missingName': 'Missing install name, usage: px2cc uninstall <name>',
+    'uninstall.ambiguous': '{name} is installed as both Agent and Command, use --as agent or --as command',
+    'uninstall.ambiguousScope': '{name} is installed in {dirs}, use --scope project or --scope user',
+    'uninstall.modifiedWarning': '⚠️  {file} was edited after install, uninstalling will discard those edits',
+    'uninstall.needsYes': 'Pass --yes to confirm the uninstall in a non-interactive environment',
+    'uninstall.confirm': 'Delete {file}?',
+    'uninstall.cancelled': '\n👋 Uninstall cancelled',
+    'uninstall.done': '✅ Uninstalled {name}',
+    'uninstall.doneMissing': '✅ Uninstalled {name} (file was already gone, only the record was removed)',
+
+    'status.checking': '🔍 Checking {count} installed role(s)...',
+    'status.title': '\n📋 Install status:',
+    'status.upToDate': 'up to date',
+    'status.outdated': 'outdated (source role changed)',
+    'status.modified': 'edited by hand',
+    'status.missing': 'file missing',
+    'status.error': 'cannot render',
+    'status.updateHint': '\n💡 Run px2cc update to regenerate outdated roles',
+    'status.forceHint': '💡 Run px2cc update --force to overwrite hand edits with the source role',
+    'status.failed': '{count} role(s) could not be rendered: {names}',
+
+    'update.done': '\n✅ Updated {count} role(s): {names}',
+    'update.nothing': '\n✅ Nothing to update',
+    'update.skippedModified': '⚠️  Skipped hand-edited files: {names} (use --force to overwrite)',
+
+    'deps.missingRole': 'Missing role ID, usage: px2cc deps <roleId>',
+    'deps.title': '\n🌳 {role} dependency tree:\n',
+    'deps.summary': '\n   {total} resource(s), {missing} not found, {cycles} circular reference(s)',
+    'deps.cycle': 'circular reference',
+    'deps.missing': 'not found',
+    'deps.seeAbove': '(see above)',
+
+    'lint.missingRole': 'Missing role ID, usage: px2cc lint <roleId...> or px2cc lint --all',
+    'lint.allWithRoles': '--all cannot be combined with role IDs',
+    'lint.noRoles': 'No roles to check',
+    'lint.checking': '🔍 Checking {count} role(s)...\n',
+    'lint.clean': 'no problems found',
+    'lint.error': 'error',
+    'lint.warning': 'warning',
+    'lint.summary': '\n📊 Checked {roles} role(s): {errors} error(s), {warnings} warning(s)',
+    'lint.failed': 'Lint found {errors} error(s)',
+    'lint.failedStrict': 'Lint found {errors} error(s) and {warnings} warning(s) (--strict)',
+    'lint.missingSection': 'Missing <{section}> section',
+    'lint.emptySection': '<{section}> section is empty',
+    'lint.syntax': 'DPML problem: {reason}',
+    'lint.unknownProtocol': '{reference} uses unknown resource protocol {protocol}',
+    'lint.duplicateReference': '{reference} is referenced {count} times',
+    'lint.unresolved': '{reference} was not found, its content will be missing after install',
+    'lint.cycle': 'Reference cycle: {cycle}',
+    'lint.oversized': 'About {tokens} tokens, over the limit of {max}',
+
+    'watch.noJson': 'watch runs until stopped and does not support --json',
+    'watch.nothingInstalled': 'No roles installed by px2cc to watch',
+    'watch.started': '👀 Watching {files} source files of {entries} installed roles',
+    'watch.stopHint': '   Press Ctrl+C to stop',
+    'watch.stopped': 'Stopped watching',
+    'watch.changed': '\n🔄 Files changed: {files}',
+    'watch.updated': '   ✅ Regenerated {name} ({file})',
+    'watch.unchanged': '   Output for {name} is unchanged',
+    'watch.skipped': '   ⚠️  Skipped {name}: edited after install (use --force to overwrite)',
+    'watch.failed': '   ❌ Could not render {name}: {reason}',
+    'watch.summary': '📊 [{time}] {updated} regenerated, {unchanged} unchanged, {skipped} skipped, {failed} failed',
+    'watch.sourcesFailed': '⚠️  Could not resolve the source files of {name}: {reason}',
+    'watch.watchFailed': '⚠️  Could not watch directory {dir}: {reason}',
+    'watch.cycleFailed': 'Regeneration failed: {reason}',
+
+    'processor.start': '\n🎭 Running the PromptX Action flow for {role} ({mode} mode)',
+    'processor.done': '✅ PromptX Action flow complete!',
+    'processor.failed': '❌ PromptX Action flow failed: {reason}',
+    'processor.loadingRole': '📖 Loading role definition: {role}',
+    'processor.roleUnavailable': 'Could not load the content of role {role}',
+    'processor.roleLoadFailed': '❌ Failed to load role: {reason}',
+    'processor.structureError': 'Malformed DPML in role {role}: {errors}',
+    'processor.missingRoleTag': 'Role {role} has no <role> tag',
+    'processor.invalidToolProfile': '⚠️  Role {role} declares an invalid tool profile {value}, ignored (choices: {profiles})',
+    'processor.parseWarning': '⚠️  Parse warning in role {role}: {reason}',
+    'processor.analyzing': '🔍 Analyzing resource dependencies...',
+    'processor.referencesFound': '   Found {count} resource reference(s)',
+    'processor.cycle': '⚠️  Circular reference detected: {cycle}',
+    'processor.analyzed': '✅ Dependencies resolved: thoughts={thoughts}, executions={executions}, knowledges={knowledges}',
+    'processor.dependencyUnavailable': '⚠️  Could not load dependency: {resource}',
+    'processor.dependencyFailed': '⚠️  Failed to load dependency: {resource} - {reason}',
+    'processor.checkingCognition': '🧠 Checking cognition network: {role}',
+    'processor.cognitionFound': '✅ Found cognition network file: {role}',
+    'processor.cognitionMissing': '   No cognition network file: {role}',
+    'processor.cognitionFailed': '⚠️  Cognition network check failed: {reason}',
+    'processor.cognitionCorrupt': '⚠️  Cognition network file is corrupt, skipping the experience snapshot {file}: {reason}',
+    'processor.cognitionUnsupported': '⚠️  Unsupported cognition network version {version}, skipping the experience snapshot: {file}',
+    'processor.cognitionSnapshot': '   Extracted {count} concept(s) for the experience snapshot ({total} in total)',
+    'processor.tokens': '   📏 About {total} tokens: {layers}',
+    'processor.reduced': '   ✂️  To fit the {budget} token budget, {layer} set to {mode} (saves about {saved} tokens)',
+    'processor.overBudget': '⚠️  Still over budget after compaction: about {total} / {budget} tokens',
+
+    'dpml.position': '{reason} (line {line}, column {column})',
+    'dpml.unexpectedClose': 'Unexpected closing tag </{tag}>',
+    'dpml.unclosed': 'Tag <{tag}> is not closed',
+    'dpml.unterminatedComment': 'Unterminated comment',
+    'dpml.unterminatedCloseTag': 'Closing tag </{tag}> is missing >',
+    'dpml.unterminatedOpenTag': 'Opening tag <{tag}> is missing >',
+    'dpml.unterminatedAttribute': 'Attribute {attribute} of tag <{tag}> is missing its closing quote',
+
+    'template.notFound': 'Template file not found: {file}',
+    'template.invalidJson': 'Template is not valid JSON {file}: {reason}',
+    'template.invalid': 'Invalid template {file}:',
+    'template.notObject': 'Template must be a JSON object',
+    'template.unknownField': 'Unknown field: {field}',
+    'template.layersNotArray': '{field} must be an array',
+    'template.unknownLayer': '{field}: unknown layer {name} (choices: {layers})',
+    'template.duplicateLayer': '{field}: duplicate layer',
+    'template.unknownMode': '{field}: unknown install mode {mode} (choices: {modes})',
+    'template.notMap': '{field} must be an object',
+    'template.unknownName': '{field}: unknown name {name} (choices: {names})',
+    'template.invalidValue': '{field} has an invalid value'
+  },
+
+  content: {
+    'description.command': 'Professional assistant based on the PromptX {roleId} role - full action implementation',
+    'description.fallbackIdentity': 'Professional AI assistant based on the PromptX {roleId} role',
+    'description.derived': '{identity}. Use proactively when the task involves {topics}',
+    'description.derivedGeneric': '{identity}. Use proactively when a task calls for the {roleId} perspective',
+    'argumentHint.default': '[task description]',
+
+    'element.exploration': 'Exploration',
+    'element.reasoning': 'Reasoning',
+    'element.challenge': 'Challenge',
+    'element.plan': 'Plan',
+    'element.constraint': 'Constraints',
+    'element.rule': 'Rules',
+    'element.guideline': 'Guidelines',
+    'element.process': 'Process',
+    'element.criteria': 'Criteria',
+
+    'toc.knowledge': 'The following knowledge resources are not inlined; load the full content with the PromptX `learn` tool when needed:',
+    'toc.resource': 'Only the outline of these resources is listed; load the full content with the PromptX `learn` tool when needed:',
+
+    'list.separator': ', ',
+    'experience.intro': 'The {count} most active concepts in the {role} cognition network ({total} in total), for reference when working on a task:',
+    'experience.introDated': 'The {count} most active concepts in the {role} cognition network ({total} in total, updated {date}), for reference when working on a task:',
+    'experience.summary': 'Frequent {role} concepts: {concepts}',
+    'experience.frequency': '(recalled {count} times)',
+
+    headings: {
+      title: {
+        command: '# 🧠 [Consciousness Prime] {roleId} role activated',
+        subagent: '# 🧠 [Consciousness Prime] {roleId} assistant'
+      },
+      cognition: '## 💭 PromptX Cognition',
+      experience: '## 🧩 Experience Snapshot',
+      personality: '## 🎭 Personality',
+      principle: '## 🔧 Principles',
+      knowledge: '## 📚 Expertise',
+      thoughts: '## 💡 Thinking Patterns',
+      executions: '## ⚡ Execution Skills',
+      knowledges: '## 📖 Knowledge Base',
+      task: {
+        command: '## 📋 Task',
+        subagent: ''
+      }
+    },
+
+    blocks: {
+      cognitionNetwork: [
+        '🧠 **Status**: this role has an experience network',
+        '',
+        '🔧 **Activation** (requires the PromptX MCP server):',
+        '- `recall {roleId}` - activate the full experience network of this role',
+        '- `recall {roleId} "specific question"` - retrieve related past experience',
+        '- `remember {roleId} "new knowledge"` - add new experience to the role memory',
+        '',
+        '💡 **Note**: the cognition network holds past experience with this role and is activated on demand through the recall tool'
+      ],
+      cognitionEmpty: [
+        '🌱 **Status**: this role has no experience network yet',
+        '',
+        '🚀 **Getting started**:',
+        '- Install and configure the PromptX MCP server',
+        '- Use `recall {roleId}` to start building the cognition network',
+        '- Expertise accumulates as the role is used'
+      ],
+      cognitionSummary: 'Use `recall {roleId}` to activate this role\'s experience network (requires the PromptX MCP server)',
+      state: {
+        command: [
+          '---',
+          '',
+          '🎉 {roleId} role activated! I will now work with you in this role.',
+          ''
+        ],
+        subagent: [
+          '---',
+          '',
+          '## 🤖 About this assistant',
+          'I am a professional AI assistant based on the PromptX {roleId} role. I will:',
+          '- Keep the professional identity and thinking patterns of {roleId} at all times',
+          '- Use the full PromptX tool ecosystem to provide professional help',
+          '- Keep learning and remembering throughout our conversation',
+          '',
+          'What can I help you with?',
+          ''
+        ]
+      },
+      footer: [
+        '---',
+        '',
+        '💡 **Available PromptX tools**:',
+        '- `recall {roleId}` - activate this role\'s experience network',
+        '- `remember {roleId} "new experience"` - weave new experience into the role memory',
+        '- `learn` - learn new resources and knowledge',
+        '- `toolx` - run professional tools',
+        '- Tool availability depends on your PromptX MCP server configuration',
+        ''
+      ],
+      task: {
+        command: [
+          '$ARGUMENTS',
+          '',
+          '(If no task is given above, ask the user what they need help with first.)',
+          ''
+        ],
+        subagent: []
+      },
+      closing: {
+        command: 'Now let\'s get started on your request.',
+        subagent: []
+      }
+    }
+  }
+};
@@ -0,0 +1,530 @@
+/**
+ * 中文语言包
+ *
+ * ui      - 命令行界面文案，{name} 为占位符
+ * content - 生成的 agent/command 内容；headings 和 blocks 为默认输出模板（见 OutputTemplate）
+ */
+
+export default {
+  ui: {
+    'common.reason': '   原因: {reason}',
+    'common.none': '无',
+
+    'scope.project': '项目',
+    'scope.user': '用户',
+    'scope.custom': '自定义目录',
+
+    'roleSource.package': '系统角色',
+    'roleSource.project': '项目角色',
+    'roleSource.user': '用户角色',
+    'roleSource.local': '本地角色',
+
+    'i18n.invalidLocale': '无效的语言: {value}（可选: {locales}）',
+
+    'cli.tagline': '将PromptX角色安装到Claude Code',
+    'cli.help': `用法:
+  px2cc                          交互式安装
+  px2cc install <roleId> [选项]   非交互式安装
+  px2cc sync [选项]              按 px2cc.json 清单同步 .claude 目录
+  px2cc roles                    列出PromptX中可安装的角色（含项目角色，标出被覆盖的同名角色）
+  px2cc list                     列出由px2cc安装的角色
+  px2cc uninstall <name> [选项]   卸载由px2cc安装的角色
+  px2cc deps <roleId>            打印角色的资源依赖树
+  px2cc lint <roleId...>|--all   检查角色定义中的问题（找不到的引用、缺少的部分等）
+  px2cc status [name...]         检查已安装角色是否与源角色一致
+  px2cc update [name...] [选项]   重新生成过期的角色
+  px2cc watch [name...] [选项]    监视已安装角色的源文件，变化后自动重新生成
+
+install 选项:
+  --as <agent|command>   安装类型（必需）
+  --name <name>          自定义安装名字
+  --source <source>      同名角色存在于多个来源时指定安装哪一个: user、project、package
+                         （默认按 user > project > package 的优先级，deps、lint 同样适用）
+  --tools <list>         逗号分隔的工具列表，如 Read,Grep,mcp__x__*
+                         与 --tool-profile 都省略时使用角色推荐的工具配置，
+                         角色未声明时继承所有可用工具
+  --tool-profile <name>  内置工具配置: read-only（只读）、editor（可编辑文件）、
+                         full（含Bash和子任务），可与 --tools 组合
+  --knowledge <mode>     知识资源输出方式: inline（完整内联，默认）、
+                         toc（只输出目录）、omit（不输出）
+  --profile <profile>    输出配置: full（完整，默认）、compact（思维模式、
+                         知识体系只输出目录）、minimal（只保留角色定义和执行技能目录）
+  --max-tokens <n>       token预算，超出时按优先级从低到高压缩内容
+  --template <file>      输出模板文件（默认查找安装位置 .claude 目录中的 px2cc.template.json，
+                         然后是 ~/.claude/px2cc.template.json）
+  --cognition <mode>     认知网络输出方式: link（只输出recall说明，默认）、
+                         embed（嵌入最活跃概念的经验快照）
+  --max-concepts <n>     经验快照最多包含的概念数（默认: 20）
+  --content-lang <lang>  生成内容的语言: zh、en（默认与界面语言相同）
+  --description <text>   自定义描述（Subagent 默认从角色定义生成）
+  --model <model>        command使用的模型: sonnet、opus、haiku 或完整模型名
+  --argument-hint <hint> command的参数提示（默认: [需求描述]）
+  --field <key=value>    command的自定义frontmatter字段，可重复
+  --dry-run              只预览将要写入的内容和与现有文件的差异，不写入（交互模式同样适用）
+  --force                覆盖已存在且包含手动修改的文件
+  -y, --yes              跳过确认
+
+安装位置选项（install、sync、list、uninstall、status、update、watch）:
+  --scope <scope>        project（当前项目的 .claude，默认）或 user（~/.claude）
+  --target-dir <dir>     安装到指定目录（其下的 agents/、commands/）
+                         list 和 uninstall 未指定时同时查看项目级和用户级
+
+sync 选项:
+  --manifest <file>      清单文件路径（默认: px2cc.json）
+  --prune                删除由px2cc安装、但已不在清单中的文件
+  --force                覆盖包含手动修改或不是由px2cc生成的文件，--prune 时同时删除手动修改过的文件
+
+uninstall 选项:
+  --as <agent|command>   同名安装为Agent和Command时指定类型
+  -y, --yes              跳过确认
+
+update、watch 选项:
+  --force                同时覆盖安装后被手动修改过的文件
+
+lint 选项:
+  --all                  检查所有角色（包括被覆盖的版本），可与 --source、--roles-dir 组合
+  --strict               有警告时同样以失败退出
+  --max-resource-tokens <n>  单个资源的token上限，超出时警告（默认: 4000）
+
+通用选项:
+  --lang <lang>          界面语言: zh、en（默认读取 PX2CC_LANG 或系统语言）
+  --skip-mcp             跳过MCP服务器发现
+  --mcp-config <file>    额外读取的MCP配置文件（优先级最高）
+  --mcp-health           通过 claude mcp list 检查MCP服务器连接状态（较慢）
+  --refresh-mcp-tools    忽略缓存，重新读取MCP服务器的工具列表
+  --roles-dir <dir>      从本地目录读取角色（*.role.md、*.thought.md 等），不使用PromptX注册表
+                         （交互式安装、install、sync、roles、deps、lint）
+  --json                 在 stdout 输出单个JSON结果，日志写到 stderr（交互式安装除外），
+                         需要确认的操作必须加 --yes
+  -h, --help             显示帮助信息
+
+退出码:
+  0 成功  1 其他错误  2 参数错误  3 配置文件错误  4 角色或安装记录不存在
+  5 文件包含手动修改（需要 --force）  6 PromptX 角色加载失败  7 部分角色处理失败
+  8 角色检查发现错误`,
+    'cli.flagTakesNoValue': '参数 --{flag} 不接受取值',
+    'cli.flagMissingValue': '参数 --{flag} 缺少取值',
+    'cli.unknownCommand': '未知命令: {command}，使用 px2cc --help 查看用法',
+    'cli.jsonNeedsCommand': '交互式安装不支持 --json，请使用 px2cc install <roleId> --json',
+    'cli.failed': '❌ 执行失败:',
+
+    'welcome.title': '🚀 PromptX CLI - Claude Code 角色安装器',
+    'welcome.subtitle': '   快速将PromptX角色集成到Claude Code中\n',
+
+    'mcp.checking': '   检查MCP服务器状态（可能需要一些时间）...',
+    'mcp.found': '✅ 发现 {count} 个MCP服务器',
+    'mcp.timeout': '⚠️  MCP服务器检查超时，连接状态未知',
+    'mcp.timeoutHint': '   可以去掉 --mcp-health 跳过连接检查',
+    'mcp.listFailed': '⚠️  无法通过 claude mcp list 检查连接状态',
+    'mcp.source': '   {file} ({scope}): {count} 个',
+    'mcp.invalidServer': '⚠️  跳过无效的MCP服务器配置 {name}: {file}',
+    'mcp.toolScope': '为 {name} 授予哪些工具?',
+    'mcp.toolScopeAll': '全部工具 ({tools})',
+    'mcp.toolScopePick': '逐个选择工具（读取服务器的工具列表）',
+    'mcp.toolsLoading': '   正在读取 {name} 的工具列表...',
+    'mcp.toolsLoaded': '   读取到 {count} 个工具',
+    'mcp.toolsCached': '   读取到 {count} 个工具（缓存）',
+    'mcp.toolsFallback': '⚠️  无法读取 {name} 的工具列表，将授予该服务器的全部工具',
+    'mcp.toolsEmpty': '⚠️  {name} 没有提供任何工具',
+    'mcp.toolsPrompt': '选择授予的 {name} 工具:',
+    'mcp.toolsRequired': '至少选择一个工具',
+    'mcp.readOnly': '(只读)',
+    'mcp.toolsUnsupportedType': '{name} 是 {type} 服务器，只支持读取stdio服务器的工具列表',
+    'mcp.toolsTimeout': '{name} 在 {seconds} 秒内没有返回工具列表',
+    'mcp.toolsSpawnFailed': '无法启动 {name}: {reason}',
+    'mcp.toolsExited': '{name} 意外退出: {reason}',
+    'mcp.toolsFailed': '读取 {name} 的工具列表失败: {reason}',
+    'mcp.configNotFound': '未找到MCP配置文件: {file}',
+    'mcp.invalidConfig': 'MCP配置文件不是合法的JSON {file}: {reason}',
+    'mcp.inheritAll': '   将继承所有可用工具（Claude Code默认行为）',
+    'mcp.noneFound': '   没有发现MCP服务器',
+    'mcp.disconnected': '(未连接)',
+    'mcp.selectPrompt': '为 {role} 选择额外的MCP服务器（可选）:',
+    'mcp.selected': '   已选择 {count} 个MCP服务器: {servers}',
+    'mcp.skipped': '⚠️  跳过MCP发现（测试模式）',
+    'mcp.discovering': '🔍 正在发现MCP服务器...\n',
+    'mcp.discoveryFailed': '⚠️  MCP服务器发现失败，使用默认配置',
+
+    'tools.selectProfile': '为 {role} 选择内置工具:',
+    'tools.inherit': '不限制 - 继承所有可用工具（Claude Code默认行为）',
+    'tools.profile.read-only': '只读 - 浏览文件和网页',
+    'tools.profile.editor': '编辑 - 只读工具加文件编辑',
+    'tools.profile.full': '完整 - 编辑工具加Bash和子任务',
+    'tools.custom': '自定义 - 逐个选择内置工具',
+    'tools.pickBuiltin': '选择内置工具:',
+    'tools.recommended': '(角色推荐)',
+
+    'roles.loading': '🔍 正在从PromptX系统加载角色...',
+    'roles.loadingLocal': '🔍 正在从 {dir} 加载角色...',
+    'roles.loaded': '✅ 加载完成!',
+    'roles.summary': '📊 发现 {system} 个系统角色，{project} 个项目角色，{user} 个用户角色\n',
+    'roles.summaryLocal': '📊 在 {dir} 中发现 {count} 个角色\n',
+    'roles.loadFailed': '获取PromptX角色失败: {reason}',
+    'roles.notFound': '未找到角色 {role}，可用角色: {available}',
+    'roles.notInSource': '角色 {role} 不在来源 {source} 中，该角色的来源: {sources}',
+    'roles.sourceUsed': '   使用{source} {role}（覆盖了同名的{others}，可通过 --source 指定）',
+    'roles.sourceOverridden': '⚠️  安装{source} {role}，PromptX 中生效的是同名的{active}',
+
+    'api.missingType': '缺少安装类型，请设置 as: \'agent\' 或 as: \'command\'',
+    'api.conflictNeedsForce': '{file} 已存在且包含手动修改，设置 force: true 覆盖，或通过 name 使用其他名字安装',
+
+    'menu.systemRole': '(系统角色)',
+    'menu.userRole': '(用户角色)',
+    'menu.localRole': '(本地角色)',
+    'menu.userRoles': '─── 用户角色 ───',
+    'menu.projectRole': '(项目角色)',
+    'menu.projectRoles': '─── 项目角色 ───',
+    'menu.overriddenBy': '[已被{source}覆盖]',
+    'menu.selectRole': '请选择要安装的PromptX角色:',
+    'menu.installAs': '安装 {role} 为:',
+    'menu.agentChoice': '🤖 Agent - 通过提及"{role}-agent subagent"调用',
+    'menu.commandChoice': '⚙️  Command - 通过 /{role} 调用',
+    'menu.customizeName': '是否要自定义安装名字？',
+    'menu.agentName': '请输入自定义Agent名字 (默认: {name}):',
+    'menu.commandName': '请输入自定义Command名字 (默认: {name}):',
+    'menu.confirm': '确认安装到Claude Code?',
+    'menu.confirmRole': '确认安装 {role} 到Claude Code?',
+    'menu.confirmNamed': '确认安装 {role} 为 {name} 到Claude Code?',
+    'menu.selectScope': '安装到:',
+    'menu.scopeProject': '📁 当前项目 ({dir}) - 只在该项目中可用',
+    'menu.scopeUser': '🏠 用户目录 ({dir}) - 在所有项目中可用',
+    'menu.scopeCustom': '📂 自定义目录...',
+    'menu.targetDir': '请输入目标目录（其下创建 agents/ 和 commands/）:',
+    'menu.embedCognition': '{role} 已建立认知网络，是否将最活跃的概念作为经验快照嵌入?',
+    'menu.description': 'Subagent 描述（已根据角色定义生成，Claude Code据此决定何时委派任务）:',
+    'menu.selectModel': '命令使用的模型:',
+    'menu.modelInherit': '跟随当前会话（默认）',
+    'menu.modelInheritShort': '跟随会话',
+    'menu.modelCustom': '其他模型...',
+    'menu.modelName': '模型名:',
+    'menu.argumentHint': '参数提示（显示在 /命令 之后）:',
+
+    'options.emptyName': '名字不能为空',
+    'options.nameChars': '名字只能包含字母、数字、下划线和连字符',
+    'options.invalidName': '无效的安装名字 "{name}": {reason}',
+    'options.invalidType': '无效的安装类型: {value}（可选: agent, command）',
+    'options.emptyTool': '工具列表包含空项: {value}',
+    'options.invalidTool': '无效的工具名: {tool}',
+    'options.invalidKnowledge': '无效的知识输出方式: {value}（可选: {modes}）',
+    'options.invalidProfile': '无效的输出配置: {value}（可选: {profiles}）',
+    'options.invalidMaxTokens': '无效的token预算: {value}（需要正整数）',
+    'options.emptyTemplate': '模板文件路径不能为空',
+    'options.invalidScope': '无效的安装位置: {value}（可选: {scopes}）',
+    'options.invalidToolProfile': '无效的工具配置: {value}（可选: {profiles}）',
+    'options.invalidDescription': '无效的描述: {value}（不能为空，不能包含换行）',
+    'options.invalidCommandDescription': '无效的command描述: {value}（command的描述不能包含双引号或反斜杠）',
+    'options.invalidModel': '无效的模型: {value}（可用别名: {aliases}，或完整模型名）',
+    'options.invalidArgumentHint': '无效的参数提示: {value}（不能为空，不能包含双引号、反斜杠或换行）',
+    'options.invalidFieldSyntax': '无效的自定义字段: {value}（格式为 key=value）',
+    'options.invalidFieldName': '无效的自定义字段名: {key}（只能包含字母、数字、下划线和连字符，以字母开头）',
+    'options.reservedField': '自定义字段 {key} 由px2cc生成，不能覆盖（保留字段: {reserved}）',
+    'options.invalidFieldValue': '自定义字段 {key} 的值必须是非空字符串或字符串数组，不能包含双引号、反斜杠或换行',
+    'options.commandOnly': '选项 {options} 只适用于command安装，Subagent 不支持这些字段',
+    'options.scopeConflict': '--scope 和 --target-dir 不能同时使用',
+    'options.emptyTargetDir': '目标目录不能为空',
+    'options.emptyRolesDir': '角色目录不能为空',
+    'options.invalidSource': '无效的角色来源: {value}（可选: {sources}）',
+    'options.sourceWithRolesDir': '本地角色目录中的角色没有来源之分，--source（source）不能与 --roles-dir（rolesDir）同时使用',
+    'options.invalidCognition': '无效的认知网络输出方式: {value}（可选: {modes}）',
+    'options.invalidMaxConcepts': '无效的概念数: {value}（需要正整数）',
+
+    'install.missingRole': '缺少角色ID，用法: px2cc install <roleId> --as agent|command',
+    'install.missingType': '缺少安装类型，请使用 --as agent 或 --as command',
+    'install.needsYes': '非交互环境下请使用 --yes 确认安装',
+    'install.cancelled': '\n👋 安装已取消',
+    'install.creatingDir': '📁 创建 {dir} 目录...',
+    'install.shadowsUser': '⚠️  {file} 与用户级的 {other} 同名，在当前项目中会覆盖用户级角色',
+    'install.shadowedByProject': '⚠️  {file} 在当前项目中会被项目级的 {other} 覆盖',
+    'install.start': '\n🎭 开始安装角色: {role} ({type})',
+    'install.recommendedTools': '   使用 {role} 推荐的工具配置: {profile}',
+    'install.failed': '安装角色失败: {reason}',
+    'install.template': '   📐 使用输出模板: {file}',
+    'install.writingAgent': '🔧 生成 {name} subagent文件...',
+    'install.writingCommand': '📋 生成 {name} command文件...',
+    'install.agentFailed': '创建Subagent失败: {reason}',
+    'install.commandFailed': '创建Command失败: {reason}',
+    'install.agentUsage': 'Use the {name} subagent to [任务描述]',
+    'install.done': '\n✅ 角色安装完成！',
+    'install.files': '\n📄 生成的文件:',
+    'install.usage': '\n🎉 现在你可以在Claude Code中使用:',
+    'install.restartHint': '\n💡 提示: 重启Claude Code以确保新配置生效',
+    'install.preview': '\n📄 将写入 {file}:\n',
+    'install.previewNew': '（新文件）',
+    'install.previewUnchanged': '（与现有文件一致）',
+    'install.previewDiff': '\n🔀 与现有 {file} 的差异:\n',
+    'install.dryRunDone': '\n🔍 预览模式，未写入任何文件',
+    'install.conflictGenerated': '\n⚠️  {file} 已存在，将被新内容替换:\n',
+    'install.conflictModified': '\n⚠️  {file} 已存在且不是px2cc生成的原始内容（可能包含手动修改）:\n',
+    'install.conflictNeedsForce': '{file} 已存在且包含手动修改，使用 --force 覆盖，或使用 --name 安装为其他名字',
+    'install.conflictPrompt': '如何处理 {file}?',
+    'install.conflictOverwrite': '覆盖现有文件',
+    'install.conflictKeep': '保留现有文件，取消安装',
+    'install.conflictRename': '使用新名字安装',
+    'install.kept': '\n👋 已保留 {file}，未写入任何文件',
+    'install.renamePrompt': '请输入新的安装名字:',
+    'install.nameTaken': '{file} 已存在，请换一个名字',
+
+    'sync.manifest': '📋 读取清单: {file} ({count} 个角色)',
+    'sync.done': '\n✅ 同步完成！',
+    'sync.created': '新建',
+    'sync.updated': '更新',
+    'sync.unchanged': '未变化',
+    'sync.pruned': '已删除',
+    'sync.conflicts': '未覆盖或删除',
+    'sync.conflict': '⚠️  {file} 包含手动修改或不是由px2cc生成，未覆盖',
+    'sync.pruneConflict': '⚠️  {file} 安装后被手动修改过，未删除',
+    'sync.doneWithConflicts': '\n⚠️  同步完成，部分文件未覆盖或删除',
+    'sync.conflictsNeedForce': '{count} 个文件包含手动修改或不是由px2cc生成，使用 --force 覆盖或删除',
+
+    'manifest.notFound': '未找到清单文件: {file}',
+    'manifest.invalidJson': '清单文件不是合法的JSON {file}: {reason}',
+    'manifest.missingRoles': '清单缺少 roles 数组',
+    'manifest.missingRole': '缺少 role',
+    'manifest.toolsNotArray': 'tools 必须是数组',
+    'manifest.duplicateTarget': '与 {other} 安装到同一文件 {file}',
+    'manifest.invalid': '清单校验失败:',
+
+    'local.dirNotFound': '角色目录不存在: {dir}',
+    'local.invalid': '角色目录 {dir} 中有重复的资源:',
+    'local.duplicate': '{resource} 同时定义在 {files}',
+    'local.noRoles': '角色目录 {dir} 中没有 *.role.md 文件',
+
+    'lock.invalid': '锁文件格式错误 {file}: {reason}',
+    'lock.empty': '当前项目没有由px2cc安装的角色',
+    'lock.notFound': '未找到由px2cc安装的 {name}，使用 px2cc list 查看已安装角色',
+
+    'list.title': '📦 {scope} {dir} 已安装 {count} 个角色:\n',
+    'list.shadowsUser': '   ⚠️  覆盖了用户级的同名角色 {other}',
+    'list.shadowedByProject': '   ⚠️  在当前项目中被 {other} 覆盖',
+    'list.ok': '正常',
+    'list.file': '   文件: {file}',
+    'list.role': '   角色: {role}',
+    'list.installed': '   安装: {time}',
+
+    'uninstall.missingName': '缺少安装名字，用法: px2cc uninstall <name>',
+    'uninstall.ambiguous': '{name} 同时安装为Agent和Command，请使用 --as agent 或 --as command 指定',
+    'uninstall.ambiguousScope': '{name} 同时安装在 {dirs}，请使用 --scope project 或 --scope user 指定',
+    'uninstall.modifiedWarning': '⚠️  {file} 安装后被手动修改过，卸载会丢失这些修改',
+    'uninstall.needsYes': '非交互环境下请使用 --yes 确认卸载',
+    'uninstall.confirm': '确认删除 {file}?',
+    'uninstall.cancelled': '\n👋 卸载已取消',
+    'uninstall.done': '✅ 已卸载 {name}',
+    'uninstall.doneMissing': '✅ 已卸载 {name}（文件已不存在，仅移除记录）',
+
+    'status.checking': '🔍 正在检查 {count} 个已安装角色...',
+    'status.title': '\n📋 安装状态:',
+    'status.upToDate': '最新',
+    'status.outdated': '已过期（源角色有变化）',
+    'status.modified': '已手动修改',
+    'status.missing': '文件缺失',
+    'status.error': '无法渲染',
+    'status.updateHint': '\n💡 运行 px2cc update 重新生成过期的角色',
+    'status.forceHint': '💡 运行 px2cc update --force 用源角色覆盖手动修改',
+    'status.failed': '{count} 个角色无法渲染: {names}',
+
+    'update.done': '\n✅ 已更新 {count} 个角色: {names}',
+    'update.nothing': '\n✅ 没有需要更新的角色',
+    'update.skippedModified': '⚠️  跳过手动修改过的文件: {names}（使用 --force 覆盖）',
+
+    'deps.missingRole': '缺少角色ID，用法: px2cc deps <roleId>',
+    'deps.title': '\n🌳 {role} 依赖树:\n',
+    'deps.summary': '\n   共 {total} 个资源，{missing} 个未找到，{cycles} 个循环引用',
+    'deps.cycle': '循环引用',
+    'deps.missing': '未找到',
+    'deps.seeAbove': '(见上文)',
+
+    'lint.missingRole': '缺少角色ID，用法: px2cc lint <roleId...> 或 px2cc lint --all',
+    'lint.allWithRoles': '--all 不能与角色ID同时使用',
+    'lint.noRoles': '没有需要检查的角色',
+    'lint.checking': '🔍 正在检查 {count} 个角色...\n',
+    'lint.clean': '没有发现问题',
+    'lint.error': '错误',
+    'lint.warning': '警告',
+    'lint.summary': '\n📊 检查了 {roles} 个角色: {errors} 个错误，{warnings} 个警告',
+    'lint.failed': '角色检查发现 {errors} 个错误',
+    'lint.failedStrict': '角色检查发现 {errors} 个错误、{warnings} 个警告（--strict）',
+    'lint.missingSection': '缺少 <{section}> 部分',
+    'lint.emptySection': '<{section}> 部分为空',
+    'lint.syntax': 'DPML格式问题: {reason}',
+    'lint.unknownProtocol': '{reference} 使用了未知的资源协议 {protocol}',
+    'lint.duplicateReference': '{reference} 被引用了 {count} 次',
+    'lint.unresolved': '找不到 {reference}，安装后这部分内容会缺失',
+    'lint.cycle': '循环引用: {cycle}',
+    'lint.oversized': '约 {tokens} tokens，超过上限 {max}',
+
+    'watch.noJson': 'watch 持续运行直到手动停止，不支持 --json',
+    'watch.nothingInstalled': '没有由px2cc安装的角色可以监视',
+    'watch.started': '👀 正在监视 {entries} 个已安装角色的 {files} 个源文件',
+    'watch.stopHint': '   按 Ctrl+C 停止',
+    'watch.stopped': '已停止监视',
+    'watch.changed': '\n🔄 文件有变化: {files}',
+    'watch.updated': '   ✅ 已重新生成 {name} ({file})',
+    'watch.unchanged': '   {name} 的生成结果没有变化',
+    'watch.skipped': '   ⚠️  跳过 {name}: 安装后被手动修改过（使用 --force 覆盖）',
+    'watch.failed': '   ❌ {name} 无法渲染: {reason}',
+    'watch.summary': '📊 [{time}] 重新生成 {updated} 个，无变化 {unchanged} 个，跳过 {skipped} 个，失败 {failed} 个',
+    'watch.sourcesFailed': '⚠️  无法解析 {name} 的源文件: {reason}',
+    'watch.watchFailed': '⚠️  无法监视目录 {dir}: {reason}',
+    'watch.cycleFailed': '重新生成失败: {reason}',
+
+    'processor.start': '\n🎭 开始执行 {role} 的 PromptX Action 流程 ({mode} 模式)',
+    'processor.done': '✅ PromptX Action 流程完成！',
+    'processor.failed': '❌ PromptX Action 流程失败: {reason}',
+    'processor.loadingRole': '📖 加载角色定义: {role}',
+    'processor.roleUnavailable': '无法加载角色 {role} 的内容',
+    'processor.roleLoadFailed': '❌ 角色加载失败: {reason}',
+    'processor.structureError': '角色 {role} 的DPML结构错误: {errors}',
+    'processor.missingRoleTag': '角色 {role} 缺少 <role> 标签',
+    'processor.invalidToolProfile': '⚠️  角色 {role} 声明了无效的工具配置 {value}，已忽略（可选: {profiles}）',
+    'processor.parseWarning': '⚠️  角色 {role} 解析警告: {reason}',
+    'processor.analyzing': '🔍 分析资源依赖...',
+    'processor.referencesFound': '   发现 {count} 个资源引用',
+    'processor.cycle': '⚠️  检测到循环引用: {cycle}',
+    'processor.analyzed': '✅ 依赖分析完成: thoughts={thoughts}, executions={executions}, knowledges={knowledges}',
+    'processor.dependencyUnavailable': '⚠️  无法加载依赖: {resource}',
+    'processor.dependencyFailed': '⚠️  依赖加载失败: {resource} - {reason}',
+    'processor.checkingCognition': '🧠 检查认知网络状态: {role}',
+    'processor.cognitionFound': '✅ 发现认知网络文件: {role}',
+    'processor.cognitionMissing': '   未找到认知网络文件: {role}',
+    'processor.cognitionFailed': '⚠️  认知网络检查失败: {reason}',
+    'processor.cognitionCorrupt': '⚠️  认知网络文件已损坏，跳过经验快照 {file}: {reason}',
+    'processor.cognitionUnsupported': '⚠️  不支持的认知网络版本 {version}，跳过经验快照: {file}',
+    'processor.cognitionSnapshot': '   提取 {count} 个概念作为经验快照（共 {total} 个）',
+    'processor.tokens': '   📏 预计约 {total} tokens: {layers}',
+    'processor.reduced': '   ✂️  为满足 {budget} tokens 预算，{layer} 改为 {mode}（节省约 {saved} tokens）',
+    'processor.overBudget': '⚠️  压缩后仍超出预算: 约 {total} / {budget} tokens',
+
+    'dpml.position': '{reason} (第 {line} 行，第 {column} 列)',
+    'dpml.unexpectedClose': '多余的结束标签 </{tag}>',
+    'dpml.unclosed': '标签 <{tag}> 未闭合',
+    'dpml.unterminatedComment': '注释未结束',
+    'dpml.unterminatedCloseTag': '结束标签 </{tag}> 缺少 >',
+    'dpml.unterminatedOpenTag': '开始标签 <{tag}> 缺少 >',
+    'dpml.unterminatedAttribute': '标签 <{tag}> 的属性 {attribute} 缺少结束引号',
+
+    'template.notFound': '未找到模板文件: {file}',
+    'template.invalidJson': '模板文件不是合法的JSON {file}: {reason}',
+    'template.invalid': '模板校验失败 {file}:',
+    'template.notObject': '模板必须是JSON对象',
+    'template.unknownField': '未知字段: {field}',
+    'template.layersNotArray': '{field} 必须是数组',
+    'template.unknownLayer': '{field}: 未知的内容层 {name}（可选: {layers}）',
+    'template.duplicateLayer': '{field}: 内容层重复',
+    'template.unknownMode': '{field}: 未知的安装模式 {mode}（可选: {modes}）',
+    'template.notMap': '{field} 必须是对象',
+    'template.unknownName': '{field}: 未知的名字 {name}（可选: {names}）',
+    'template.invalidValue': '{field} 格式错误'
+  },
+
+  content: {
+    'description.command': '基于PromptX {roleId}角色的专业助手 - 完整action实现',
+    'description.fallbackIdentity': '基于PromptX {roleId}角色的专业AI助手',
+    'description.derived': '{identity}。当任务涉及{topics}时主动使用（use proactively）',
+    'description.derivedGeneric': '{identity}。需要{roleId}的专业视角时主动使用（use proactively）',
+    'argumentHint.default': '[需求描述]',
+
+    'element.exploration': '探索',
+    'element.reasoning': '推理',
+    'element.challenge': '质疑',
+    'element.plan': '计划',
+    'element.constraint': '约束',
+    'element.rule': '规则',
+    'element.guideline': '指导原则',
+    'element.process': '流程',
+    'element.criteria': '评价标准',
+
+    'toc.knowledge': '以下知识资源未内联，需要时可通过PromptX `learn` 工具加载完整内容：',
+    'toc.resource': '以下资源仅列出目录，需要时可通过PromptX `learn` 工具加载完整内容：',
+
+    'list.separator': '、',
+    'experience.intro': '以下是{role}认知网络中最活跃的 {count} 个概念（共 {total} 个），可作为处理问题时的经验参考：',
+    'experience.introDated': '以下是{role}认知网络中最活跃的 {count} 个概念（共 {total} 个，更新于 {date}），可作为处理问题时的经验参考：',
+    'experience.summary': '{role}的常用概念：{concepts}',
+    'experience.frequency': '(召回 {count} 次)',
+
+    headings: {
+      title: {
+        command: '# 🧠 [Consciousness Prime] {roleId}角色已激活',
+        subagent: '# 🧠 [Consciousness Prime] {roleId}专业助手'
+      },
+      cognition: '## 💭 PromptX认知增强',
+      experience: '## 🧩 经验快照',
+      personality: '## 🎭 角色人格',
+      principle: '## 🔧 工作原则',
+      knowledge: '## 📚 专业知识',
+      thoughts: '## 💡 思维模式',
+      executions: '## ⚡ 执行技能',
+      knowledges: '## 📖 知识体系',
+      task: {
+        command: '## 📋 用户需求',
+        subagent: ''
+      }
+    },
+
+    blocks: {
+      cognitionNetwork: [
+        '🧠 **状态**: 该角色已建立经验网络',
+        '',
+        '🔧 **激活方式** (需要PromptX MCP服务器):',
+        '- `recall {roleId}` - 激活该角色的完整经验网络',
+        '- `recall {roleId} "具体问题"` - 检索相关历史经验',
+        '- `remember {roleId} "新知识"` - 将新经验加入角色记忆',
+        '',
+        '💡 **说明**: 认知网络包含该角色的历史使用经验，通过recall工具动态激活'
+      ],
+      cognitionEmpty: [
+        '🌱 **状态**: 该角色尚未建立经验网络',
+        '',
+        '🚀 **开始使用**:',
+        '- 安装并配置PromptX MCP服务器',
+        '- 使用 `recall {roleId}` 开始建立认知网络',
+        '- 随着使用逐步积累该角色的专业经验'
+      ],
+      cognitionSummary: '使用 `recall {roleId}` 激活该角色的经验网络（需要PromptX MCP服务器）',
+      state: {
+        command: [
+          '---',
+          '',
+          '🎉 {roleId}角色激活完成！我现在以该角色身份为你服务。',
+          ''
+        ],
+        subagent: [
+          '---',
+          '',
+          '## 🤖 助手说明',
+          '我是基于PromptX {roleId}角色的专业AI助手。我会：',
+          '- 始终保持{roleId}的专业身份和思维模式',
+          '- 利用完整的PromptX工具生态提供专业服务',
+          '- 在我们的对话过程中持续学习和记忆',
+          '',
+          '请告诉我你需要什么帮助？',
+          ''
+        ]
+      },
+      footer: [
+        '---',
+        '',
+        '💡 **可用的PromptX工具生态**：',
+        '- `recall {roleId}` - 激活该角色的历史经验网络',
+        '- `remember {roleId} "新体验"` - 将新体验编织到角色记忆',
+        '- `learn` - 学习新的资源和知识',
+        '- `toolx` - 执行专业工具',
+        '- 具体工具可用性取决于PromptX MCP服务器配置',
+        ''
+      ],
+      task: {
+        command: [
+          '$ARGUMENTS',
+          '',
+          '（如果上面没有给出具体需求，请先询问用户需要什么帮助）',
+          ''
+        ],
+        subagent: []
+      },
+      closing: {
+        command: '现在开始处理用户需求。',
+        subagent: []
+      }
+    }
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * logger - 进度和警告输出
+ *
+ * src/ 中的模块不直接写控制台，而是通过构造时传入的 logger 输出，
+ * 以库的方式使用时可以传入自己的 logger（转发为事件、写入日志文件或静默）。
+ *
+ * logger 的每个方法接收一条已翻译的消息：
+ * - info    - 步骤开始
+ * - success - 步骤完成
+ * - detail  - 次要信息
+ * - warn    - 可恢复的问题
+ * - error   - 失败
+ *
+ * 未实现的方法视为忽略该级别。
+ */
+
+import chalk from 'chalk';
+
+export const LOG_LEVELS = ['info', 'success', 'detail', 'warn', 'error'];
+
+// 命令行使用的默认 logger
+export const consoleLogger = {
+  info: message => console.log(chalk.cyan(message)),
+  success: message => console.log(chalk.green(message)),
+  detail: message => console.log(chalk.gray(message)),
+  warn: message => console.warn(chalk.yellow(message)),
+  error: message => console.error(chalk.red(message))
+};
+
+// 不输出任何内容
+export const silentLogger = createLogger({});
+
+/**
+ * 补全 logger 缺少的方法
+ * @param {Object} [logger] - 部分或完整的 logger，省略时使用 consoleLogger
+ * @returns {Object} 实现了所有级别的 logger
+ */
+export function createLogger(logger = consoleLogger) {
+  const complete = {};
+  LOG_LEVELS.forEach(level => {
+    complete[level] = typeof logger[level] === 'function' ? logger[level].bind(logger) : () => {};
+  });
+  return complete;
+}
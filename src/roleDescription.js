@@ -0,0 +1,128 @@
+/**
+ * roleDescription - 从角色定义生成 Subagent 的描述
+ *
+ * Claude Code 根据 Subagent 的 description 决定何时委派任务，因此描述需要说明角色是谁、
+ * 在什么情况下应该主动使用。描述由两部分组成：
+ * - 身份：角色文件中 <role> 之前的标题（如「# 鲁班 - PromptX工具大师」），
+ *   没有标题时取 personality 的第一句
+ * - 专长：knowledge、principle、personality 及其依赖资源中的加粗要点（如「**产品战略**：...」）
+ */
+
+import { REFERENCE_PATTERN } from './DPMLParser.js';
+
+// 身份部分的最大长度，超出时截断
+const MAX_IDENTITY_LENGTH = 80;
+// 描述中列出的专长数
+const MAX_TOPICS = 4;
+// 加粗要点的长度范围，过长的通常是整句强调而不是专长名称
+const TOPIC_LENGTH = { min: 2, max: 16 };
+
+// 「**要点**：说明」形式的加粗要点
+const TOPIC_PATTERN = /\*\*([^*\n]+?)\*\*\s*[：:]/g;
+
+/**
+ * 生成 Subagent 描述
+ * @param {Object} roleInfo - RoleLoader.loadRole 的结果
+ * @param {Object} dependencies - DependencyAnalyzer.analyzeDependencies 的结果
+ * @param {Function} text - 内容语言的翻译函数
+ * @returns {string} 单行描述
+ */
+export function describeRole(roleInfo, dependencies, text) {
+  const identity = roleIdentity(roleInfo) || text('description.fallbackIdentity', { roleId: roleInfo.id });
+  const topics = roleTopics(roleInfo, dependencies);
+
+  const description = topics.length > 0
+    ? text('description.derived', { identity, topics: topics.join(text('list.separator')) })
+    : text('description.derivedGeneric', { identity, roleId: roleInfo.id });
+  return sanitizeDescription(description);
+}
+
+/**
+ * 清理描述，使其可以写入单行frontmatter（YAML特殊字符由 frontmatterScalar 处理）
+ * @param {string} value - 描述
+ * @returns {string} 不含换行、双引号和Markdown标记的描述
+ */
+export function sanitizeDescription(value) {
+  return value
+    .replace(/[*`"]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Subagent frontmatter 中的 description 值
+ *
+ * ClaudeCodeBuilder 把 Subagent 的描述原样写在 `description:` 后面，不加引号。
+ * 「Reviewer: code quality」中的 `: `、` #`、以 [ { > | & * ! % @ 等开头的内容在YAML中有特殊含义，
+ * 这类描述写成双引号字符串，其余保持原样，已安装文件的内容不变。
+ *
+ * @param {string} value - 描述
+ * @returns {string} 可以直接写在 `description:` 后面的YAML标量
+ */
+export function frontmatterScalar(value) {
+  const plain = value === value.trim()
+    && !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value)
+    && !/:(\s|$)|\s#|\t/.test(value)
+    && !/^(true|false|yes|no|on|off|null|~|[-+.]?\d.*)$/i.test(value);
+  // JSON字符串也是合法的YAML双引号字符串
+  return plain && value ? value : JSON.stringify(value);
+}
+
+/**
+ * 角色身份：<role> 前的Markdown标题，或 personality 的第一句
+ */
+function roleIdentity(roleInfo) {
+  const preamble = (roleInfo.raw || '').split('<role')[0];
+  const title = preamble.match(/^#\s+(.+)$/m);
+  if (title) {
+    return truncate(title[1].trim());
+  }
+
+  const personality = (roleInfo.sections.personality || '').replace(REFERENCE_PATTERN, '');
+  const line = personality
+    .split('\n')
+    .map(item => item.trim())
+    .find(item => item && !/^(#|[-*]\s|\d+\.\s)/.test(item));
+  if (!line) {
+    return null;
+  }
+
+  const sentence = line.split(/(?<=[。！？!?])|(?<=\.)\s/)[0]
+    .replace(/^(我是|I am|I'm)\s*/i, '')
+    .replace(/[。.！!？?]$/, '');
+  return sentence ? truncate(sentence) : null;
+}
+
+/**
+ * 角色专长：按 knowledge、principle、personality、依赖资源的顺序收集加粗要点
+ */
+function roleTopics(roleInfo, dependencies) {
+  const sources = [
+    roleInfo.sections.knowledge,
+    roleInfo.sections.principle,
+    roleInfo.sections.personality,
+    ...['knowledges', 'executions', 'thoughts'].flatMap(type => (dependencies[type] || []).map(resource => resource.content))
+  ];
+
+  const topics = [];
+  for (const source of sources) {
+    for (const match of (source || '').matchAll(TOPIC_PATTERN)) {
+      const topic = match[1].trim();
+      // 跳过包含代码、标签或引用的强调内容
+      if (/[`<>@=]/.test(topic) || topic.length < TOPIC_LENGTH.min || topic.length > TOPIC_LENGTH.max) {
+        continue;
+      }
+      if (!topics.includes(topic)) {
+        topics.push(topic);
+      }
+      if (topics.length === MAX_TOPICS) {
+        return topics;
+      }
+    }
+  }
+  return topics;
+}
+
+function truncate(value) {
+  return value.length > MAX_IDENTITY_LENGTH ? `${value.slice(0, MAX_IDENTITY_LENGTH - 1)}…` : value;
+}
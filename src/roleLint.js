@@ -0,0 +1,139 @@
+/**
+ * roleLint - 检查角色定义中的问题
+ *
+ * 安装时无法加载的依赖只给出警告，对应内容被略去，安装仍然"成功"。
+ * lint 在安装前列出这类问题，每个问题带有严重程度：
+ * - error   - 角色无法解析、引用了未知协议或找不到的资源，安装结果会缺少内容
+ * - warning - 缺少或为空的角色部分、重复引用、循环引用、过大的资源、DPML格式问题
+ *
+ * 问题格式: { severity, rule, resource, message }，resource 为问题所在的资源URL。
+ */
+
+import { DPMLParser } from './DPMLParser.js';
+import { ROLE_SECTIONS, estimateTokens } from './PromptXActionProcessor.js';
+import { t } from './i18n.js';
+
+// 单个资源的默认token上限，超出时给出警告
+export const DEFAULT_MAX_RESOURCE_TOKENS = 4000;
+
+/**
+ * 检查角色
+ * @param {PromptXActionProcessor} processor - 读取角色的处理器（决定角色来源）
+ * @param {string} roleId - 角色ID
+ * @param {Object} [options] - { maxResourceTokens }
+ * @returns {Promise<Array<Object>>} 问题列表，先列出 error
+ */
+export async function lintRole(processor, roleId, options = {}) {
+  const roleUrl = `@role://${roleId}`;
+
+  let inspection;
+  try {
+    inspection = await processor.inspect(roleId);
+  } catch (error) {
+    return [issue('error', 'invalid-role', roleUrl, error.message)];
+  }
+
+  const { roleInfo, graph, references, protocols } = inspection;
+  const maxTokens = options.maxResourceTokens || DEFAULT_MAX_RESOURCE_TOKENS;
+  const contents = { [roleUrl]: roleInfo.raw };
+  Object.values(graph.nodes)
+    .filter(node => node.content)
+    .forEach(node => {
+      contents[nodeUrl(node)] = node.content;
+    });
+
+  const issues = [
+    ...checkSections(roleUrl, roleInfo),
+    ...checkSyntax(contents),
+    ...checkReferences(references, protocols),
+    ...checkMissing(graph, references),
+    ...graph.cycles.map(cycle => issue('warning', 'reference-cycle', roleUrl, t('lint.cycle', {
+      cycle: cycle.map(key => nodeUrl(graph.nodes[key])).join(' → ')
+    }))),
+    ...checkSizes(contents, maxTokens)
+  ];
+
+  return [...issues.filter(item => item.severity === 'error'), ...issues.filter(item => item.severity !== 'error')];
+}
+
+function issue(severity, rule, resource, message) {
+  return { severity, rule, resource, message };
+}
+
+function nodeUrl(node) {
+  return `@${node.protocol}://${node.id}`;
+}
+
+/**
+ * 缺少或为空的 personality、principle、knowledge
+ */
+function checkSections(roleUrl, roleInfo) {
+  const document = new DPMLParser({ tolerant: true }).parse(roleInfo.raw);
+  const roleElement = document.find('role');
+
+  return ROLE_SECTIONS.flatMap(section => {
+    if (document.childElements(roleElement, section).length === 0) {
+      return [issue('warning', 'missing-section', roleUrl, t('lint.missingSection', { section }))];
+    }
+    if (!roleInfo.sections[section]) {
+      return [issue('warning', 'empty-section', roleUrl, t('lint.emptySection', { section }))];
+    }
+    return [];
+  });
+}
+
+/**
+ * 不影响加载的DPML格式问题（未闭合的标签等），角色结构错误在加载时已经报错
+ */
+function checkSyntax(contents) {
+  const parser = new DPMLParser({ tolerant: true });
+  return Object.entries(contents).flatMap(([url, content]) => parser.parse(content).errors
+    .map(error => issue('warning', 'dpml-syntax', url, t('lint.syntax', { reason: error.message }))));
+}
+
+/**
+ * 未知协议和同一资源中的重复引用
+ */
+function checkReferences(references, protocols) {
+  return Object.entries(references).flatMap(([url, refs]) => {
+    const counts = new Map();
+    refs.forEach(ref => {
+      const reference = `@${ref.protocol}://${ref.resource}`;
+      counts.set(reference, (counts.get(reference) || 0) + 1);
+    });
+
+    const found = [];
+    counts.forEach((count, reference) => {
+      const protocol = reference.slice(1, reference.indexOf(':'));
+      if (!protocols.includes(protocol)) {
+        found.push(issue('error', 'unknown-protocol', url, t('lint.unknownProtocol', { protocol, reference })));
+      }
+      if (count > 1) {
+        found.push(issue('warning', 'duplicate-reference', url, t('lint.duplicateReference', { reference, count })));
+      }
+    });
+    return found;
+  });
+}
+
+/**
+ * 找不到的依赖，在引用它的每个资源中报告
+ */
+function checkMissing(graph, references) {
+  return graph.missing.flatMap(key => {
+    const reference = nodeUrl(graph.nodes[key]);
+    return Object.entries(references)
+      .filter(([, refs]) => refs.some(ref => `@${ref.protocol}://${ref.resource}` === reference))
+      .map(([url]) => issue('error', 'unresolved-reference', url, t('lint.unresolved', { reference })));
+  });
+}
+
+/**
+ * 超过token上限的资源
+ */
+function checkSizes(contents, maxTokens) {
+  return Object.entries(contents).flatMap(([url, content]) => {
+    const tokens = estimateTokens(content);
+    return tokens > maxTokens ? [issue('warning', 'oversized-resource', url, t('lint.oversized', { tokens, max: maxTokens }))] : [];
+  });
+}
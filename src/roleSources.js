@@ -0,0 +1,117 @@
+/**
+ * roleSources - PromptX角色的来源和优先级
+ *
+ * PromptX 从三个位置发现角色：
+ * - package - @promptx/core 自带的系统角色
+ * - project - 当前目录 .promptx/resource 中的项目角色
+ * - user    - ~/.promptx/resource 中的用户角色
+ *
+ * 同一角色ID存在于多个来源时，@role://<id> 按 user > project > package 的优先级加载，
+ * 其他来源中的同名角色被覆盖。px2cc 默认安装生效的版本，也可以指定来源安装被覆盖的版本：
+ * 此时按该来源注册表中的引用（如 @package://resources/role/<id>/<id>.role.md）读取角色文件，
+ * 角色引用的 thought、execution、knowledge 仍按PromptX的优先级解析。
+ *
+ * 只有当前目录下存在 .promptx/resource 时才启用项目来源：PromptX 初始化项目时会写入注册表文件，
+ * 不能在任意目录下生成 .promptx。
+ */
+
+import { resource, ProjectManager } from '@promptx/core';
+import fs from 'fs';
+import path from 'path';
+import { t } from './i18n.js';
+import { NotFoundError } from './errors.js';
+import { ROLE_SOURCES } from './installOptions.js';
+
+/**
+ * PromptX 的全局 ResourceManager，当前目录有项目资源时先登记为PromptX项目
+ * @returns {Object} ResourceManager
+ */
+export function getResourceManager() {
+  const projectDir = process.cwd();
+  if (!ProjectManager.isInitialized() && fs.existsSync(path.join(projectDir, '.promptx', 'resource'))) {
+    ProjectManager.setCurrentProject(projectDir, `px2cc-${process.pid}`, 'claude-code', 'stdio');
+  }
+  return resource.getGlobalResourceManager();
+}
+
+/**
+ * PromptX 支持的资源协议（package、user、thought 等），无需初始化注册表
+ * @returns {Array<string>} 协议名
+ */
+export function resourceProtocols() {
+  return [...resource.getGlobalResourceManager().protocols.keys()];
+}
+
+/**
+ * 列出各来源中的角色，同一ID在每个来源中各占一项
+ * @param {Object} [options] - { refresh }，refresh 时重新扫描注册表
+ * @returns {Promise<Array<Object>>} [{ id, name, source, reference, active, overriddenBy }]
+ *   active 表示 @role://<id> 加载的是该来源的角色，否则 overriddenBy 为生效的来源
+ */
+export async function listSourceRoles({ refresh = false } = {}) {
+  const manager = getResourceManager();
+  if (refresh || !manager.initialized) {
+    await manager.initializeWithNewArchitecture();
+  }
+
+  // 合并后的注册表中每个ID只保留生效的来源
+  const winners = new Map(manager.registryData.getResourcesByProtocol('role').map(role => [role.id, role.source]));
+
+  const roles = [];
+  for (const discovery of manager.discoveryManager.discoveries) {
+    const source = discovery.source.toLowerCase();
+    if (!ROLE_SOURCES.includes(source) || (source === 'project' && !ProjectManager.isInitialized())) {
+      continue;
+    }
+    const registry = await discovery.getRegistryData();
+    registry.getResourcesByProtocol('role').forEach(role => {
+      const winner = winners.get(role.id);
+      roles.push({
+        id: role.id,
+        name: role.name,
+        source,
+        reference: role.reference,
+        active: winner === source,
+        ...(winner !== source && { overriddenBy: winner })
+      });
+    });
+  }
+  return roles;
+}
+
+/**
+ * 按ID和来源查找角色
+ * @param {Array<Object>} roles - listSourceRoles 或 LocalRoleSource.listRoles 的结果
+ * @param {string} roleId - 角色ID
+ * @param {string} [source] - 指定来源，省略时取生效的来源
+ * @returns {Object} 角色
+ */
+export function selectRole(roles, roleId, source) {
+  const candidates = roles.filter(role => role.id === roleId);
+  if (candidates.length === 0) {
+    const available = [...new Set(roles.map(role => role.id))];
+    throw new NotFoundError(t('roles.notFound', { role: roleId, available: available.join(', ') || t('common.none') }));
+  }
+
+  const role = source
+    ? candidates.find(item => item.source === source)
+    : candidates.find(item => item.active) || candidates[0];
+  if (!role) {
+    throw new NotFoundError(t('roles.notInSource', {
+      role: roleId,
+      source,
+      sources: candidates.map(item => item.source).join(', ')
+    }));
+  }
+  return role;
+}
+
+/**
+ * 读取指定来源中角色文件的引用
+ * @param {string} roleId - 角色ID
+ * @param {string} source - user|project|package
+ * @returns {Promise<string>} 资源引用，如 @user://.promptx/resource/role/<id>/<id>.role.md
+ */
+export async function roleReference(roleId, source) {
+  return selectRole(await listSourceRoles(), roleId, source).reference;
+}
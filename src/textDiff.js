@@ -0,0 +1,200 @@
+/**
+ * textDiff - 按行比较文本并生成 unified diff
+ *
+ * 用于安装前对比已存在的文件和即将写入的内容，输出格式与 `diff -u` / `git diff` 一致。
+ */
+
+// 每个变化块前后保留的上下文行数
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * 将文本拆分为行，忽略末尾换行
+ * @param {string} text - 文本
+ * @returns {Array<string>} 行
+ */
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Myers 差分算法，计算最短编辑序列
+ *
+ * 使用线性空间的版本：找到最短编辑路径中间的一段对角线（middle snake）后，
+ * 对其前后两部分分别求解，内存与行数成正比，不随差异大小增长。
+ * 待处理的区间放在栈中而不是递归，差异很大时也不会超出调用栈。
+ *
+ * @param {Array<string>} oldLines - 原始行
+ * @param {Array<string>} newLines - 新行
+ * @returns {Array<Object>} [{ type: ' '|'-'|'+', line }]
+ */
+export function diffLines(oldLines, newLines) {
+  const ops = [];
+  const offset = Math.ceil((oldLines.length + newLines.length) / 2) + 1;
+  const forward = new Int32Array(2 * offset + 1);
+  const backward = new Int32Array(2 * offset + 1);
+  // 区间 [oldStart, oldEnd, newStart, newEnd]，先处理后入栈的区间
+  const stack = [[0, oldLines.length, 0, newLines.length]];
+
+  while (stack.length > 0) {
+    let [oldStart, oldEnd, newStart, newEnd] = stack.pop();
+
+    // 相同的开头直接输出，相同的结尾作为单独的区间稍后输出
+    while (oldStart < oldEnd && newStart < newEnd && oldLines[oldStart] === newLines[newStart]) {
+      ops.push({ type: ' ', line: oldLines[oldStart] });
+      oldStart++;
+      newStart++;
+    }
+    let suffix = 0;
+    while (oldStart < oldEnd - suffix && newStart < newEnd - suffix
+      && oldLines[oldEnd - suffix - 1] === newLines[newEnd - suffix - 1]) {
+      suffix++;
+    }
+    if (suffix > 0) {
+      stack.push([oldEnd - suffix, oldEnd, newEnd - suffix, newEnd]);
+      oldEnd -= suffix;
+      newEnd -= suffix;
+    }
+
+    if (oldStart === oldEnd) {
+      for (let y = newStart; y < newEnd; y++) {
+        ops.push({ type: '+', line: newLines[y] });
+      }
+    } else if (newStart === newEnd) {
+      for (let x = oldStart; x < oldEnd; x++) {
+        ops.push({ type: '-', line: oldLines[x] });
+      }
+    } else {
+      const [x, y] = middleSnake(oldLines, oldStart, oldEnd, newLines, newStart, newEnd, forward, backward, offset);
+      stack.push([oldStart + x, oldEnd, newStart + y, newEnd]);
+      stack.push([oldStart, oldStart + x, newStart, newStart + y]);
+    }
+  }
+
+  return ops;
+}
+
+/**
+ * 同时从两端搜索，返回最短编辑路径中间那段对角线的起点（相对区间起点）
+ *
+ * 调用前区间两端的相同行已去掉且两边都不为空，起点因此不会是区间的起点或终点。
+ * forward[k] 为正向搜索在对角线 k 上到达的最远 x，backward[k] 为反向搜索从终点倒数的最远 x。
+ */
+function middleSnake(oldLines, oldStart, oldEnd, newLines, newStart, newEnd, forward, backward, offset) {
+  const n = oldEnd - oldStart;
+  const m = newEnd - newStart;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && oldLines[oldStart + x] === newLines[newStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      // 反向搜索已走了 d - 1 步
+      const reverseK = delta - k;
+      if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[offset + reverseK] >= n) {
+        return [startX, startY];
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[oldEnd - x - 1] === newLines[newEnd - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      const forwardK = delta - k;
+      if (!odd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+        return [n - x, m - y];
+      }
+    }
+  }
+
+  // 两个方向的搜索必然在 ceil((n + m) / 2) 步内相遇
+  throw new Error('middle snake not found');
+}
+
+/**
+ * 生成 unified diff
+ * @param {string} oldText - 原始内容
+ * @param {string} newText - 新内容
+ * @param {Object} options - { oldLabel, newLabel, context }
+ * @returns {Array<string>} diff 行，内容相同时为空数组
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT } = options;
+  if (oldText === newText) {
+    return [];
+  }
+
+  // 标注每个操作对应的原始行号和新行号
+  let oldNo = 1;
+  let newNo = 1;
+  const ops = diffLines(splitLines(oldText), splitLines(newText)).map(op => {
+    const annotated = { ...op, oldNo, newNo };
+    if (op.type !== '+') {
+      oldNo++;
+    }
+    if (op.type !== '-') {
+      newNo++;
+    }
+    return annotated;
+  });
+
+  const changes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  if (changes.length === 0) {
+    // 只有末尾换行不同
+    return lines;
+  }
+
+  // 间隔不超过两倍上下文的变化合并为一个块
+  const hunks = [];
+  changes.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  hunks.forEach(hunk => {
+    const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    // 行数为0时，起始行号指向变化位置的前一行
+    const oldStart = oldCount === 0 ? slice[0].oldNo - 1 : slice[0].oldNo;
+    const newStart = newCount === 0 ? slice[0].newNo - 1 : slice[0].newNo;
+
+    lines.push(`@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`);
+    slice.forEach(op => lines.push(`${op.type}${op.line}`));
+  });
+
+  return lines;
+}
+
+function formatRange(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DPMLParser, DPMLParseError } from '../src/DPMLParser.js';
+
+const strict = new DPMLParser();
+const tolerant = new DPMLParser({ tolerant: true });
+
+test('解析嵌套元素、属性和源码位置', () => {
+  const source = '<role id="writer" draft>\n  <personality>\n    Calm.\n  </personality>\n  <tools profile=\'editor\'/>\n</role>\n';
+  const document = strict.parse(source);
+  const role = document.find('role');
+  const personality = document.find('personality');
+  const tools = document.find('tools');
+
+  assert.deepEqual(role.attributes, { id: 'writer', draft: true });
+  assert.deepEqual(role.loc.start, { offset: 0, line: 1, column: 1 });
+  assert.deepEqual(role.loc.end, { offset: source.length - 1, line: 6, column: 8 });
+  assert.deepEqual(personality.loc.start, { offset: 27, line: 2, column: 3 });
+  assert.equal(document.innerSource(personality), '\n    Calm.\n  ');
+  assert.equal(document.openTagOf(personality), '<personality>');
+  assert.equal(document.closeTagOf(personality), '</personality>');
+
+  assert.deepEqual(tools.attributes, { profile: 'editor' });
+  assert.equal(document.closeTagOf(tools), '');
+  assert.deepEqual(document.childElements(role).map(element => element.name), ['personality', 'tools']);
+  assert.deepEqual(document.errors, []);
+});
+
+test('同名元素可以嵌套，无需闭合的HTML标签不入栈', () => {
+  const document = strict.parse('<section>a<br>b<section>c</section></section>');
+  const [outer, inner] = document.findAll('section');
+
+  assert.equal(document.innerSource(outer), 'a<br>b<section>c</section>');
+  assert.equal(document.innerSource(inner), 'c');
+  assert.equal(document.closeTagOf(document.find('br')), '');
+});
+
+test('代码块、行内代码和注释中的标签不会被解析', () => {
+  const source = '<role>\n```xml\n<thought>\n```\nUse `<execution>` here. a < b\n<!-- <knowledge> -->\n</role>';
+  const document = strict.parse(source);
+  const role = document.find('role');
+
+  assert.deepEqual(document.findAll('thought'), []);
+  assert.deepEqual(document.findAll('execution'), []);
+  assert.deepEqual(document.findAll('knowledge'), []);
+  assert.deepEqual(role.children.filter(child => child.code).map(child => child.value), ['```xml\n<thought>\n```', '`<execution>`']);
+  assert.deepEqual(role.children.filter(child => child.type === 'comment').map(child => child.value), ['<!-- <knowledge> -->']);
+});
+
+test('未闭合的元素抛出 DPMLParseError 并带上位置', () => {
+  assert.throws(() => strict.parse('<role>\n  <personality>Calm.</role>'), error => {
+    assert.ok(error instanceof DPMLParseError);
+    assert.equal(error.code, 'UNCLOSED_ELEMENT');
+    assert.equal(error.tagName, 'personality');
+    assert.equal(error.line, 2);
+    assert.equal(error.column, 3);
+    return true;
+  });
+
+  assert.throws(() => strict.parse('<role>\n<principle>'), { code: 'UNCLOSED_ELEMENT', tagName: 'principle', line: 2, column: 1 });
+});
+
+test('不匹配的结束标签抛出 DPMLParseError', () => {
+  assert.throws(() => strict.parse('<role>text</thought></role>'), { code: 'UNEXPECTED_CLOSE_TAG', tagName: 'thought', line: 1, column: 11 });
+});
+
+test('未结束的标签和属性抛出 DPMLParseError', () => {
+  assert.throws(() => strict.parse('<role id="writer>\n</role>'), { code: 'UNTERMINATED_ATTRIBUTE', tagName: 'role' });
+  assert.throws(() => strict.parse('<role>\n</role'), { code: 'UNTERMINATED_TAG', tagName: 'role', line: 2 });
+  assert.throws(() => strict.parse('<!-- note'), { code: 'UNTERMINATED_COMMENT' });
+});
+
+test('tolerant 模式收集错误并自动闭合未闭合的元素', () => {
+  const document = tolerant.parse('<role>\n  <personality>Calm.</role>\n</thought>');
+  const role = document.find('role');
+  const personality = document.find('personality');
+
+  assert.deepEqual(document.errors.map(error => [error.code, error.tagName, error.line]), [
+    ['UNCLOSED_ELEMENT', 'personality', 2],
+    ['UNEXPECTED_CLOSE_TAG', 'thought', 3]
+  ]);
+  assert.equal(document.innerSource(personality), 'Calm.');
+  assert.equal(document.closeTagOf(personality), '');
+  assert.equal(document.closeTagOf(role), '</role>');
+  // 多余的结束标签作为文本保留
+  assert.equal(document.root.children[document.root.children.length - 1].value, '</thought>');
+});
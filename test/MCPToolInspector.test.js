@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MCPToolInspector } from '../src/MCPToolInspector.js';
+
+const FAKE_SERVER = fileURLToPath(new URL('./fixtures/fake-mcp-server.js', import.meta.url));
+
+let tmpDir;
+let startsFile;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'px2cc-mcp-'));
+  startsFile = path.join(tmpDir, 'starts');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function fakeServer(env = {}) {
+  return {
+    name: 'fake',
+    type: 'stdio',
+    command: process.execPath,
+    args: [FAKE_SERVER],
+    env: { FAKE_MCP_STARTS: startsFile, ...env }
+  };
+}
+
+function starts() {
+  return fs.existsSync(startsFile) ? fs.readFileSync(startsFile, 'utf8').trim().split('\n').length : 0;
+}
+
+test('按 nextCursor 读取所有分页的工具', async () => {
+  const inspector = new MCPToolInspector({ cacheFile: path.join(tmpDir, 'cache.json') });
+  const { tools, cached } = await inspector.listTools(fakeServer());
+
+  assert.equal(cached, false);
+  assert.deepEqual(tools, [
+    { name: 'read_file', description: '读取文件', readOnly: true },
+    { name: 'write_file', description: '写入文件', readOnly: false },
+    { name: 'search', description: '', readOnly: true }
+  ]);
+});
+
+test('第二次读取使用缓存，refresh 时重新启动服务器', async () => {
+  const cacheFile = path.join(tmpDir, 'cache.json');
+  const server = fakeServer();
+
+  await new MCPToolInspector({ cacheFile }).listTools(server);
+  const second = await new MCPToolInspector({ cacheFile }).listTools(server);
+  assert.equal(second.cached, true);
+  assert.equal(second.tools.length, 3);
+  assert.equal(starts(), 1);
+
+  const refreshed = await new MCPToolInspector({ cacheFile, refresh: true }).listTools(server);
+  assert.equal(refreshed.cached, false);
+  assert.equal(starts(), 2);
+});
+
+test('启动配置变化后缓存失效', async () => {
+  const cacheFile = path.join(tmpDir, 'cache.json');
+
+  await new MCPToolInspector({ cacheFile }).listTools(fakeServer());
+  const changed = await new MCPToolInspector({ cacheFile }).listTools(fakeServer({ EXTRA: '1' }));
+  assert.equal(changed.cached, false);
+  assert.equal(starts(), 2);
+});
+
+test('无法启动服务器时报错，不写入缓存', async () => {
+  const cacheFile = path.join(tmpDir, 'cache.json');
+  const inspector = new MCPToolInspector({ cacheFile });
+  const server = { ...fakeServer(), command: path.join(tmpDir, 'no-such-server') };
+
+  await assert.rejects(inspector.listTools(server), /fake.*ENOENT/);
+  assert.equal(fs.existsSync(cacheFile), false);
+});
+
+test('服务器提前退出时报错并带上stderr的最后一行', async () => {
+  const inspector = new MCPToolInspector({ cacheFile: path.join(tmpDir, 'cache.json') });
+
+  await assert.rejects(inspector.listTools(fakeServer({ FAKE_MCP_MODE: 'exit-early' })), /fake.*fake server crashed/);
+});
+
+test('只支持stdio服务器', async () => {
+  const inspector = new MCPToolInspector({ cacheFile: path.join(tmpDir, 'cache.json') });
+
+  await assert.rejects(inspector.listTools({ name: 'remote', type: 'http', url: 'http://localhost' }), /remote/);
+});
@@ -0,0 +1,33 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Manifest } from '../src/Manifest.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'px2cc-manifest-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('rolesDir 和条目的 template 相对清单文件解析', async () => {
+  const manifestFile = path.join(tmpDir, 'config', 'px2cc.json');
+  fs.mkdirSync(path.dirname(manifestFile));
+  fs.writeFileSync(manifestFile, JSON.stringify({
+    rolesDir: '../roles',
+    roles: [
+      { role: 'reviewer', as: 'agent', template: 'templates/plain.json' },
+      { role: 'writer', as: 'command' }
+    ]
+  }));
+
+  const manifest = await Manifest.load(manifestFile);
+  assert.equal(manifest.rolesDir, path.join(tmpDir, 'roles'));
+  assert.equal(manifest.entries[0].options.template, path.join(tmpDir, 'config', 'templates', 'plain.json'));
+  assert.equal(manifest.entries[1].options.template, undefined);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PromptXActionProcessor } from '../src/PromptXActionProcessor.js';
+import { silentLogger } from '../src/logger.js';
+
+let tmpDir;
+let processor;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'px2cc-processor-'));
+  const files = {
+    'writer.role.md': `<role>
+  <personality>@!thought://drafting</personality>
+  <principle>@!execution://editing</principle>
+  <knowledge>@!knowledge://style</knowledge>
+</role>
+`,
+    'drafting.thought.md': `# Drafting notes
+
+Read this before drafting.
+
+<thought>
+  <exploration>Collect ideas first.</exploration>
+</thought>
+
+Trailing remark after the thought.
+`,
+    'editing.execution.md': `<execution>
+  <rule>Keep sentences short.</rule>
+</execution>
+`,
+    'style.knowledge.md': `# Style
+
+Prefer active voice.
+
+## Punctuation
+
+Use serial commas.
+`
+  };
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(tmpDir, name), content));
+  processor = new PromptXActionProcessor({ logger: silentLogger, rolesDir: tmpDir });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 内容中所有标题的级别和文字
+function headings(content) {
+  return content.split('\n')
+    .map(line => line.match(/^(#{1,6})\s+(.+)$/))
+    .filter(Boolean)
+    .map(match => `${match[1]} ${match[2]}`);
+}
+
+test('知识资源中的标题降级到资源标题之下', async () => {
+  const content = await processor.processRole('writer', 'subagent', { lang: 'en' });
+  const list = headings(content);
+  const style = list.indexOf('### style');
+
+  assert.ok(style >= 0, 'knowledge resource heading exists');
+  assert.deepEqual(list.slice(style + 1, style + 3), ['#### Style', '##### Punctuation']);
+  assert.ok(!list.some(heading => heading === '# Style'));
+});
+
+test('知识资源目录按降级后的层级列出标题', async () => {
+  const content = await processor.processRole('writer', 'subagent', { lang: 'en', knowledge: 'toc' });
+
+  assert.match(content, /- \*\*style\*\* - `learn @knowledge:\/\/style`\n {2}- Style\n {4}- Punctuation/);
+});
+
+test('thought 根元素前后的内容不会丢失', async () => {
+  const content = await processor.processRole('writer', 'subagent', { lang: 'en' });
+
+  assert.match(content, /#### Drafting notes\n\nRead this before drafting\./);
+  assert.match(content, /Collect ideas first\./);
+  assert.match(content, /Trailing remark after the thought\./);
+  assert.ok(content.indexOf('Read this before drafting.') < content.indexOf('Collect ideas first.'));
+  assert.ok(content.indexOf('Collect ideas first.') < content.indexOf('Trailing remark after the thought.'));
+});
+
+test('推荐工具、描述和渲染共用同一次加载的角色', async () => {
+  const shared = new PromptXActionProcessor({ logger: silentLogger, rolesDir: tmpDir });
+  const calls = { loadRole: 0, analyzeDependencies: 0 };
+  const count = (target, name) => {
+    const original = target[name].bind(target);
+    target[name] = (...args) => {
+      calls[name]++;
+      return original(...args);
+    };
+  };
+  count(shared.roleLoader, 'loadRole');
+  count(shared.dependencyAnalyzer, 'analyzeDependencies');
+
+  await shared.recommendedToolProfile('writer');
+  await shared.describe('writer', 'en');
+  await shared.render('writer', 'subagent', { lang: 'en' });
+
+  assert.deepEqual(calls, { loadRole: 1, analyzeDependencies: 1 });
+});
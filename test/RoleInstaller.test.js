@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parse } from 'yaml';
+import { RoleInstaller } from '../src/RoleInstaller.js';
+import { InstallLock } from '../src/InstallLock.js';
+import { silentLogger } from '../src/logger.js';
+import { setLocale } from '../src/i18n.js';
+
+let tmpDir;
+let rolesDir;
+let installer;
+
+before(() => {
+  setLocale('en');
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'px2cc-installer-'));
+  rolesDir = path.join(tmpDir, 'roles');
+  fs.mkdirSync(rolesDir);
+  fs.writeFileSync(path.join(rolesDir, 'reviewer.role.md'), `# Reviewer: code quality guardian
+
+<role>
+  <personality>I review code. **Code review**: finds bugs</personality>
+  <principle>Be precise.</principle>
+  <knowledge>Style guides.</knowledge>
+</role>
+`);
+  installer = new RoleInstaller(path.join(tmpDir, '.claude'), { logger: silentLogger });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 解析生成文件的frontmatter
+function frontmatter(rendered) {
+  const match = rendered.fileContent.match(/^---\n([\s\S]*?)\n---\n/);
+  assert.ok(match, 'generated file has frontmatter');
+  return parse(match[1]);
+}
+
+function render(installType, options = {}) {
+  return installer.render({ role: 'reviewer', source: 'local', rolesDir }, installType, ['Read'], '', options);
+}
+
+test('从带冒号的标题生成的 Subagent 描述是合法的YAML', async () => {
+  const rendered = await render('agents');
+  const data = frontmatter(rendered);
+
+  assert.equal(data.name, 'reviewer-agent');
+  assert.match(data.description, /^Reviewer: code quality guardian/);
+  assert.equal(data.tools, 'Read');
+});
+
+test('自定义描述中的YAML特殊字符写入 Subagent frontmatter 后保持原样', async () => {
+  const descriptions = [
+    'Reviewer: checks code',
+    'Checks code #quality',
+    '[draft] reviewer',
+    '{reviewer}',
+    '> reviewer',
+    '| reviewer',
+    '& reviewer',
+    '* reviewer',
+    '! reviewer',
+    '% reviewer',
+    '@reviewer',
+    'ends with colon:',
+    'true',
+    '42',
+    'C:\\path reviewer',
+    'The "strict" reviewer',
+    'plain reviewer description'
+  ];
+
+  for (const description of descriptions) {
+    const data = frontmatter(await render('agents', { description }));
+    assert.equal(data.description, description);
+  }
+});
+
+test('不需要引号的描述保持不加引号', async () => {
+  const rendered = await render('agents', { description: 'Reviews pull requests for style issues' });
+  assert.match(rendered.fileContent, /^description: Reviews pull requests for style issues$/m);
+});
+
+test('command frontmatter 中的描述、参数提示和自定义字段是合法的YAML', async () => {
+  const rendered = await render('commands', {
+    description: 'Reviewer: checks code #quality',
+    argumentHint: '[file] [focus]',
+    customFields: { tags: ['review: strict', '@team'] }
+  });
+  const data = frontmatter(rendered);
+
+  assert.equal(data.description, 'Reviewer: checks code #quality');
+  assert.equal(data['argument-hint'], '[file] [focus]');
+  assert.deepEqual(data.tags, ['review: strict', '@team']);
+  assert.deepEqual(data['allowed-tools'], ['Read']);
+});
+
+test('写入的 Subagent 文件与渲染结果一致', async () => {
+  const rendered = await render('agents', { description: 'Reviewer: checks code' });
+  await installer.write(rendered);
+
+  assert.equal(fs.readFileSync(rendered.filePath, 'utf8'), rendered.fileContent);
+  assert.equal(await installer.isPristine(rendered), true);
+});
+
+test('模板路径在锁文件中相对项目根目录保存，在其他目录下检查时仍能找到', async () => {
+  const templateFile = path.join(tmpDir, 'templates', 'plain.json');
+  fs.mkdirSync(path.dirname(templateFile));
+  fs.writeFileSync(templateFile, JSON.stringify({ headings: { title: '# Templated {roleId}' } }));
+
+  const rendered = await render('agents', { template: templateFile });
+  assert.match(rendered.fileContent, /^# Templated reviewer$/m);
+  await installer.write(rendered);
+
+  const lock = await new InstallLock(path.join(tmpDir, '.claude')).load();
+  const entry = lock.get('agents', 'reviewer-agent.md');
+  assert.equal(entry.options.template, path.join('templates', 'plain.json'));
+
+  const cwd = process.cwd();
+  process.chdir(os.tmpdir());
+  try {
+    const { status } = await new RoleInstaller(path.join(tmpDir, '.claude'), { logger: silentLogger }).check(entry);
+    assert.equal(status, 'up-to-date');
+  } finally {
+    process.chdir(cwd);
+  }
+});
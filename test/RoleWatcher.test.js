@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { RoleWatcher } from '../src/RoleWatcher.js';
+import { RoleInstaller } from '../src/RoleInstaller.js';
+import { silentLogger } from '../src/logger.js';
+
+let tmpDir;
+let rolesDir;
+let claudeDir;
+let agentFile;
+let watcher;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'px2cc-watch-'));
+  rolesDir = path.join(tmpDir, 'roles');
+  claudeDir = path.join(tmpDir, '.claude');
+  fs.mkdirSync(rolesDir);
+  // 引用的 thought 尚不存在
+  fs.writeFileSync(path.join(rolesDir, 'writer.role.md'), `<role>
+  <personality>@!thought://drafting</personality>
+  <principle>Be precise.</principle>
+  <knowledge>Style guides.</knowledge>
+</role>
+`);
+
+  const installer = new RoleInstaller(claudeDir, { logger: silentLogger });
+  const rendered = await installer.render({ role: 'writer', source: 'local', rolesDir }, 'agents', ['Read'], '', { lang: 'en' });
+  await installer.write(rendered);
+  agentFile = rendered.filePath;
+
+  watcher = new RoleWatcher(claudeDir, { logger: silentLogger, debounce: 50 });
+  await watcher.start();
+});
+
+after(async () => {
+  await watcher.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 等待生成的文件包含指定内容
+async function waitFor(pattern) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (pattern.test(fs.readFileSync(agentFile, 'utf8'))) {
+      return;
+    }
+    await sleep(50);
+  }
+  assert.fail(`generated file does not match ${pattern}`);
+}
+
+test('本地角色目录中新建被引用的资源后重新生成', async () => {
+  const thoughtDir = path.join(rolesDir, 'thought');
+  fs.mkdirSync(thoughtDir);
+  fs.writeFileSync(path.join(thoughtDir, 'drafting.thought.md'), '<thought><exploration>Outline first.</exploration></thought>\n');
+
+  await waitFor(/Outline first\./);
+});
+
+test('安装位置中新建默认模板后重新生成', async () => {
+  fs.writeFileSync(path.join(claudeDir, 'px2cc.template.json'), JSON.stringify({ headings: { title: '# Watched {roleId}' } }));
+
+  await waitFor(/^# Watched writer$/m);
+});
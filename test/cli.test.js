@@ -0,0 +1,87 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'yaml';
+
+const BIN = fileURLToPath(new URL('../bin.js', import.meta.url));
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'px2cc-cli-'));
+  fs.mkdirSync(path.join(tmpDir, 'home'));
+  fs.mkdirSync(path.join(tmpDir, 'roles'));
+  ['reviewer', 'writer'].forEach(roleId => {
+    fs.writeFileSync(path.join(tmpDir, 'roles', `${roleId}.role.md`), `<role>
+  <personality>I am the ${roleId}.</personality>
+  <principle>Be precise.</principle>
+</role>
+`);
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 在临时项目中运行 px2cc，返回退出码和 --json 输出
+function px2cc(...args) {
+  const result = spawnSync(process.execPath, [BIN, ...args, '--json', '--lang', 'en'], {
+    cwd: tmpDir,
+    env: { ...process.env, HOME: path.join(tmpDir, 'home') },
+    encoding: 'utf8'
+  });
+  return { status: result.status, output: JSON.parse(result.stdout) };
+}
+
+function writeManifest(roles) {
+  fs.writeFileSync(path.join(tmpDir, 'px2cc.json'), JSON.stringify({ rolesDir: 'roles', roles }));
+}
+
+test('sync --prune 保留手动修改过的文件，--force 时才删除', () => {
+  writeManifest([{ role: 'reviewer', as: 'agent' }, { role: 'writer', as: 'agent' }]);
+  assert.equal(px2cc('sync').status, 0);
+
+  const edited = path.join(tmpDir, '.claude', 'agents', 'reviewer-agent.md');
+  fs.appendFileSync(edited, '\nHand-written note.\n');
+  writeManifest([{ role: 'writer', as: 'agent' }]);
+
+  const pruned = px2cc('sync', '--prune');
+  assert.equal(pruned.status, 5);
+  assert.deepEqual(pruned.output.sync.conflicts, ['agents/reviewer-agent.md']);
+  assert.deepEqual(pruned.output.sync.pruned, []);
+  assert.match(fs.readFileSync(edited, 'utf8'), /Hand-written note\./);
+
+  const forced = px2cc('sync', '--prune', '--force');
+  assert.equal(forced.status, 0);
+  assert.deepEqual(forced.output.sync.pruned, ['agents/reviewer-agent.md']);
+  assert.equal(fs.existsSync(edited), false);
+});
+
+test('sync --prune 删除未修改的文件', () => {
+  writeManifest([{ role: 'reviewer', as: 'agent' }, { role: 'writer', as: 'agent' }]);
+  assert.equal(px2cc('sync').status, 0);
+  writeManifest([{ role: 'writer', as: 'agent' }]);
+
+  const pruned = px2cc('sync', '--prune');
+  assert.equal(pruned.status, 0);
+  assert.deepEqual(pruned.output.sync.pruned, ['agents/reviewer-agent.md']);
+  assert.equal(fs.existsSync(path.join(tmpDir, '.claude', 'agents', 'reviewer-agent.md')), false);
+});
+
+test('Subagent 描述可以包含双引号和反斜杠，command 描述不可以', () => {
+  const description = 'Reviews "C:\\src" code';
+  const agent = px2cc('install', 'reviewer', '--as', 'agent', '--roles-dir', 'roles', '--description', description, '--yes');
+  assert.equal(agent.status, 0);
+  assert.equal(agent.output.install.options.description, description);
+  const written = fs.readFileSync(path.join(tmpDir, '.claude', 'agents', 'reviewer-agent.md'), 'utf8');
+  assert.equal(parse(written.match(/^---\n([\s\S]*?)\n---\n/)[1]).description, description);
+
+  const command = px2cc('install', 'reviewer', '--as', 'command', '--roles-dir', 'roles', '--description', description, '--yes');
+  assert.equal(command.status, 2);
+  assert.equal(command.output.error.code, 'usage');
+});
@@ -0,0 +1,53 @@
+/**
+ * 测试用的stdio MCP服务器
+ *
+ * 通过环境变量控制行为：
+ * - FAKE_MCP_MODE     - paged（默认，工具列表分两页返回）或 exit-early（收到 initialize 后直接退出）
+ * - FAKE_MCP_STARTS   - 每次启动时向该文件追加一行，用于检查是否命中缓存
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+const mode = process.env.FAKE_MCP_MODE || 'paged';
+if (process.env.FAKE_MCP_STARTS) {
+  fs.appendFileSync(process.env.FAKE_MCP_STARTS, 'start\n');
+}
+
+// 每页的工具，nextCursor 指向下一页
+const PAGES = {
+  '': {
+    tools: [
+      { name: 'read_file', description: '读取文件\n第二行不输出', annotations: { readOnlyHint: true } },
+      { name: 'write_file', description: '写入文件' }
+    ],
+    nextCursor: 'page-2'
+  },
+  'page-2': {
+    tools: [
+      { name: 'search', annotations: { readOnlyHint: true } },
+      { description: '没有名字的工具会被忽略' }
+    ]
+  }
+};
+
+function reply(id, result) {
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id, result })}\n`);
+}
+
+// 部分服务器会向stdout输出日志
+process.stdout.write('fake server starting\n');
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  const message = JSON.parse(line);
+  if (message.method === 'initialize') {
+    if (mode === 'exit-early') {
+      process.stderr.write('fake server crashed\n');
+      process.exit(1);
+    }
+    reply(message.id, { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} } });
+  } else if (message.method === 'tools/list') {
+    const cursor = (message.params && message.params.cursor) || '';
+    reply(message.id, PAGES[cursor]);
+  }
+});
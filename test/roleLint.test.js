@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { lintRole } from '../src/roleLint.js';
+import { PromptXActionProcessor } from '../src/PromptXActionProcessor.js';
+import { silentLogger } from '../src/logger.js';
+
+let tmpDir;
+let processor;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'px2cc-lint-'));
+  fs.writeFileSync(path.join(tmpDir, 'reviewer.role.md'), `<role>
+  <personality>@!thought://critic</personality>
+  <principle>@!package://resources/role/sean/sean.role.md</principle>
+  <knowledge>Style guides.</knowledge>
+</role>
+`);
+  fs.writeFileSync(path.join(tmpDir, 'critic.thought.md'), '<thought><exploration>Look for bugs.</exploration></thought>\n');
+  processor = new PromptXActionProcessor({ logger: silentLogger, rolesDir: tmpDir });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('本地角色目录中的角色按本地支持的协议检查引用', async () => {
+  const issues = await lintRole(processor, 'reviewer');
+  const unknown = issues.filter(item => item.rule === 'unknown-protocol');
+
+  assert.equal(unknown.length, 1);
+  assert.equal(unknown[0].severity, 'error');
+  assert.equal(unknown[0].resource, '@role://reviewer');
+  assert.match(unknown[0].message, /@package:\/\/resources\/role\/sean\/sean\.role\.md/);
+});
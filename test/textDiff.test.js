@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, createUnifiedDiff } from '../src/textDiff.js';
+
+// 编辑序列还原出的原始行和新行
+function sides(ops) {
+  return {
+    oldLines: ops.filter(op => op.type !== '+').map(op => op.line),
+    newLines: ops.filter(op => op.type !== '-').map(op => op.line)
+  };
+}
+
+function edits(ops) {
+  return ops.filter(op => op.type !== ' ').length;
+}
+
+test('编辑序列能还原两边的内容，且编辑数最少', () => {
+  const cases = [
+    [[], []],
+    [[], ['a', 'b']],
+    [['a', 'b'], []],
+    [['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']],
+    [['x', 'a', 'b', 'y'], ['a', 'b']],
+    [['a', 'b', 'c'], ['d', 'e', 'f']]
+  ];
+  const expectedEdits = [0, 2, 2, 5, 2, 6];
+
+  cases.forEach(([oldLines, newLines], index) => {
+    const ops = diffLines(oldLines, newLines);
+    assert.deepEqual(sides(ops), { oldLines, newLines });
+    assert.equal(edits(ops), expectedEdits[index]);
+  });
+});
+
+test('完全重写的大文件在线性内存内完成', () => {
+  const oldLines = Array.from({ length: 5000 }, (_, index) => `old ${index}`);
+  const newLines = Array.from({ length: 5000 }, (_, index) => `new ${index}`);
+  const ops = diffLines(oldLines, newLines);
+
+  assert.equal(edits(ops), 10000);
+  assert.deepEqual(sides(ops), { oldLines, newLines });
+});
+
+test('生成带上下文的 unified diff', () => {
+  const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n') + '\n';
+  const newText = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10', '11'].join('\n') + '\n';
+
+  assert.deepEqual(createUnifiedDiff(oldText, newText, { oldLabel: 'old.md', newLabel: 'new.md' }), [
+    '--- old.md',
+    '+++ new.md',
+    '@@ -2,9 +2,10 @@',
+    ' 2',
+    ' 3',
+    ' 4',
+    '-5',
+    '+five',
+    ' 6',
+    ' 7',
+    ' 8',
+    ' 9',
+    ' 10',
+    '+11'
+  ]);
+  assert.deepEqual(createUnifiedDiff(oldText, oldText), []);
+});